@@ -0,0 +1,99 @@
+/**
+ * Where the MediaPipe bundle, WASM fileset and models load from.
+ *
+ *   cdn    jsDelivr + Google storage
+ *   local  served by the project from LOCAL_ASSET_BASE (`npm run fetch-models`
+ *          downloads them there)
+ *   <url>  any other base path or URL laid out like LOCAL_ASSET_BASE
+ *
+ * Chosen with ?assets=cdn|local|<url>. Without it, local assets are used
+ * when they're there and the CDN otherwise.
+ */
+export const MEDIAPIPE_VERSION = '0.10.14';
+
+// Model variants of each landmarker, smallest first
+export const MODEL_VARIANTS = {
+  pose: ['lite', 'full', 'heavy'],
+  hand: ['full'],
+};
+
+const MODELS_CDN = 'https://storage.googleapis.com/mediapipe-models';
+
+export const CDN_ASSETS = {
+  bundle: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/vision_bundle.mjs`,
+  wasm: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/wasm`,
+  poseModels: Object.fromEntries(MODEL_VARIANTS.pose.map(variant => [variant,
+    `${MODELS_CDN}/pose_landmarker/pose_landmarker_${variant}/float16/1/pose_landmarker_${variant}.task`])),
+  handModels: {
+    full: `${MODELS_CDN}/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
+  },
+};
+
+export const LOCAL_ASSET_BASE = 'vendor/mediapipe';
+
+// The WASM fileset: MediaPipe loads the SIMD build where supported, else the other
+export const WASM_FILES = [
+  'vision_wasm_internal.js',
+  'vision_wasm_internal.wasm',
+  'vision_wasm_nosimd_internal.js',
+  'vision_wasm_nosimd_internal.wasm',
+];
+
+/** Asset URLs under a self-hosted base path */
+export function assetsAt(base) {
+  const root = base.replace(/\/+$/, '');
+  return {
+    bundle: `${root}/vision_bundle.mjs`,
+    wasm: `${root}/wasm`,
+    poseModels: Object.fromEntries(MODEL_VARIANTS.pose.map(variant => [variant, `${root}/models/pose_landmarker_${variant}.task`])),
+    handModels: { full: `${root}/models/hand_landmarker.task` },
+  };
+}
+
+/**
+ * Every file a tracking setup loads, for caching.
+ * @param {Object} assets - from resolveAssets()
+ * @param {{ pose: string|null, hand: string|null }} models - variant in use, null when off
+ */
+export function assetFiles(assets, models) {
+  return [
+    assets.bundle,
+    ...(models.pose ? [assets.poseModels[models.pose]] : []),
+    ...(models.hand ? [assets.handModels[models.hand]] : []),
+    ...WASM_FILES.map(file => `${assets.wasm}/${file}`),
+  ];
+}
+
+/** The same assets as absolute URLs against `base` — a worker resolves relative ones against itself */
+export function absoluteAssets(assets, base) {
+  const absolute = url => new URL(url, base).href;
+  const models = list => Object.fromEntries(Object.entries(list).map(([variant, url]) => [variant, absolute(url)]));
+  return {
+    bundle: absolute(assets.bundle),
+    wasm: absolute(assets.wasm),
+    poseModels: models(assets.poseModels),
+    handModels: models(assets.handModels),
+  };
+}
+
+async function urlExists(url) {
+  try {
+    const response = await fetch(url, { method: 'HEAD' });
+    return response.ok;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * @param {string|null} setting - 'cdn', 'local', a base path / URL, or null to pick
+ * @param {Function} [exists] - async (url) → whether it can be loaded
+ * @returns {Promise<{ bundle, wasm, poseModels, handModels }>}
+ */
+export async function resolveAssets(setting, exists = urlExists) {
+  if (setting === 'cdn') return CDN_ASSETS;
+  if (setting && setting !== 'local') return assetsAt(setting);
+  const local = assetsAt(LOCAL_ASSET_BASE);
+  if (setting === 'local' || await exists(local.bundle)) return local;
+  return CDN_ASSETS;
+}
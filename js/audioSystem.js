@@ -169,6 +169,21 @@ export class AudioSystem {
     this._playOneShot('swing', 0.5);
   }
 
+  /**
+   * Play an entity type's hit cue (its `sound` in entityTypes.js).
+   * @param {string} cue - 'slice' | 'bomb' | 'heart' | 'powerUp'
+   * @param {string} [variant] - e.g. the power-up id
+   */
+  playCue(cue, variant) {
+    const cues = {
+      slice: () => this.playClash(),
+      bomb: () => this.playBomb(),
+      heart: () => this.playHeart(),
+      powerUp: () => this.playPowerUp(variant),
+    };
+    if (cues[cue]) cues[cue]();
+  }
+
   /**
    * Play clash sound when blade hits a fruit.
    */
@@ -200,19 +215,24 @@ export class AudioSystem {
     osc.stop(t + 0.2);
   }
 
-  /** Combo sound — higher pitch */
-  playCombo() {
+  /**
+   * Combo chime — climbs with the combo tier: higher and one note longer per level.
+   * @param {number} [level=1] - combo tier level (see combos.js)
+   */
+  playCombo(level = 1) {
     if (!this.ctx || !this.enabled) return;
     // Play clash + extra chime
     if (this.buffers.clash) {
       this._playOneShot('clash', 0.5);
     }
     const t = this.ctx.currentTime;
-    [600, 900, 1200].forEach((freq, i) => {
+    const root = 600 * Math.pow(2, (level - 1) * 2 / 12); // a whole tone up per level
+    const notes = [1, 1.5, 2, 2.5, 3, 4].slice(0, Math.min(6, level + 2));
+    notes.forEach((ratio, i) => {
       const osc = this.ctx.createOscillator();
       const gain = this.ctx.createGain();
       osc.type = 'triangle';
-      osc.frequency.setValueAtTime(freq, t + i * 0.07);
+      osc.frequency.setValueAtTime(root * ratio, t + i * 0.07);
       gain.gain.setValueAtTime(0.15, t + i * 0.07);
       gain.gain.exponentialRampToValueAtTime(0.001, t + i * 0.07 + 0.15);
       osc.connect(gain).connect(this.ctx.destination);
@@ -221,6 +241,43 @@ export class AudioSystem {
     });
   }
 
+  /** Clap-through — short filtered noise slap */
+  playClap() {
+    if (!this.ctx || !this.enabled) return;
+    const t = this.ctx.currentTime;
+    const duration = 0.12;
+    const buffer = this.ctx.createBuffer(1, this.ctx.sampleRate * duration, this.ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / data.length, 3);
+    }
+    const source = this.ctx.createBufferSource();
+    source.buffer = buffer;
+    const filter = this.ctx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.setValueAtTime(1500, t);
+    const gain = this.ctx.createGain();
+    gain.gain.setValueAtTime(0.6, t);
+    source.connect(filter).connect(gain).connect(this.ctx.destination);
+    source.start(t);
+  }
+
+  /** Critical hit — sharp high ping over the slice */
+  playCritical() {
+    if (!this.ctx || !this.enabled) return;
+    const t = this.ctx.currentTime;
+    const osc = this.ctx.createOscillator();
+    const gain = this.ctx.createGain();
+    osc.type = 'square';
+    osc.frequency.setValueAtTime(1800, t);
+    osc.frequency.exponentialRampToValueAtTime(2400, t + 0.08);
+    gain.gain.setValueAtTime(0.08, t);
+    gain.gain.exponentialRampToValueAtTime(0.001, t + 0.2);
+    osc.connect(gain).connect(this.ctx.destination);
+    osc.start(t);
+    osc.stop(t + 0.2);
+  }
+
   /** Bomb explosion — noise burst */
   playBomb() {
     if (!this.ctx || !this.enabled) return;
@@ -246,6 +303,65 @@ export class AudioSystem {
     source.stop(t + duration);
   }
 
+  /**
+   * Power-up pickup — a short arpeggio with its own voice per power-up.
+   * @param {string} id - power-up id (see powerUps.js)
+   */
+  playPowerUp(id) {
+    if (!this.ctx || !this.enabled) return;
+    const voices = {
+      freeze: { type: 'sine', notes: [1568, 1319, 1047, 784] },     // falling, glassy
+      frenzy: { type: 'sawtooth', notes: [392, 523, 659, 784, 1047] }, // fast climb
+      double: { type: 'square', notes: [659, 988, 1319] },
+      blade: { type: 'triangle', notes: [220, 330, 440, 660] },
+    };
+    const { type, notes } = voices[id] || voices.double;
+    const t = this.ctx.currentTime;
+    notes.forEach((freq, i) => {
+      const osc = this.ctx.createOscillator();
+      const gain = this.ctx.createGain();
+      osc.type = type;
+      osc.frequency.setValueAtTime(freq, t + i * 0.06);
+      gain.gain.setValueAtTime(type === 'sine' ? 0.25 : 0.1, t + i * 0.06);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + i * 0.06 + 0.2);
+      osc.connect(gain).connect(this.ctx.destination);
+      osc.start(t + i * 0.06);
+      osc.stop(t + i * 0.06 + 0.2);
+    });
+  }
+
+  /** Power-up ran out — soft low blip */
+  playPowerUpEnd() {
+    if (!this.ctx || !this.enabled) return;
+    const t = this.ctx.currentTime;
+    const osc = this.ctx.createOscillator();
+    const gain = this.ctx.createGain();
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(440, t);
+    osc.frequency.exponentialRampToValueAtTime(220, t + 0.2);
+    gain.gain.setValueAtTime(0.15, t);
+    gain.gain.exponentialRampToValueAtTime(0.001, t + 0.25);
+    osc.connect(gain).connect(this.ctx.destination);
+    osc.start(t);
+    osc.stop(t + 0.25);
+  }
+
+  /** Missed fruit — dull falling thud */
+  playMiss() {
+    if (!this.ctx || !this.enabled) return;
+    const t = this.ctx.currentTime;
+    const osc = this.ctx.createOscillator();
+    const gain = this.ctx.createGain();
+    osc.type = 'triangle';
+    osc.frequency.setValueAtTime(180, t);
+    osc.frequency.exponentialRampToValueAtTime(70, t + 0.25);
+    gain.gain.setValueAtTime(0.25, t);
+    gain.gain.exponentialRampToValueAtTime(0.001, t + 0.3);
+    osc.connect(gain).connect(this.ctx.destination);
+    osc.start(t);
+    osc.stop(t + 0.3);
+  }
+
   /** Heart pickup — pleasant rising chime */
   playHeart() {
     if (!this.ctx || !this.enabled) return;
@@ -0,0 +1,50 @@
+/**
+ * Shared blade geometry — the renderer draws it and the collision system
+ * tests against it, so what you see is what you slice.
+ */
+
+// Blade tip extends this fraction of the wrist→middle-tip length past the fingertips
+export const BLADE_EXTEND_FACTOR = 0.6;
+
+// Capsule radius as a fraction of palm width (index MCP ↔ pinky MCP)
+const BLADE_HALF_WIDTH = 0.3;
+
+/**
+ * Wrist → extended-tip segment for one hand.
+ * Works in any linear space: pass normalized landmarks to get normalized output.
+ * @param {Array} lm - 21 hand landmarks (mirrored)
+ * @returns {{ baseX: number, baseY: number, tipX: number, tipY: number, halfWidth: number } | null}
+ */
+export function getBladeSegment(lm) {
+  if (!lm || lm.length < 21) return null;
+
+  const wrist = lm[0];
+  const midTip = lm[12];
+  const dirX = midTip.x - wrist.x;
+  const dirY = midTip.y - wrist.y;
+
+  const palmWidth = Math.sqrt((lm[5].x - lm[17].x) ** 2 + (lm[5].y - lm[17].y) ** 2);
+
+  return {
+    baseX: wrist.x,
+    baseY: wrist.y,
+    tipX: midTip.x + dirX * BLADE_EXTEND_FACTOR,
+    tipY: midTip.y + dirY * BLADE_EXTEND_FACTOR,
+    halfWidth: palmWidth * BLADE_HALF_WIDTH,
+  };
+}
+
+/**
+ * Blade stretched from its base by `reach` (Long Blade power-up).
+ * Length and width both scale; reach 1 returns the segment unchanged.
+ */
+export function extendBlade(segment, reach) {
+  if (!segment || reach === 1) return segment;
+  return {
+    baseX: segment.baseX,
+    baseY: segment.baseY,
+    tipX: segment.baseX + (segment.tipX - segment.baseX) * reach,
+    tipY: segment.baseY + (segment.tipY - segment.baseY) * reach,
+    halfWidth: segment.halfWidth * reach,
+  };
+}
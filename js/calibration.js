@@ -0,0 +1,236 @@
+/**
+ * Player calibration: measures the player's body and reach from the webcam
+ * and maps the area they can reach onto the whole play field, so a short
+ * player far from the camera reaches the top fruit and a tall one up close
+ * doesn't overshoot.
+ *
+ * Steps, each passed by holding it for its `time` (s):
+ *   body   stand still, shoulders in view — shoulder width and arm length
+ *   reach  sweep both hands as high, wide and low as is comfortable
+ *   hand   raise the favorite hand over the head — handedness
+ *
+ * Positions are mirrored, normalized camera space, like PoseDetection's.
+ */
+export const CALIBRATION_STEPS = [
+  { id: 'body', text: 'Stand where you\'ll play, shoulders in view', time: 1 },
+  { id: 'reach', text: 'Reach as high, wide and low as you comfortably can', time: 4 },
+  { id: 'hand', text: 'Raise your favorite hand above your head', time: 0.5 },
+];
+
+// Narrowest reach area (camera widths / heights) — stops a still player zooming in absurdly
+const MIN_SPAN = 0.3;
+// Slack added around the measured reach, as a fraction of its span
+const MARGIN = 0.05;
+// Hand samples the reach step needs before trusting them over the body estimate
+const MIN_REACH_SAMPLES = 20;
+
+const SHOULDERS = [11, 12];
+const ARMS = { left: [11, 13, 15], right: [12, 14, 16] };
+
+function dist(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function visible(lm) {
+  return !!lm && (lm.visibility === undefined || lm.visibility > 0.5);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))))];
+}
+
+/**
+ * Body measurements from one pose, or null when the shoulders aren't in view.
+ * Arm length is the longer visible arm (shoulder → elbow → wrist), else an
+ * estimate from the shoulder width.
+ * @param {{x, y, visibility}[]} pose - mirrored pose landmarks
+ * @returns {{ shoulderWidth: number, armLength: number, center: {x, y} }|null}
+ */
+export function measureBody(pose) {
+  if (!pose) return null;
+  const [l, r] = SHOULDERS.map(i => pose[i]);
+  if (!visible(l) || !visible(r)) return null;
+
+  const shoulderWidth = dist(l, r);
+  let armLength = shoulderWidth * 1.2;
+  for (const [shoulder, elbow, wrist] of Object.values(ARMS)) {
+    if (visible(pose[elbow]) && visible(pose[wrist])) {
+      armLength = Math.max(armLength, dist(pose[shoulder], pose[elbow]) + dist(pose[elbow], pose[wrist]));
+    }
+  }
+  return { shoulderWidth, armLength, center: { x: (l.x + r.x) / 2, y: (l.y + r.y) / 2 } };
+}
+
+/** Clamp an area into the camera frame, at least MIN_SPAN each way */
+function fitArea(x0, y0, x1, y1) {
+  const fit = (lo, hi) => {
+    if (hi - lo < MIN_SPAN) {
+      const mid = (lo + hi) / 2;
+      lo = mid - MIN_SPAN / 2;
+      hi = mid + MIN_SPAN / 2;
+    }
+    const shift = Math.max(0, -lo) - Math.max(0, hi - 1);
+    return [Math.max(0, lo + shift), Math.min(1, hi + shift)];
+  };
+  const [fx0, fx1] = fit(x0, x1);
+  const [fy0, fy1] = fit(y0, y1);
+  return { x0: fx0, y0: fy0, x1: fx1, y1: fy1 };
+}
+
+/**
+ * Reachable area estimated from the body alone: arm's length around the
+ * shoulders, up to arm's length above them and half of it below.
+ */
+export function bodyArea({ shoulderWidth, armLength, center }) {
+  const half = shoulderWidth / 2 + armLength;
+  return fitArea(center.x - half, center.y - armLength, center.x + half, center.y + armLength * 0.5);
+}
+
+/**
+ * Reachable area from hand positions seen during the reach step. The
+ * outermost 2% on each side is dropped as tracking glitches.
+ * @param {{x, y}[]} samples
+ */
+export function reachArea(samples) {
+  const xs = samples.map(p => p.x).sort((a, b) => a - b);
+  const ys = samples.map(p => p.y).sort((a, b) => a - b);
+  const [x0, x1] = [percentile(xs, 0.02), percentile(xs, 0.98)];
+  const [y0, y1] = [percentile(ys, 0.02), percentile(ys, 0.98)];
+  const mx = (x1 - x0) * MARGIN;
+  const my = (y1 - y0) * MARGIN;
+  return fitArea(x0 - mx, y0 - my, x1 + mx, y1 + my);
+}
+
+/**
+ * A point in camera space → play field space. Points outside the reach area
+ * land off the field rather than being clamped, so motion stays continuous.
+ */
+export function toField(point, area) {
+  return {
+    ...point,
+    x: (point.x - area.x0) / (area.x1 - area.x0),
+    y: (point.y - area.y0) / (area.y1 - area.y0),
+  };
+}
+
+/** toField for a list of landmarks */
+export function landmarksToField(landmarks, area) {
+  return landmarks && landmarks.map(lm => toField(lm, area));
+}
+
+/**
+ * Runs the calibration steps on live tracking. Feed it every tracked frame;
+ * `result` is set once the last step is done.
+ */
+export class CalibrationSession {
+  constructor() {
+    // Callback: (step) when a new step starts
+    this.onStep = null;
+
+    this.stepIndex = 0;
+    this.stepTime = 0;         // seconds the current step has been held
+    this.lastT = null;
+    this.bodies = [];          // measureBody() results
+    this.reach = [];           // hand positions
+    this.raised = null;        // { side } — hand held above the head
+    this.result = null;
+  }
+
+  get step() {
+    return CALIBRATION_STEPS[this.stepIndex] || null;
+  }
+
+  /** Reach area measured so far, or null before there are enough samples */
+  get area() {
+    return this.reach.length >= MIN_REACH_SAMPLES ? reachArea(this.reach) : null;
+  }
+
+  /** Current step's progress in [0, 1] */
+  get progress() {
+    return this.step ? Math.min(1, this.stepTime / this.step.time) : 1;
+  }
+
+  /**
+   * @param {Object[]|null} pose - mirrored pose landmarks
+   * @param {Object} hands - { left, right } from PoseDetection.getHands()
+   * @param {number} t - time (s)
+   * @returns {boolean} true once calibration is complete
+   */
+  update(pose, hands, t) {
+    if (this.result) return true;
+    const dt = this.lastT === null ? 0 : Math.min(0.1, t - this.lastT);
+    this.lastT = t;
+    const body = measureBody(pose);
+
+    switch (this.step.id) {
+      case 'body':
+        if (body) {
+          this.bodies.push(body);
+          this.stepTime += dt;
+        }
+        break;
+      case 'reach':
+        for (const side of ['left', 'right']) {
+          if (hands[side].visible) this.reach.push({ x: hands[side].x, y: hands[side].y });
+        }
+        if (hands.left.visible || hands.right.visible) this.stepTime += dt;
+        break;
+      case 'hand': {
+        const side = this._raisedHand(hands, body);
+        if (side && this.raised && this.raised.side === side) {
+          this.stepTime += dt;
+        } else {
+          this.raised = side ? { side } : null;
+          this.stepTime = 0;
+        }
+        break;
+      }
+    }
+
+    if (this.stepTime >= this.step.time) this._next();
+    return !!this.result;
+  }
+
+  /** The one hand above the head, if exactly one is */
+  _raisedHand(hands, body) {
+    if (!body) return null;
+    const top = body.center.y - body.shoulderWidth;
+    const up = ['left', 'right'].filter(side => hands[side].visible && hands[side].y < top);
+    return up.length === 1 ? up[0] : null;
+  }
+
+  _next() {
+    this.stepIndex++;
+    this.stepTime = 0;
+    if (this.step) {
+      if (this.onStep) this.onStep(this.step);
+    } else {
+      this.result = this._finish();
+    }
+  }
+
+  _finish() {
+    const body = {
+      shoulderWidth: median(this.bodies.map(b => b.shoulderWidth)),
+      armLength: median(this.bodies.map(b => b.armLength)),
+      center: {
+        x: median(this.bodies.map(b => b.center.x)),
+        y: median(this.bodies.map(b => b.center.y)),
+      },
+    };
+    const area = this.area || bodyArea(body);
+    console.log('[Calibration] Reach area', area, 'handedness', this.raised.side);
+    return {
+      shoulderWidth: body.shoulderWidth,
+      armLength: body.armLength,
+      area,
+      handedness: this.raised.side,
+      date: new Date().toISOString(),
+    };
+  }
+}
@@ -1,32 +1,100 @@
+import { extendBlade } from './bladeGeometry.js';
+
+/** Slowest hand movement (normalized units/s) that cuts */
+export const MIN_SLICE_SPEED = 0.3;
+
 /**
  * Collision detection using bounding box + trajectory intersection.
+ * Hands with landmarks collide as the rendered blade (a wrist→tip capsule);
+ * pose-only hands fall back to a circle around the palm. Each new tracking
+ * sample is swept from the previous real sample (hand.prev), in the moving
+ * object's frame of reference, so fast swipes can't tunnel at low detection FPS.
  */
 export class CollisionSystem {
-  constructor() {
-    this.minSliceSpeed = 0.3;
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.clock] - returns current time in ms
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || (() => performance.now());
+    this.minSliceSpeed = MIN_SLICE_SPEED;
     this.handRadius = 0.05;
     // Track recently sliced object IDs to prevent double-hits on same swipe
     this.recentHits = new Map(); // id -> timestamp
     this.hitCooldown = 150; // ms cooldown before same object can be hit again
+    // Never sweep across a gap longer than this (hand was lost and re-acquired)
+    this.maxSweepGap = 250; // ms
+    // Timestamp of the last sample already swept, per side
+    this.lastSampleT = { left: null, right: null };
+    // Set by the engine from active power-ups
+    this.timeScale = 1; // objects move at v × timeScale (Freeze)
+    this.reach = 1;     // blade/palm size multiplier (Long Blade)
+  }
+
+  /** Forget hit cooldowns and sample history (call when a new run starts) */
+  reset() {
+    this.recentHits.clear();
+    this.lastSampleT = { left: null, right: null };
+    this.timeScale = 1;
+    this.reach = 1;
   }
 
-  checkCollision(hand, obj) {
+  /**
+   * @param {Object} hand - hand data from PoseDetection
+   * @param {Object} obj - game object
+   * @param {boolean} sweep - hand holds a new sample: test the path from hand.prev
+   */
+  checkCollision(hand, obj, sweep = true) {
     if (!hand.visible) return false;
     if (hand.speed < this.minSliceSpeed) return false;
 
+    const start = sweep ? this._sweepStart(hand, obj) : null;
+
+    if (hand.blade) {
+      const prevBlade = start && extendBlade(start.blade, this.reach);
+      return this._bladeSweepHitsCircle(prevBlade, extendBlade(hand.blade, this.reach), obj.x, obj.y, obj.radius);
+    }
+
     const dx = hand.x - obj.x;
     const dy = hand.y - obj.y;
     const dist = Math.sqrt(dx * dx + dy * dy);
-    const combinedRadius = this.handRadius + obj.radius;
+    const combinedRadius = this.handRadius * this.reach + obj.radius;
 
     if (dist < combinedRadius) return true;
+    if (!start) return false;
+    return this._lineCircleIntersect(start.x, start.y, hand.x, hand.y, obj.x, obj.y, combinedRadius);
+  }
+
+  /**
+   * Previous real sample, moved into the object's current frame of reference.
+   * The object travelled v·Δt between the two samples, so relative to where it
+   * is now the hand started at prev + v·Δt.
+   * @returns {{ x: number, y: number, blade: Object|null } | null}
+   */
+  _sweepStart(hand, obj) {
+    const prev = hand.prev;
+    if (!prev || hand.t === undefined) return null;
+
+    const gapMs = hand.t - prev.t;
+    if (gapMs <= 0 || gapMs > this.maxSweepGap) return null;
+
+    const ox = (obj.vx || 0) * this.timeScale * gapMs / 1000;
+    const oy = (obj.vy || 0) * this.timeScale * gapMs / 1000;
+    const blade = prev.blade ? {
+      baseX: prev.blade.baseX + ox,
+      baseY: prev.blade.baseY + oy,
+      tipX: prev.blade.tipX + ox,
+      tipY: prev.blade.tipY + oy,
+      halfWidth: prev.blade.halfWidth,
+    } : null;
 
-    const dt = 1 / 60;
-    const prevX = hand.x - hand.vx * dt;
-    const prevY = hand.y - hand.vy * dt;
-    return this._lineCircleIntersect(prevX, prevY, hand.x, hand.y, obj.x, obj.y, combinedRadius);
+    return { x: prev.x + ox, y: prev.y + oy, blade };
   }
 
+  /**
+   * Does segment (x1,y1)→(x2,y2) touch the circle at (cx,cy) with radius r?
+   * True if any point of the segment lies inside or on the circle.
+   */
   _lineCircleIntersect(x1, y1, x2, y2, cx, cy, r) {
     const dx = x2 - x1;
     const dy = y2 - y1;
@@ -37,6 +105,9 @@ export class CollisionSystem {
     const b = 2 * (fx * dx + fy * dy);
     const c = fx * fx + fy * fy - r * r;
 
+    // Degenerate segment (hand didn't move) — plain point-in-circle
+    if (a === 0) return c <= 0;
+
     let discriminant = b * b - 4 * a * c;
     if (discriminant < 0) return false;
 
@@ -44,11 +115,52 @@ export class CollisionSystem {
     const t1 = (-b - discriminant) / (2 * a);
     const t2 = (-b + discriminant) / (2 * a);
 
-    return (t1 >= 0 && t1 <= 1) || (t2 >= 0 && t2 <= 1);
+    // The segment is inside the circle for t in [t1, t2] — overlap with [0, 1]?
+    return t1 <= 1 && t2 >= 0;
+  }
+
+  /**
+   * Does the blade capsule, swept from `prev` to `curr`, touch the circle?
+   * The swept area is the quad base0→tip0→tip1→base1 plus both end capsules.
+   */
+  _bladeSweepHitsCircle(prev, curr, cx, cy, radius) {
+    const r = radius + curr.halfWidth;
+    const near = (x1, y1, x2, y2) => this._pointSegmentDistance(cx, cy, x1, y1, x2, y2) <= r;
+
+    if (near(curr.baseX, curr.baseY, curr.tipX, curr.tipY)) return true;
+    if (!prev) return false;
+
+    if (near(prev.baseX, prev.baseY, prev.tipX, prev.tipY)) return true;
+    if (near(prev.tipX, prev.tipY, curr.tipX, curr.tipY)) return true;
+    if (near(prev.baseX, prev.baseY, curr.baseX, curr.baseY)) return true;
+
+    // Fully inside the swept quad (split into two triangles)
+    return this._pointInTriangle(cx, cy, prev.baseX, prev.baseY, prev.tipX, prev.tipY, curr.tipX, curr.tipY) ||
+      this._pointInTriangle(cx, cy, prev.baseX, prev.baseY, curr.tipX, curr.tipY, curr.baseX, curr.baseY);
+  }
+
+  _pointSegmentDistance(px, py, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lenSq = dx * dx + dy * dy;
+    let t = lenSq > 0 ? ((px - x1) * dx + (py - y1) * dy) / lenSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    const ex = x1 + dx * t - px;
+    const ey = y1 + dy * t - py;
+    return Math.sqrt(ex * ex + ey * ey);
+  }
+
+  _pointInTriangle(px, py, ax, ay, bx, by, cx, cy) {
+    const d1 = (px - bx) * (ay - by) - (ax - bx) * (py - by);
+    const d2 = (px - cx) * (by - cy) - (bx - cx) * (py - cy);
+    const d3 = (px - ax) * (cy - ay) - (cx - ax) * (py - ay);
+    const hasNeg = d1 < 0 || d2 < 0 || d3 < 0;
+    const hasPos = d1 > 0 || d2 > 0 || d3 > 0;
+    return !(hasNeg && hasPos);
   }
 
   checkAll(hands, objects) {
-    const now = performance.now();
+    const now = this.clock();
     const hits = [];
 
     // Clean old cooldowns
@@ -56,21 +168,29 @@ export class CollisionSystem {
       if (now - t > this.hitCooldown) this.recentHits.delete(id);
     }
 
+    // Only sweep a sample once; a stale sample is just tested where it is
+    const fresh = {};
+    for (const side of ['left', 'right']) {
+      fresh[side] = hands[side].t !== this.lastSampleT[side];
+    }
+
     for (const obj of objects) {
       if (obj.fading) continue;
 
       // Check cooldown
       if (this.recentHits.has(obj.id)) continue;
 
-      for (const side of ['left', 'right']) {
-        const hand = hands[side];
-        if (this.checkCollision(hand, obj)) {
-          hits.push({ object: obj, hand, side });
-          this.recentHits.set(obj.id, now);
-          break;
-        }
+      // Both blades can meet in the same object (an X-slash); `side` is the first
+      const sides = ['left', 'right'].filter(side => this.checkCollision(hands[side], obj, fresh[side]));
+      if (sides.length > 0) {
+        hits.push({ object: obj, hand: hands[sides[0]], side: sides[0], sides });
+        this.recentHits.set(obj.id, now);
       }
     }
+
+    for (const side of ['left', 'right']) {
+      if (hands[side].visible) this.lastSampleT[side] = hands[side].t;
+    }
     return hits;
   }
 }
@@ -0,0 +1,55 @@
+/**
+ * Combo tuning.
+ *
+ * Two kinds of combo stack on top of each other:
+ *   chain        slices landed within the combo window of each other — the
+ *                running `combo` multiplier, named by COMBO_TIERS
+ *   multi-slice  whole fruit cut by one continuous stroke of one hand —
+ *                paid out as a bonus when the stroke ends
+ *
+ *   multiSliceMin       fruit one stroke must cut to earn the bonus
+ *   multiSlicePoints    bonus per fruit in the stroke
+ *   criticalChance      chance a fruit slice is a critical hit
+ *   criticalMultiplier  points multiplier for a critical hit
+ */
+export const COMBO_RULES = {
+  multiSliceMin: 3,
+  multiSlicePoints: 10,
+  criticalChance: 0.05,
+  criticalMultiplier: 3,
+};
+
+/** Named chain tiers, lowest first. `level` drives visual and audio escalation. */
+export const COMBO_TIERS = [
+  { level: 1, min: 3, name: 'Nice', color: '#8be9fd' },
+  { level: 2, min: 5, name: 'Great', color: '#50fa7b' },
+  { level: 3, min: 8, name: 'Awesome', color: '#f1fa8c' },
+  { level: 4, min: 12, name: 'Insane', color: '#ffb86c' },
+  { level: 5, min: 20, name: 'Legendary', color: '#ff79c6' },
+];
+
+/**
+ * Highest tier a chain of `combo` slices has reached, or null below the first.
+ */
+export function comboTier(combo) {
+  let tier = null;
+  for (const t of COMBO_TIERS) {
+    if (combo >= t.min) tier = t;
+  }
+  return tier;
+}
+
+/**
+ * Where score comes from, for the game-over breakdown. Every point the
+ * engine awards or takes away is booked to exactly one of these.
+ *
+ *   slices      base fruit points (× piece generation)
+ *   special     pomegranate hits and bursts
+ *   combo       extra from the chain multiplier
+ *   multiSlice  multi-slice stroke bonuses
+ *   critical    extra from critical hits
+ *   techniques  X-slash, clap-through and rhythm bonuses (see techniques.js)
+ *   powerUps    extra from Double Points
+ *   bombs       points lost to bombs (negative)
+ */
+export const SCORE_SOURCES = ['slices', 'special', 'combo', 'multiSlice', 'critical', 'techniques', 'powerUps', 'bombs'];
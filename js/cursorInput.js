@@ -0,0 +1,264 @@
+import { createHand, trackHand } from './handMotion.js';
+
+/**
+ * Gamepad and keyboard input — no body tracking or wide arm swings needed.
+ * Each hand is an on-screen cursor steered by a stick or keys; holding the
+ * hand's blade button ignites its blade. A moving cursor with its blade out
+ * slices like a swiping hand.
+ * Exposes the same getters as PoseDetection so the game loop can use either.
+ *
+ *   cursorSpeed       screen widths per second at full deflection
+ *   sliceSensitivity  divides the minimum hand speed that cuts (see
+ *                     CollisionSystem.minSliceSpeed) — higher cuts with
+ *                     slower cursor movement
+ */
+export const CURSOR_DEFAULTS = {
+  cursorSpeed: 1.2,
+  sliceSensitivity: 1,
+};
+
+// Stick deflection below this is treated as centered
+const STICK_DEADZONE = 0.15;
+// Analog trigger travel that ignites the blade
+const TRIGGER_THRESHOLD = 0.3;
+// Longest step between two samples (s) — a stalled tab shouldn't teleport cursors
+const MAX_STEP = 0.05;
+
+/**
+ * Base for cursor-driven inputs. Subclasses implement _poll(), returning the
+ * controls held this frame: [{ player, side, dx, dy, blade }] with dx, dy in
+ * [-1, 1]. A cursor whose control is not reported is hidden.
+ */
+export class CursorInput {
+  constructor(settings = {}) {
+    this.cursorSpeed = settings.cursorSpeed ?? CURSOR_DEFAULTS.cursorSpeed;
+    this.sliceSensitivity = settings.sliceSensitivity ?? CURSOR_DEFAULTS.sliceSensitivity;
+    this.playerCount = 1;
+    this.lastTimestamp = null;
+
+    // `${player}:${side}` -> { x, y, hand, history }
+    this.cursors = new Map();
+    this.players = [this._createPlayer(), this._createPlayer()];
+  }
+
+  _createPlayer() {
+    return {
+      hands: { left: createHand(), right: createHand() },
+      handLandmarks: { left: null, right: null },
+      handOpen: { left: false, right: false },
+      prevHandOpen: { left: false, right: false },
+    };
+  }
+
+  async setPlayerCount(count) {
+    this.playerCount = count;
+    this.reset();
+  }
+
+  /** Cursors back to their starting spots */
+  reset() {
+    this.cursors.clear();
+    this.lastTimestamp = null;
+  }
+
+  /**
+   * Screen area a player's cursors may move in: their half in two-player.
+   * @returns {{ x0: number, x1: number }}
+   */
+  _bounds(player) {
+    return { x0: player / this.playerCount, x1: (player + 1) / this.playerCount };
+  }
+
+  _cursor(player, side) {
+    const key = `${player}:${side}`;
+    let cursor = this.cursors.get(key);
+    if (!cursor) {
+      const { x0, x1 } = this._bounds(player);
+      cursor = {
+        x: x0 + (x1 - x0) * (side === 'left' ? 0.35 : 0.65),
+        y: 0.6,
+        hand: createHand(),
+        history: [],
+      };
+      this.cursors.set(key, cursor);
+    }
+    return cursor;
+  }
+
+  /** Device-specific: the controls held right now */
+  _poll() {
+    return [];
+  }
+
+  /**
+   * Move every cursor by its control and sample it, once per frame.
+   * @param {number} timestamp - performance.now()
+   */
+  detect(timestamp) {
+    const dt = this.lastTimestamp === null ? 0 : Math.min(MAX_STEP, (timestamp - this.lastTimestamp) / 1000);
+    this.lastTimestamp = timestamp;
+
+    for (const player of this.players) {
+      for (const side of ['left', 'right']) {
+        player.prevHandOpen[side] = player.handOpen[side];
+        player.hands[side].visible = false;
+        player.handOpen[side] = false;
+      }
+    }
+
+    for (const { player, side, dx, dy, blade } of this._poll()) {
+      if (player >= this.playerCount) continue;
+      const cursor = this._cursor(player, side);
+      const { x0, x1 } = this._bounds(player);
+      cursor.x = Math.max(x0, Math.min(x1, cursor.x + dx * this.cursorSpeed * dt));
+      cursor.y = Math.max(0, Math.min(1, cursor.y + dy * this.cursorSpeed * dt));
+      trackHand(cursor.hand, cursor.history, cursor.x, cursor.y, timestamp);
+
+      Object.assign(this.players[player].hands[side], cursor.hand);
+      this.players[player].handOpen[side] = blade;
+    }
+  }
+
+  getPoseLandmarks() {
+    return null;
+  }
+
+  getHands(player = 0) {
+    return this.players[player].hands;
+  }
+
+  getHandLandmarks(player = 0) {
+    return this.players[player].handLandmarks;
+  }
+
+  getHandOpen(player = 0) {
+    return this.players[player].handOpen;
+  }
+
+  getPrevHandOpen(player = 0) {
+    return this.players[player].prevHandOpen;
+  }
+
+  getConnections() {
+    return [];
+  }
+}
+
+/** Stick value with the deadzone removed, rescaled so it still reaches ±1 */
+function stick(value) {
+  if (Math.abs(value) < STICK_DEADZONE) return 0;
+  return Math.sign(value) * (Math.abs(value) - STICK_DEADZONE) / (1 - STICK_DEADZONE);
+}
+
+function held(button) {
+  return !!button && (button.pressed || button.value > TRIGGER_THRESHOLD);
+}
+
+/**
+ * Gamepad API, standard mapping: left stick + left trigger (or bumper) is the
+ * left hand, right stick + right trigger (or bumper) the right. In two-player
+ * mode the second connected pad is player 2.
+ */
+export class GamepadInput extends CursorInput {
+  /**
+   * @param {Object} [settings] - cursorSpeed, sliceSensitivity
+   * @param {Function} [settings.getGamepads] - defaults to navigator.getGamepads()
+   */
+  constructor(settings = {}) {
+    super(settings);
+    this.getGamepads = settings.getGamepads || (() => navigator.getGamepads());
+    this.startWasDown = false;
+  }
+
+  _pads() {
+    return [...this.getGamepads()].filter(pad => pad && pad.connected);
+  }
+
+  /**
+   * True once per press of Start (button 9) on any pad — lets menus outside
+   * the game loop be driven from the controller.
+   */
+  startPressed() {
+    const down = this._pads().some(pad => held(pad.buttons[9]));
+    const pressed = down && !this.startWasDown;
+    this.startWasDown = down;
+    return pressed;
+  }
+
+  _poll() {
+    const controls = [];
+    this._pads().slice(0, this.playerCount).forEach((pad, player) => {
+      const { axes, buttons } = pad;
+      controls.push(
+        { player, side: 'left', dx: stick(axes[0] || 0), dy: stick(axes[1] || 0), blade: held(buttons[6]) || held(buttons[4]) },
+        { player, side: 'right', dx: stick(axes[2] || 0), dy: stick(axes[3] || 0), blade: held(buttons[7]) || held(buttons[5]) },
+      );
+    });
+    return controls;
+  }
+}
+
+/**
+ * Keyboard (KeyboardEvent.code) bindings: one hand per key group.
+ * Single player plays both hands; in two-player each player steers one.
+ */
+export const KEY_BINDINGS = [
+  { up: 'KeyW', down: 'KeyS', left: 'KeyA', right: 'KeyD', blade: ['Space', 'ShiftLeft'] },
+  { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight', blade: ['Enter', 'ShiftRight'] },
+];
+
+export class KeyboardInput extends CursorInput {
+  constructor(settings = {}) {
+    super(settings);
+    this.pressed = new Set();
+    this.target = null;
+    this._onKeyDown = (e) => this._keyDown(e);
+    this._onKeyUp = (e) => this.pressed.delete(e.code);
+    this._onBlur = () => this.pressed.clear();
+  }
+
+  /** Start listening for keys (normally on window) */
+  attach(target) {
+    if (this.target === target) return;
+    this.detach();
+    this.target = target;
+    target.addEventListener('keydown', this._onKeyDown);
+    target.addEventListener('keyup', this._onKeyUp);
+    target.addEventListener('blur', this._onBlur);
+  }
+
+  detach() {
+    if (!this.target) return;
+    this.target.removeEventListener('keydown', this._onKeyDown);
+    this.target.removeEventListener('keyup', this._onKeyUp);
+    this.target.removeEventListener('blur', this._onBlur);
+    this.target = null;
+    this.pressed.clear();
+  }
+
+  _keyDown(e) {
+    const bound = KEY_BINDINGS.some(b => [b.up, b.down, b.left, b.right, ...b.blade].includes(e.code));
+    if (!bound) return;
+    this.pressed.add(e.code);
+    e.preventDefault(); // no page scrolling on arrows / space
+  }
+
+  _poll() {
+    return KEY_BINDINGS.map((b, i) => {
+      let dx = (this.pressed.has(b.right) ? 1 : 0) - (this.pressed.has(b.left) ? 1 : 0);
+      let dy = (this.pressed.has(b.down) ? 1 : 0) - (this.pressed.has(b.up) ? 1 : 0);
+      // Diagonals are no faster than straight lines
+      if (dx && dy) {
+        dx *= Math.SQRT1_2;
+        dy *= Math.SQRT1_2;
+      }
+      return {
+        player: this.playerCount > 1 ? i : 0,
+        side: this.playerCount > 1 ? 'right' : (i === 0 ? 'left' : 'right'),
+        dx,
+        dy,
+        blade: b.blade.some(code => this.pressed.has(code)),
+      };
+    });
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Adaptive detection scheduler: decides when the webcam landmarkers run and
+ * at what input size, so slow machines keep a playable frame rate.
+ *
+ *   hands    detected at the current quality level's rate, not every frame;
+ *            the hands glide in between (see handInterpolator.js)
+ *   pose     only every `poseInterval`-th detection while every hand is in
+ *            view — the pose is then just the skeleton and a wrist fallback
+ *   quality  when display frames or inference run over budget for a while,
+ *            step down QUALITY_LEVELS (smaller input, then a lower hand
+ *            rate); step back up once there's headroom again
+ */
+
+// Best first. MediaPipe resizes internally, so a smaller input mostly saves the frame copy
+export const QUALITY_LEVELS = [
+  { scale: 1, handRate: 30 },
+  { scale: 0.75, handRate: 30 },
+  { scale: 0.5, handRate: 30 },
+  { scale: 0.5, handRate: 20 },
+  { scale: 0.5, handRate: 15 },
+];
+
+export const SCHEDULER_DEFAULTS = {
+  frameBudget: 20,   // ms per display frame (50 fps) before quality steps down
+  poseInterval: 3,   // pose on every 3rd detection while all hands are visible
+  downDelay: 1000,   // ms over budget before stepping down
+  upDelay: 3000,     // ms with headroom before stepping up (doubles after each step down)
+};
+
+// Fraction of the detection interval inference must stay under before stepping back up.
+// Frames only need to be within budget: they can't beat the display's refresh.
+const HEADROOM = 0.75;
+// How quickly the cost averages follow new measurements
+const COST_RATE = 0.1;
+// Display frames longer than this (ms) are pauses, not slow frames
+const MAX_FRAME_GAP = 200;
+const MAX_UP_DELAY = 30000;
+
+function ema(average, value) {
+  return average === null ? value : average + (value - average) * COST_RATE;
+}
+
+export class DetectionScheduler {
+  /** @param {Object} [options] - overrides of SCHEDULER_DEFAULTS */
+  constructor(options = {}) {
+    Object.assign(this, SCHEDULER_DEFAULTS, options);
+    this.level = 0;
+    this.frameMs = null;    // average display frame time
+    this.detectMs = null;   // average inference cost of one detection
+    this.poseMs = null;
+    this.handMs = null;
+    this.rate = 0;          // detections completed in the last second
+    this.lastFrame = null;
+    this.lastDetection = -Infinity;
+    this.posesSkipped = 0;
+    this.poseThinned = false;  // pose skipped on some detections, as all hands are visible
+    this.overSince = null;
+    this.underSince = null;
+    this.completed = 0;
+    this.rateStart = null;
+  }
+
+  /** The current quality level: { scale, handRate } */
+  get settings() {
+    return QUALITY_LEVELS[this.level];
+  }
+
+  /**
+   * Call on every display frame; measures frame time and adapts quality.
+   * @param {number} t - ms
+   */
+  frame(t) {
+    if (this.lastFrame !== null && t - this.lastFrame < MAX_FRAME_GAP) {
+      this.frameMs = ema(this.frameMs, t - this.lastFrame);
+    }
+    this.lastFrame = t;
+
+    if (this.rateStart === null) this.rateStart = t;
+    if (t - this.rateStart >= 1000) {
+      this.rate = Math.round(this.completed * 1000 / (t - this.rateStart));
+      this.completed = 0;
+      this.rateStart = t;
+    }
+    this._adapt(t);
+  }
+
+  /**
+   * What to run now, or null when no detection is due yet.
+   * @param {number} t - ms
+   * @param {boolean} allHandsVisible - every player's hands were in the last detection
+   * @returns {{ pose: boolean, scale: number }|null}
+   */
+  plan(t, allHandsVisible) {
+    // A little early beats a whole display frame late
+    if (t - this.lastDetection < 0.9 * 1000 / this.settings.handRate) return null;
+    this.lastDetection = t;
+    this.poseThinned = allHandsVisible;
+    const pose = !allHandsVisible || this.posesSkipped >= this.poseInterval - 1;
+    this.posesSkipped = pose ? 0 : this.posesSkipped + 1;
+    return { pose, scale: this.settings.scale };
+  }
+
+  /**
+   * Inference costs of a finished detection.
+   * @param {{ poseMs: number|null, handMs: number|null }} timings - null for a model that didn't run
+   */
+  record({ poseMs = null, handMs = null } = {}) {
+    if (poseMs !== null) this.poseMs = ema(this.poseMs, poseMs);
+    if (handMs !== null) this.handMs = ema(this.handMs, handMs);
+    this.detectMs = ema(this.detectMs, (poseMs ?? 0) + (handMs ?? 0));
+    this.completed++;
+  }
+
+  _adapt(t) {
+    const interval = 1000 / this.settings.handRate;
+    const over = this.frameMs > this.frameBudget || this.detectMs > interval;
+    const under = this.frameMs !== null && this.frameMs <= this.frameBudget &&
+      (this.detectMs ?? 0) < interval * HEADROOM;
+
+    this.overSince = over ? this.overSince ?? t : null;
+    this.underSince = under ? this.underSince ?? t : null;
+
+    if (over && this.level < QUALITY_LEVELS.length - 1 && t - this.overSince >= this.downDelay) {
+      this.level++;
+      this.upDelay = Math.min(MAX_UP_DELAY, this.upDelay * 2);
+      this.overSince = null;
+      console.log('[DetectionScheduler] Over budget — down to', this.describe());
+    } else if (under && this.level > 0 && t - this.underSince >= this.upDelay) {
+      this.level--;
+      this.underSince = null;
+      console.log('[DetectionScheduler] Headroom — up to', this.describe());
+    }
+  }
+
+  /**
+   * For the FPS overlay, e.g. "hands 28/30 Hz • pose 1/3 • 75% • 12 ms":
+   * detections per second / target, pose share, input scale, inference cost.
+   * @param {{ pose?: boolean }} [tracked] - pose: false leaves the pose out
+   */
+  describe({ pose = true } = {}) {
+    const { scale, handRate } = this.settings;
+    const parts = [`hands ${this.rate}/${handRate} Hz`];
+    if (pose) parts.push(`pose ${this.poseThinned ? `1/${this.poseInterval}` : 'all'}`);
+    parts.push(`${Math.round(scale * 100)}%`, `${this.detectMs === null ? '–' : Math.round(this.detectMs)} ms`);
+    return parts.join(' • ');
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Detection worker — runs the MediaPipe landmarkers off the render thread.
+ * PoseDetection posts video frames as ImageBitmaps and reads the landmarks
+ * back whenever they're ready, so inference never holds up a frame.
+ *
+ * A classic (not module) worker: MediaPipe loads its WASM glue with
+ * importScripts, which module workers lack. Modules come in through import().
+ *
+ *   in   { type: 'init', id, assets, tracking, playerCount }
+ *        { type: 'tracking', id, tracking }    reload the models
+ *        { type: 'playerCount', id, count }
+ *        { type: 'detect', frame, timestamp, pose }  frame: ImageBitmap, transferred;
+ *                                              pose: false skips the pose this time
+ *   out  { type: 'ready', id, status } | { type: 'error', id, message }  id: the request's
+ *        { type: 'results', timestamp, pose, hands, timings }  timings: { poseMs, handMs }
+ */
+let setup = null;     // trackingSetup.js
+let vision = null;    // MediaPipe tasks-vision
+let fileset = null;
+let assets = null;
+let playerCount = 1;
+let landmarkers = { pose: null, hands: null };
+
+async function loadModels(tracking) {
+  if (landmarkers.pose) landmarkers.pose.close();
+  if (landmarkers.hands) landmarkers.hands.close();
+  landmarkers = { pose: null, hands: null };
+  const { pose, hands, status } = await setup.createLandmarkers(vision, fileset, assets, tracking, playerCount);
+  landmarkers = { pose, hands };
+  return status;
+}
+
+function detect(frame, timestamp, runPose) {
+  const results = { type: 'results', timestamp, pose: null, hands: null, timings: { poseMs: null, handMs: null } };
+  try {
+    if (landmarkers.pose && runPose) {
+      const start = performance.now();
+      const { landmarks } = landmarkers.pose.detectForVideo(frame, timestamp);
+      results.pose = { landmarks };
+      results.timings.poseMs = performance.now() - start;
+    }
+    if (landmarkers.hands) {
+      const start = performance.now();
+      const { landmarks, handednesses } = landmarkers.hands.detectForVideo(frame, timestamp);
+      results.hands = { landmarks, handednesses };
+      results.timings.handMs = performance.now() - start;
+    }
+  } catch (e) {
+    // skip frame on error
+  }
+  frame.close();
+  self.postMessage(results);
+}
+
+self.onmessage = async ({ data }) => {
+  try {
+    switch (data.type) {
+      case 'init':
+        setup = await import('./trackingSetup.js');
+        vision = await import(data.assets.bundle);
+        fileset = await vision.FilesetResolver.forVisionTasks(data.assets.wasm);
+        assets = data.assets;
+        playerCount = data.playerCount;
+        self.postMessage({ type: 'ready', id: data.id, status: await loadModels(data.tracking) });
+        break;
+      case 'tracking':
+        self.postMessage({ type: 'ready', id: data.id, status: await loadModels(data.tracking) });
+        break;
+      case 'playerCount':
+        playerCount = data.count;
+        if (landmarkers.pose) await landmarkers.pose.setOptions({ numPoses: playerCount });
+        if (landmarkers.hands) await landmarkers.hands.setOptions({ numHands: playerCount * 2 });
+        self.postMessage({ type: 'ready', id: data.id });
+        break;
+      case 'detect':
+        detect(data.frame, data.timestamp, data.pose);
+        break;
+    }
+  } catch (err) {
+    console.error('[DetectionWorker]', err);
+    self.postMessage({ type: 'error', id: data.id, message: String(err && err.message || err) });
+  }
+};
@@ -0,0 +1,170 @@
+/**
+ * Data-driven difficulty profiles.
+ *
+ * A profile is plain JSON so it can be tuned and shared without touching
+ * engine code:
+ *
+ *   {
+ *     "name": "Normal",
+ *     "gravity": 0.4,
+ *     "curves": {
+ *       "spawnInterval": [[0, 1.5], [366.7, 0.4]],
+ *       "waveSize":      [[0, 1], [40, 3]],
+ *       "bombChance":    [[0, 0.12], [130, 0.25]],
+ *       "heartChance":   [[0, 0.06]],
+ *       "powerUpChance": [[0, 0.05]],
+ *       "speed":         [[0, 1]]
+ *     },
+ *     "patterns": { "random": 6, "row": 1, "arc": 1, "zigzag": 1, "bombRing": 1, "volley": 1 },
+ *     "sequence": []
+ *   }
+ *
+ * Curves are [elapsedSeconds, value] keyframes, linearly interpolated and
+ * held flat before the first and after the last keyframe.
+ *
+ *   spawnInterval  seconds between waves
+ *   waveSize       objects per wave = 1 + floor(random × waveSize)
+ *   bombChance     probability a spawned object is a bomb
+ *   heartChance    probability a spawned object is a heart
+ *   powerUpChance  probability a spawned object is a power-up (modes with power-ups)
+ *   speed          multiplier on launch velocity
+ *
+ * `patterns` weights the wave patterns in waveSpawner.js; `sequence` lists
+ * pattern ids to play in order at the start of a run before weighting
+ * takes over.
+ */
+
+import { WAVE_PATTERNS } from './waveSpawner.js';
+
+export const CURVE_KEYS = ['spawnInterval', 'waveSize', 'bombChance', 'heartChance', 'powerUpChance', 'speed'];
+
+// The original hard-coded tuning
+export const NORMAL_PROFILE = {
+  name: 'Normal',
+  gravity: 0.4,
+  curves: {
+    spawnInterval: [[0, 1.5], [366.7, 0.4]],
+    waveSize: [[0, 1], [40, 3]],
+    bombChance: [[0, 0.12], [130, 0.25]],
+    heartChance: [[0, 0.06]],
+    powerUpChance: [[0, 0.05]],
+    speed: [[0, 1]],
+  },
+  patterns: { random: 6, row: 1, arc: 1, zigzag: 1, bombRing: 1, volley: 1 },
+  sequence: [],
+};
+
+// Shipped profiles, served from difficulty/<id>.json
+export const BUILTIN_PROFILES = ['easy', 'normal', 'hard'];
+
+export class DifficultyProfile {
+  /**
+   * @param {Object} data - profile JSON (missing curves and patterns fall back to Normal)
+   * @throws {Error} if a curve or pattern is malformed
+   */
+  constructor(data) {
+    this.name = data.name || 'Custom';
+    this.gravity = typeof data.gravity === 'number' ? data.gravity : NORMAL_PROFILE.gravity;
+    this.curves = {};
+
+    const curves = data.curves || {};
+    for (const key of Object.keys(curves)) {
+      if (!CURVE_KEYS.includes(key)) throw new Error(`Unknown difficulty curve "${key}"`);
+    }
+    for (const key of CURVE_KEYS) {
+      const curve = curves[key] || NORMAL_PROFILE.curves[key];
+      this.curves[key] = DifficultyProfile._validateCurve(key, curve);
+    }
+
+    this.patterns = DifficultyProfile._validatePatterns(data.patterns || NORMAL_PROFILE.patterns);
+    this.sequence = DifficultyProfile._validateSequence(data.sequence || []);
+  }
+
+  static _validateCurve(key, curve) {
+    if (!Array.isArray(curve) || curve.length === 0) {
+      throw new Error(`Difficulty curve "${key}" needs at least one [time, value] keyframe`);
+    }
+    let lastT = -Infinity;
+    for (const frame of curve) {
+      if (!Array.isArray(frame) || frame.length !== 2 || !frame.every(Number.isFinite)) {
+        throw new Error(`Difficulty curve "${key}" has a bad keyframe: ${JSON.stringify(frame)}`);
+      }
+      if (frame[0] < lastT) {
+        throw new Error(`Difficulty curve "${key}" keyframes must be sorted by time`);
+      }
+      lastT = frame[0];
+    }
+    return curve.map(([t, v]) => [t, v]);
+  }
+
+  static _validatePatterns(patterns) {
+    let total = 0;
+    for (const [id, weight] of Object.entries(patterns)) {
+      if (!WAVE_PATTERNS[id]) throw new Error(`Unknown wave pattern "${id}"`);
+      if (!Number.isFinite(weight) || weight < 0) {
+        throw new Error(`Wave pattern "${id}" needs a non-negative weight`);
+      }
+      total += weight;
+    }
+    if (total <= 0) throw new Error('Wave patterns need at least one positive weight');
+    return { ...patterns };
+  }
+
+  static _validateSequence(sequence) {
+    if (!Array.isArray(sequence)) throw new Error('Wave sequence must be a list of pattern ids');
+    for (const id of sequence) {
+      if (!WAVE_PATTERNS[id]) throw new Error(`Unknown wave pattern "${id}"`);
+    }
+    return [...sequence];
+  }
+
+  /** Parse a JSON string into a profile */
+  static fromJSON(text) {
+    return new DifficultyProfile(JSON.parse(text));
+  }
+
+  /**
+   * Value of one curve at `elapsed` seconds.
+   */
+  sample(key, elapsed) {
+    const curve = this.curves[key];
+    if (elapsed <= curve[0][0]) return curve[0][1];
+
+    for (let i = 1; i < curve.length; i++) {
+      const [t1, v1] = curve[i];
+      if (elapsed <= t1) {
+        const [t0, v0] = curve[i - 1];
+        const k = t1 > t0 ? (elapsed - t0) / (t1 - t0) : 1;
+        return v0 + (v1 - v0) * k;
+      }
+    }
+    return curve[curve.length - 1][1];
+  }
+
+  /** Every curve sampled at `elapsed` seconds */
+  at(elapsed) {
+    const values = {};
+    for (const key of CURVE_KEYS) values[key] = this.sample(key, elapsed);
+    return values;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      gravity: this.gravity,
+      curves: this.curves,
+      patterns: this.patterns,
+      sequence: this.sequence,
+    };
+  }
+}
+
+/**
+ * Fetch and parse a profile (e.g. difficulty/hard.json).
+ * @throws {Error} on network or validation failure
+ */
+export async function loadDifficultyProfile(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} not found (${response.status})`);
+  return DifficultyProfile.fromJSON(await response.text());
+}
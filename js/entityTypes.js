@@ -0,0 +1,190 @@
+import { POWER_UPS } from './powerUps.js';
+
+/**
+ * Entity-type registry. Every object on the field has a `type` naming one
+ * of these definitions; the engine, renderer and main.js read behaviour and
+ * visuals from here instead of checking per-kind flags.
+ *
+ *   kind         'fruit' | 'bomb' | 'heart' | 'powerUp' — which spawn chance rolls it
+ *   weight       relative spawn weight among types of the same kind
+ *   radius       [min, max] collision/render radius
+ *   hit          what slicing it does:
+ *                  'slice'    split into halves, score points
+ *                  'multiHit' stop in mid-air and take up to maxSlices hits within
+ *                             burstWindow seconds (hitPoints each), then burst for
+ *                             points scaled by the hits landed
+ *                  'cluster'  break into clusterCount whole clusterOf fruit
+ *                  'bomb' | 'heart' | 'powerUp'
+ *   points       score for slicing a whole one (burst bonus for multiHit)
+ *   missable     letting it fall off screen counts as a miss
+ *   emoji        what the renderer draws
+ *   filter       canvas filter applied to the emoji (e.g. gold tint)
+ *   color        glow, juice and particle color
+ *   effect       extra render effect: 'pulse' | 'aura' | 'shine' | 'cracks' | 'bunch' | null
+ *   sound        audio cue played on hit (see AudioSystem.playCue)
+ *   powerUp      power-up id started on hit (powerUp types)
+ *
+ * Adding a fruit or hazard is one registerEntityType() call.
+ */
+export const ENTITY_TYPES = {};
+
+export const HIT_BEHAVIORS = ['slice', 'multiHit', 'cluster', 'bomb', 'heart', 'powerUp'];
+
+const DEFAULTS = {
+  weight: 1,
+  radius: [0.03, 0.03],
+  points: 0,
+  missable: false,
+  filter: null,
+  effect: null,
+  sound: null,
+  powerUp: null,
+};
+
+/**
+ * Add (or replace) an entity type.
+ * @param {Object} def - { id, kind, hit, emoji, color, ... } — see above
+ * @throws {Error} if the definition is missing required fields
+ */
+export function registerEntityType(def) {
+  if (!def.id || !def.kind || !def.emoji || !def.color) {
+    throw new Error(`Entity type ${def.id || '(no id)'} needs id, kind, emoji and color`);
+  }
+  if (!HIT_BEHAVIORS.includes(def.hit)) {
+    throw new Error(`Entity type ${def.id} has unknown hit behavior "${def.hit}"`);
+  }
+  ENTITY_TYPES[def.id] = { ...DEFAULTS, ...def };
+  return ENTITY_TYPES[def.id];
+}
+
+/** Definition for a type id — throws on unknown ids so typos surface early */
+export function getEntityType(id) {
+  const def = ENTITY_TYPES[id];
+  if (!def) throw new Error(`Unknown entity type "${id}"`);
+  return def;
+}
+
+/** All registered types of one kind */
+export function typesOfKind(kind) {
+  return Object.values(ENTITY_TYPES).filter(def => def.kind === kind);
+}
+
+/**
+ * Weighted pick among the types of one kind.
+ * @param {Object} rng - PRNG with next()
+ */
+export function pickEntityType(rng, kind) {
+  const defs = typesOfKind(kind);
+  let total = 0;
+  for (const def of defs) total += def.weight;
+  let roll = rng.next() * total;
+  for (const def of defs) {
+    roll -= def.weight;
+    if (roll < 0) return def;
+  }
+  return defs[defs.length - 1];
+}
+
+// --- Built-in types ---
+
+const fruit = (id, emoji, color) => registerEntityType({
+  id,
+  kind: 'fruit',
+  radius: [0.028, 0.042],
+  hit: 'slice',
+  points: 10,
+  missable: true,
+  emoji,
+  color,
+  sound: 'slice',
+});
+
+fruit('apple', '🍎', '#e8333a');
+fruit('orange', '🍊', '#ff8c1a');
+fruit('lemon', '🍋', '#ffe033');
+fruit('lime', '🍈', '#6dcc3a');
+fruit('grape', '🍇', '#9b4dca');
+fruit('watermelon', '🍉', '#ff4d6a');
+
+// Special fruit — rarer than the basics
+
+registerEntityType({
+  id: 'pomegranate',          // no pomegranate emoji exists; the tomato reads closest
+  kind: 'fruit',
+  weight: 0.15,
+  radius: [0.05, 0.05],
+  hit: 'multiHit',
+  points: 80,
+  hitPoints: 5,
+  maxSlices: 10,
+  burstWindow: 2,
+  missable: true,
+  emoji: '🍅',
+  color: '#c0392b',
+  effect: 'cracks',
+  sound: 'slice',
+});
+
+registerEntityType({
+  id: 'golden',
+  kind: 'fruit',
+  weight: 0.08,
+  radius: [0.03, 0.034],
+  hit: 'slice',
+  points: 100,
+  missable: true,
+  emoji: '🍎',
+  filter: 'sepia(1) saturate(4) hue-rotate(-10deg) brightness(1.2)',
+  color: '#ffd700',
+  effect: 'shine',
+  sound: 'slice',
+});
+
+registerEntityType({
+  id: 'grapeBunch',
+  kind: 'fruit',
+  weight: 0.3,
+  radius: [0.05, 0.05],
+  hit: 'cluster',
+  points: 10,
+  clusterOf: 'grape',
+  clusterCount: 5,
+  missable: true,
+  emoji: '🍇',
+  color: '#9b4dca',
+  effect: 'bunch',
+  sound: 'slice',
+});
+
+registerEntityType({
+  id: 'bomb',
+  kind: 'bomb',
+  radius: [0.035, 0.035],
+  hit: 'bomb',
+  emoji: '💣',
+  color: '#ff5555',
+  sound: 'bomb',
+});
+
+registerEntityType({
+  id: 'heart',
+  kind: 'heart',
+  hit: 'heart',
+  emoji: '❤️',
+  color: '#ff79c6',
+  effect: 'pulse',
+  sound: 'heart',
+});
+
+for (const powerUp of Object.values(POWER_UPS)) {
+  registerEntityType({
+    id: powerUp.id,
+    kind: 'powerUp',
+    hit: 'powerUp',
+    emoji: powerUp.icon,
+    color: powerUp.color,
+    effect: 'aura',
+    sound: 'powerUp',
+    powerUp: powerUp.id,
+  });
+}
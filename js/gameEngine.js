@@ -1,38 +1,88 @@
 import { ObjectPool } from './objectPool.js';
 import { CollisionSystem } from './collisionSystem.js';
-
-const FRUIT_TYPES = ['apple', 'orange', 'lemon', 'lime', 'grape', 'watermelon'];
-
-let nextId = 0;
-function generateId() {
-  return ++nextId;
-}
+import { SeededRandom } from './random.js';
+import { getMode, DEFAULT_MODE } from './gameModes.js';
+import { DifficultyProfile, NORMAL_PROFILE } from './difficulty.js';
+import { WaveSpawner } from './waveSpawner.js';
+import { POWER_UPS } from './powerUps.js';
+import { extendBlade } from './bladeGeometry.js';
+import { getEntityType, pickEntityType } from './entityTypes.js';
+import { COMBO_RULES, SCORE_SOURCES, comboTier } from './combos.js';
+import { TECHNIQUES, TechniqueDetector } from './techniques.js';
+
+// Entity hit behavior (see entityTypes.js) → handler method
+const HIT_HANDLERS = {
+  slice: '_hitSlice',
+  multiHit: '_hitMultiHit',
+  cluster: '_hitCluster',
+  bomb: '_hitBomb',
+  heart: '_hitHeart',
+  powerUp: '_hitPowerUp',
+};
+
+// Spawn-chance gates: a kind the mode disables spawns as fruit instead
+const KIND_ENABLED = {
+  fruit: () => true,
+  bomb: (mode) => mode.bombs,
+  heart: (mode) => mode.hearts,
+  powerUp: (mode) => mode.powerUps,
+};
 
 export class GameEngine {
-  constructor() {
-    this.collisionSystem = new CollisionSystem();
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.seed] - seed for the built-in PRNG
+   * @param {Object} [options.rng] - custom PRNG; the engine only uses next() → [0, 1),
+   *   reset(seed) and a `seed` property holding the current seed
+   * @param {Function} [options.clock] - returns ms; defaults to simulated game time
+   * @param {DifficultyProfile} [options.difficulty] - defaults to Normal
+   */
+  constructor(options = {}) {
+    // Every random decision goes through this.rng so a seed + input stream
+    // always reproduces the same run.
+    this.rng = options.rng || new SeededRandom(options.seed);
+    this.clock = options.clock || (() => this.elapsed * 1000);
+    this.collisionSystem = new CollisionSystem({ clock: () => this.clock() });
+    this.nextId = 0;
 
     this.score = 0;
     this.combo = 0;
     this.bestCombo = 0;
     this.comboTimer = 0;
     this.comboWindow = 1.0;
+    this.criticalChance = COMBO_RULES.criticalChance;
+    // Whole fruit cut by each hand's current stroke — see _updateStrokes()
+    this.strokes = { left: null, right: null };
+    // X-slashes, claps and rhythm chains — see techniques.js
+    this.techniques = new TechniqueDetector();
     this.isGameOver = false;
     this.isPaused = false;
     this.elapsed = 0;
+    this.gameOverReason = null; // 'time' | 'strikes' | 'bomb'
 
-    // Timer
-    this.timeRemaining = 30; // 30 second countdown
-    this.maxTime = 60;       // cap at 60s
+    // Active rules — see gameModes.js
+    this.mode = getMode(DEFAULT_MODE);
 
-    this.spawnInterval = 1.5;
+    // Timer (Infinity in untimed modes)
+    this.timeRemaining = this.mode.timeLimit;
+    this.maxTime = this.mode.maxTime;
+
+    // Missed whole fruit that counted against maxStrikes
+    this.strikes = 0;
+    this.stats = this._emptyStats();
+    this.scoreBreakdown = this._emptyBreakdown();
+
+    // Difficulty curves — sampled every frame into the values below
+    this.difficulty = options.difficulty || new DifficultyProfile(NORMAL_PROFILE);
     this.spawnTimer = 0;
-    this.minSpawnInterval = 0.4;
-    this.bombChance = 0.12;
-    this.maxBombChance = 0.25;
-    this.heartChance = 0.06;   // 6% chance for heart
-    this.difficultyRate = 0.003;
-    this.gravity = 0.4;
+    this._applyDifficulty();
+
+    // Authored waves — see waveSpawner.js
+    this.waveSpawner = new WaveSpawner(this.rng);
+
+    // Running power-up effects: id -> seconds left (see powerUps.js)
+    this.activePowerUps = {};
+    this.frenzyTimer = 0;
 
     // Use a simple array instead of pool for flexibility (pieces get created dynamically)
     this.objects = [];
@@ -45,54 +95,203 @@ export class GameEngine {
     this.onTimeChange = null;
     this.onSpawn = null;
     this.onRemove = null;
+    this.onPowerUp = null;
+    this.onPowerUpEnd = null;
+    this.onMultiHit = null;
+    this.onBurst = null;
+    this.onCritical = null;
+    this.onComboTier = null;
+    this.onMultiSlice = null;
+    this.onTechnique = null;
+  }
+
+  get seed() {
+    return this.rng.seed;
+  }
+
+  get isTimed() {
+    return this.mode.timeLimit !== null;
+  }
+
+  /** Speed of object physics and spawning (Freeze slows it down) */
+  get timeScale() {
+    return this.activePowerUps.freeze ? POWER_UPS.freeze.timeScale : 1;
+  }
+
+  get scoreMultiplier() {
+    return this.activePowerUps.double ? POWER_UPS.double.scoreMultiplier : 1;
+  }
+
+  get bladeReach() {
+    return this.activePowerUps.blade ? POWER_UPS.blade.reach : 1;
   }
 
-  reset() {
+  /** Named tier of the running chain (see combos.js), or null */
+  get comboTier() {
+    return comboTier(this.combo);
+  }
+
+  _emptyStats() {
+    return { fruitsSliced: 0, missed: 0, bombsHit: 0, heartsCollected: 0, powerUps: 0, multiSlices: 0, criticals: 0, techniques: 0 };
+  }
+
+  _emptyBreakdown() {
+    return Object.fromEntries(SCORE_SOURCES.map(source => [source, 0]));
+  }
+
+  /**
+   * Start a fresh run.
+   * @param {Object} [options]
+   * @param {number} [options.seed] - new seed; omit to replay the current one
+   * @param {string} [options.mode] - game mode id; omit to keep the current one
+   * @param {DifficultyProfile} [options.difficulty] - omit to keep the current one
+   */
+  reset(options = {}) {
+    if (options.mode) this.mode = getMode(options.mode);
+    if (options.difficulty) this.difficulty = options.difficulty;
+
     this.score = 0; this.combo = 0; this.bestCombo = 0;
     this.comboTimer = 0; this.isGameOver = false;
     this.isPaused = false; this.elapsed = 0;
-    this.timeRemaining = 30;
-    this.spawnInterval = 1.5; this.spawnTimer = 0;
-    this.bombChance = 0.12; nextId = 0;
+    this.gameOverReason = null;
+    this.timeRemaining = this.isTimed ? this.mode.timeLimit : Infinity;
+    this.maxTime = this.mode.maxTime;
+    this.strikes = 0;
+    this.stats = this._emptyStats();
+    this.scoreBreakdown = this._emptyBreakdown();
+    this.strokes = { left: null, right: null };
+    this.techniques.reset();
+    this.spawnTimer = 0; this.nextId = 0;
+    this._applyDifficulty();
     this.objects = [];
+    this.rng.reset(options.seed);
+    this.waveSpawner.reset();
+    this.activePowerUps = {};
+    this.frenzyTimer = 0;
+    this.collisionSystem.reset();
+  }
+
+  _generateId() {
+    return ++this.nextId;
+  }
+
+  /** Sample the difficulty curves at the current elapsed time */
+  _applyDifficulty() {
+    const d = this.difficulty.at(this.elapsed);
+    this.spawnInterval = d.spawnInterval;
+    this.waveSize = d.waveSize;
+    this.bombChance = d.bombChance;
+    this.heartChance = d.heartChance;
+    this.powerUpChance = d.powerUpChance;
+    this.speedMultiplier = d.speed;
+    this.gravity = this.difficulty.gravity;
+  }
+
+  /** Start a power-up, or restart its timer if it is already running */
+  _activatePowerUp(id) {
+    this.activePowerUps[id] = POWER_UPS[id].duration;
+    if (id === 'frenzy') this.frenzyTimer = 0;
+  }
+
+  /** Count down running power-ups (real time — Freeze doesn't slow itself) */
+  _updatePowerUps(dt) {
+    for (const id of Object.keys(this.activePowerUps)) {
+      this.activePowerUps[id] -= dt;
+      if (this.activePowerUps[id] <= 0) {
+        delete this.activePowerUps[id];
+        if (this.onPowerUpEnd) this.onPowerUpEnd(id);
+      }
+    }
+
+    if (this.activePowerUps.frenzy) {
+      this.frenzyTimer -= dt;
+      if (this.frenzyTimer <= 0) {
+        this.frenzyTimer = POWER_UPS.frenzy.burstInterval;
+        this.waveSpawner.queue('sideBurst', {
+          count: 1 + Math.floor(this.rng.next() * this.waveSize),
+          speed: this.speedMultiplier,
+          gravity: this.gravity,
+        });
+      }
+    }
+  }
+
+  _endGame(reason) {
+    this.isGameOver = true;
+    this.gameOverReason = reason;
+  }
+
+  /** Wave patterns for this run: the mode's override, else the difficulty's */
+  get wavePatterns() {
+    return this.mode.patterns || this.difficulty.patterns;
+  }
+
+  /** Start the next wave and hold the spawn timer until its last spawn */
+  _startWave() {
+    const pattern = this.waveSpawner.nextPattern(this.wavePatterns, this.difficulty.sequence);
+    const duration = this.waveSpawner.queue(pattern, {
+      count: 1 + Math.floor(this.rng.next() * this.waveSize),
+      speed: this.speedMultiplier,
+      gravity: this.gravity,
+    });
+    this.spawnTimer = -duration;
+  }
+
+  /** Roll the difficulty's bomb / heart / power-up chances for a spawn's kind */
+  _rollKind() {
+    const roll = this.rng.next();
+    let threshold = 0;
+    for (const [kind, chance] of [
+      ['bomb', this.bombChance],
+      ['heart', this.heartChance],
+      ['powerUp', this.powerUpChance],
+    ]) {
+      if (KIND_ENABLED[kind](this.mode)) threshold += chance;
+      if (roll < threshold) return kind;
+    }
+    return 'fruit';
   }
 
   /**
-   * Spawn a fruit, bomb, or heart — falls from the top.
+   * Spawn an object — falls from the top unless the spec says otherwise.
+   * @param {Object} [spec] - wave spawn spec (see waveSpawner.js); omitted fields are random
    */
-  _spawnObject() {
-    const roll = Math.random();
-    let type, isBomb = false, isHeart = false;
-
-    if (roll < this.bombChance) {
-      isBomb = true;
-      type = 'bomb';
-    } else if (roll < this.bombChance + this.heartChance) {
-      isHeart = true;
-      type = 'heart';
-    } else {
-      type = FRUIT_TYPES[Math.floor(Math.random() * FRUIT_TYPES.length)];
+  _spawnObject(spec = {}) {
+    const rng = this.rng;
+    let def = spec.type ? getEntityType(spec.type) : null;
+    let kind = def ? def.kind : (spec.kind || this._rollKind());
+
+    // Patterns are mode-agnostic — a bomb in a bomb-free mode becomes fruit
+    if (!KIND_ENABLED[kind](this.mode)) {
+      kind = 'fruit';
+      def = null;
     }
+    if (!def) def = pickEntityType(rng, kind);
 
+    const [minRadius, maxRadius] = def.radius;
+    const id = this._generateId();
     const obj = {
-      id: generateId(),
-      type,
-      isBomb,
-      isHeart,
-      x: 0.08 + Math.random() * 0.84,
-      y: -0.08,                              // above screen
-      vx: (Math.random() - 0.5) * 0.12,
-      vy: 0.08 + Math.random() * 0.1,        // falling down
-      radius: isBomb ? 0.035 : isHeart ? 0.03 : (0.028 + Math.random() * 0.014),
-      rotationSpeed: (Math.random() - 0.5) * 0.08,
+      id,
+      rootId: id,          // pieces keep their whole fruit's id
+      type: def.id,
+      kind,
+      x: spec.x ?? (0.08 + rng.next() * 0.84),
+      y: spec.y ?? -0.08,                    // above screen
+      vx: spec.vx ?? (rng.next() - 0.5) * 0.12 * this.speedMultiplier,
+      vy: spec.vy ?? (0.08 + rng.next() * 0.1) * this.speedMultiplier, // falling down
+      radius: maxRadius > minRadius ? minRadius + rng.next() * (maxRadius - minRadius) : minRadius,
+      rotationSpeed: (rng.next() - 0.5) * 0.08,
       rotation: 0,
       active: true,
       sliceCount: 0,
-      maxSlices: 3,
+      maxSlices: def.maxSlices || 3,
+      missable: def.missable,
+      held: false,         // multiHit fruit hangs in the air while being hit
+      burstTimer: 0,
       fadeTimer: 0,
       fading: false,
       generation: 0,
-      halfSide: undefined,
+      cuts: [],
       emoji: null,
     };
 
@@ -101,8 +300,28 @@ export class GameEngine {
     return obj;
   }
 
+  /**
+   * Where the hand touched the object: closest point on the blade, or the palm.
+   */
+  _contactPoint(hand, obj) {
+    const blade = extendBlade(hand.blade, this.bladeReach);
+    if (!blade) return { x: hand.x, y: hand.y };
+
+    const dx = blade.tipX - blade.baseX;
+    const dy = blade.tipY - blade.baseY;
+    const lenSq = dx * dx + dy * dy;
+    let t = lenSq > 0 ? ((obj.x - blade.baseX) * dx + (obj.y - blade.baseY) * dy) / lenSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    return { x: blade.baseX + dx * t, y: blade.baseY + dy * t };
+  }
+
   /**
    * Split a fruit into two halves that fly apart.
+   * The cut runs along the slash direction through the contact point. Each
+   * piece inherits its parent's cuts plus one new half-plane:
+   *   { angle, offset, rotation } — keep points p (in emoji units, relative to
+   *   the object's centre) with p · (cos angle, sin angle) >= offset, where
+   *   angle is the world-space normal and rotation the object's spin when cut.
    */
   _splitFruit(obj, hand) {
     if (obj.generation >= 2) {
@@ -127,27 +346,40 @@ export class GameEngine {
 
     const spreadSpeed = 0.15 + handSpeed * 0.1;
 
+    // Offset of the cut line from the centre, in emoji units (glyph size = radius × 2.8)
+    const contact = this._contactPoint(hand, obj);
+    const side = (contact.x - obj.x) * perpX + (contact.y - obj.y) * perpY;
+    const offset = Math.max(-0.6, Math.min(0.6, side / obj.radius)) / 2.8;
+    const angle = Math.atan2(perpY, perpX);
+
     for (let i = 0; i < 2; i++) {
       const sign = i === 0 ? 1 : -1;
       const piece = {
-        id: generateId(),
+        id: this._generateId(),
+        rootId: obj.rootId,
         type: obj.type,
-        isBomb: false,
-        isHeart: false,
+        kind: obj.kind,
         x: obj.x + perpX * sign * 0.01,
         y: obj.y + perpY * sign * 0.01,
         vx: obj.vx + perpX * sign * spreadSpeed + hand.vx * 0.05,
         vy: obj.vy + perpY * sign * spreadSpeed + hand.vy * 0.05 - 0.05,
         radius: newRadius,
-        rotationSpeed: (Math.random() - 0.5) * 0.15,
+        rotationSpeed: (this.rng.next() - 0.5) * 0.15,
         rotation: obj.rotation,
         active: true,
         sliceCount: 0,
         maxSlices: 3 - newGen,
+        missable: false,
+        held: false,
+        burstTimer: 0,
         fadeTimer: 0,
         fading: false,
         generation: newGen,
-        halfSide: i,
+        cuts: [...obj.cuts, {
+          angle: i === 0 ? angle : angle + Math.PI,
+          offset: sign * offset,
+          rotation: obj.rotation,
+        }],
         emoji: null,
       };
       pieces.push(piece);
@@ -165,28 +397,28 @@ export class GameEngine {
     const frameInfo = { spawned: [], removed: [], hits: [] };
 
     // Countdown timer
-    this.timeRemaining -= dt;
-    if (this.onTimeChange) this.onTimeChange(this.timeRemaining);
-    if (this.timeRemaining <= 0) {
-      this.timeRemaining = 0;
-      this.isGameOver = true;
-      return frameInfo;
+    if (this.isTimed) {
+      this.timeRemaining -= dt;
+      if (this.onTimeChange) this.onTimeChange(this.timeRemaining);
+      if (this.timeRemaining <= 0) {
+        this.timeRemaining = 0;
+        this._endGame('time');
+        return frameInfo;
+      }
     }
 
     // Difficulty ramp
-    this.spawnInterval = Math.max(this.minSpawnInterval, 1.5 - this.elapsed * this.difficultyRate);
-    this.bombChance = Math.min(this.maxBombChance, 0.12 + this.elapsed * 0.001);
-
-    // Spawning — fall from top
-    this.spawnTimer += dt;
-    if (this.spawnTimer >= this.spawnInterval) {
-      this.spawnTimer = 0;
-      const count = 1 + Math.floor(Math.random() * Math.min(3, 1 + this.elapsed / 20));
-      for (let i = 0; i < count; i++) {
-        const obj = this._spawnObject();
-        obj.x = 0.08 + (i / count) * 0.84 + (Math.random() - 0.5) * 0.1;
-        frameInfo.spawned.push(obj);
-      }
+    this._applyDifficulty();
+
+    // Power-up timers run in real time; the world runs at timeScale
+    this._updatePowerUps(dt);
+    const worldDt = dt * this.timeScale;
+
+    // Spawning — one wave per interval, its spawns released as they come due
+    this.spawnTimer += worldDt;
+    if (this.spawnTimer >= this.spawnInterval) this._startWave();
+    for (const spec of this.waveSpawner.update(worldDt)) {
+      frameInfo.spawned.push(this._spawnObject(spec));
     }
 
     // Combo decay
@@ -197,94 +429,61 @@ export class GameEngine {
 
     // Physics
     const toRemove = [];
+    const missed = [];
     for (const obj of this.objects) {
       if (!obj.active) continue;
 
       if (obj.fading) {
-        obj.fadeTimer += dt;
-        obj.vy += this.gravity * dt;
-        obj.x += obj.vx * dt;
-        obj.y += obj.vy * dt;
-        obj.rotation += obj.rotationSpeed;
+        obj.fadeTimer += worldDt;
+        obj.vy += this.gravity * worldDt;
+        obj.x += obj.vx * worldDt;
+        obj.y += obj.vy * worldDt;
+        obj.rotation += obj.rotationSpeed * this.timeScale;
         if (obj.fadeTimer > 0.6) {
           toRemove.push(obj);
         }
         continue;
       }
 
-      obj.vy += this.gravity * dt;
-      obj.x += obj.vx * dt;
-      obj.y += obj.vy * dt;
-      obj.rotation += obj.rotationSpeed;
-
-      if (obj.y > 1.2) {
-        toRemove.push(obj);
+      if (obj.held) {
+        obj.burstTimer -= worldDt;
+        if (obj.burstTimer <= 0) this._burst(obj);
+        continue;
       }
-      if (obj.x < -0.15 || obj.x > 1.15) {
+
+      obj.vy += this.gravity * worldDt;
+      obj.x += obj.vx * worldDt;
+      obj.y += obj.vy * worldDt;
+      obj.rotation += obj.rotationSpeed * this.timeScale;
+
+      if (obj.y > 1.2 || obj.x < -0.15 || obj.x > 1.15) {
         toRemove.push(obj);
+        // A whole fruit left the screen unsliced
+        if (obj.missable && obj.generation === 0) missed.push(obj);
       }
     }
 
+    // Clap first — fruit crushed between the hands isn't also blade-cut
+    this._updateStrokes(hands);
+    const clap = this.techniques.detectClap(hands, this.elapsed);
+    if (clap) this._clapThrough(clap, frameInfo);
+
     // Collision
+    this.collisionSystem.timeScale = this.timeScale;
+    this.collisionSystem.reach = this.bladeReach;
     const sliceable = this.objects.filter(o => o.active && !o.fading);
-    const hits = this.collisionSystem.checkAll(hands, sliceable);
+    const hits = this.isGameOver ? [] : this.collisionSystem.checkAll(hands, sliceable);
 
     for (const hit of hits) {
       const obj = hit.object;
-
-      if (obj.isBomb) {
-        // Bomb: -10 seconds, don't end game
-        this.timeRemaining = Math.max(0, this.timeRemaining - 10);
-        obj.fading = true;
-        obj.fadeTimer = 0;
-
-        // Clear EVERYTHING on screen
-        for (const other of this.objects) {
-          if (other !== obj && other.active && !other.fading) {
-            other.fading = true;
-            other.fadeTimer = 0.4; // fast fade
-          }
-        }
-
-        if (this.onBomb) this.onBomb(obj);
-        if (this.onTimeChange) this.onTimeChange(this.timeRemaining);
-        frameInfo.hits.push(hit);
-        if (this.timeRemaining <= 0) {
-          this.isGameOver = true;
-          break;
+      this._dispatchHit(hit, frameInfo);
+      if (obj.kind === 'fruit') {
+        if (obj.generation === 0) this._strokeHit(hit);
+        for (const done of this.techniques.recordHit(obj, hit.sides, this.elapsed)) {
+          this._awardTechnique(done.technique, obj, done.chain);
         }
-        continue;
       }
-
-      if (obj.isHeart) {
-        // Heart: +10 seconds
-        this.timeRemaining = Math.min(this.maxTime, this.timeRemaining + 10);
-        obj.fading = true;
-        obj.fadeTimer = 0;
-        if (this.onHeart) this.onHeart(obj);
-        if (this.onTimeChange) this.onTimeChange(this.timeRemaining);
-        frameInfo.hits.push(hit);
-        continue;
-      }
-
-      // Slice fruit
-      const pieces = this._splitFruit(obj, hit.hand);
-      frameInfo.spawned.push(...pieces);
-
-      obj.fading = true;
-      obj.fadeTimer = 0;
-
-      this.combo++;
-      this.comboTimer = this.comboWindow;
-      if (this.combo > this.bestCombo) this.bestCombo = this.combo;
-
-      const genBonus = (obj.generation + 1);
-      const points = 10 * genBonus * Math.max(1, this.combo);
-      this.score += points;
-
-      if (this.onSlice) this.onSlice(obj, hit.hand, this.combo, pieces);
-      if (this.onScore) this.onScore(this.score, this.combo);
-      frameInfo.hits.push(hit);
+      if (this.isGameOver) break;
     }
 
     // Cleanup
@@ -296,9 +495,278 @@ export class GameEngine {
       frameInfo.removed.push(obj);
     }
 
+    for (const obj of missed) {
+      if (this.isGameOver) break;
+      this.stats.missed++;
+      this._applyMissPenalty();
+      if (this.onMiss) this.onMiss(obj, this.mode.missHit);
+    }
+
     return frameInfo;
   }
 
+  /** Run the hit behavior of the object's entity type */
+  _dispatchHit(hit, frameInfo) {
+    const def = getEntityType(hit.object.type);
+    this[HIT_HANDLERS[def.hit]](hit.object, hit, def, frameInfo);
+    frameInfo.hits.push(hit);
+  }
+
+  /** Hands clapping through fruit: crush every fruit caught between them */
+  _clapThrough(clap, frameInfo) {
+    const { left, right, speed } = clap;
+    const crushed = this.objects.filter(o => o.active && !o.fading && o.kind === 'fruit' &&
+      this.collisionSystem._lineCircleIntersect(left.x, left.y, right.x, right.y, o.x, o.y, o.radius));
+    if (crushed.length === 0) return;
+
+    // Both palms close on the fruit — cut it top to bottom
+    const x = (left.x + right.x) / 2;
+    const y = (left.y + right.y) / 2;
+    const hand = { x, y, vx: 0, vy: speed, speed, visible: true };
+    const now = this.clock();
+    this.techniques.clapped(this.elapsed, crushed);
+    for (const obj of crushed) {
+      this.collisionSystem.recentHits.set(obj.id, now);
+      this._dispatchHit({ object: obj, hand, side: 'left', sides: ['left', 'right'] }, frameInfo);
+      if (this.isGameOver) return;
+    }
+    this._awardTechnique(TECHNIQUES.clap, { x, y });
+  }
+
+  /**
+   * Pay out a technique's bonus (rhythm pays more the longer the chain).
+   * @param {Object} at - where it happened ({ x, y })
+   */
+  _awardTechnique(technique, at, chain = 0) {
+    const steps = technique.minChain ? chain - technique.minChain + 1 : 1;
+    this.stats.techniques++;
+    const points = this._scoreHit(technique.points * steps, 'techniques');
+    if (this.onTechnique) this.onTechnique(technique, points, { x: at.x, y: at.y, chain });
+    if (this.onScore) this.onScore(this.score, this.combo);
+  }
+
+  /** Start an object's fade-out — it can't be hit again */
+  _retire(obj) {
+    obj.fading = true;
+    obj.fadeTimer = 0;
+  }
+
+  _bumpCombo() {
+    this.combo++;
+    this.comboTimer = this.comboWindow;
+    if (this.combo > this.bestCombo) this.bestCombo = this.combo;
+
+    const tier = comboTier(this.combo);
+    if (tier && tier.min === this.combo && this.onComboTier) this.onComboTier(tier, this.combo);
+  }
+
+  /** Add (or with negative points, take) score, booked to a SCORE_SOURCES entry */
+  _addScore(points, source) {
+    this.score += points;
+    this.scoreBreakdown[source] += points;
+  }
+
+  /**
+   * Award `base` points scaled by the chain combo, Double Points and a
+   * critical hit, booking each multiplier's share to its own source.
+   * @returns {number} points awarded
+   */
+  _scoreHit(base, source, { combo = 1, critical = false } = {}) {
+    const withCombo = base * combo;
+    const withPowerUp = withCombo * this.scoreMultiplier;
+    const total = critical ? withPowerUp * COMBO_RULES.criticalMultiplier : withPowerUp;
+    this._addScore(base, source);
+    this._addScore(withCombo - base, 'combo');
+    this._addScore(withPowerUp - withCombo, 'powerUps');
+    this._addScore(total - withPowerUp, 'critical');
+    return total;
+  }
+
+  /** Every fruit slice rolls for a critical hit */
+  _rollCritical() {
+    const critical = this.rng.next() < this.criticalChance;
+    if (critical) this.stats.criticals++;
+    return critical;
+  }
+
+  /**
+   * Close the stroke of any hand that stopped slicing (hidden or too slow)
+   * and pay out its multi-slice bonus.
+   */
+  _updateStrokes(hands) {
+    for (const side of ['left', 'right']) {
+      const hand = hands[side];
+      const slicing = hand.visible && hand.speed >= this.collisionSystem.minSliceSpeed;
+      if (!slicing && this.strokes[side]) this._endStroke(side);
+    }
+  }
+
+  _strokeHit(hit) {
+    const stroke = this.strokes[hit.side] || (this.strokes[hit.side] = { ids: new Set(), x: 0, y: 0 });
+    stroke.ids.add(hit.object.id);
+    stroke.x = hit.object.x;
+    stroke.y = hit.object.y;
+  }
+
+  _endStroke(side) {
+    const stroke = this.strokes[side];
+    this.strokes[side] = null;
+    const count = stroke.ids.size;
+    if (count < COMBO_RULES.multiSliceMin) return;
+
+    this.stats.multiSlices++;
+    const points = this._scoreHit(count * COMBO_RULES.multiSlicePoints, 'multiSlice');
+    if (this.onMultiSlice) this.onMultiSlice(count, points, stroke);
+    if (this.onScore) this.onScore(this.score, this.combo);
+  }
+
+  /** Fruit: split it, bump the combo and score */
+  _hitSlice(obj, hit, def, frameInfo) {
+    this._retire(obj);
+    const pieces = this._splitFruit(obj, hit.hand);
+    frameInfo.spawned.push(...pieces);
+    if (obj.generation === 0) this.stats.fruitsSliced++;
+
+    this._bumpCombo();
+    const critical = this._rollCritical();
+    const genBonus = (obj.generation + 1);
+    const points = this._scoreHit(def.points * genBonus, 'slices', { combo: Math.max(1, this.combo), critical });
+
+    if (this.onSlice) this.onSlice(obj, hit.hand, this.combo, pieces);
+    if (critical && this.onCritical) this.onCritical(obj, points);
+    if (this.onScore) this.onScore(this.score, this.combo);
+  }
+
+  /** Pomegranate: the first hit pins it in the air; every hit scores until it bursts */
+  _hitMultiHit(obj, hit, def) {
+    if (!obj.held) {
+      obj.held = true;
+      obj.burstTimer = def.burstWindow;
+      obj.vx = 0;
+      obj.vy = 0;
+      obj.missable = false;
+    }
+    obj.sliceCount++;
+    this._scoreHit(def.hitPoints, 'special');
+
+    if (this.onMultiHit) this.onMultiHit(obj, hit.hand, obj.sliceCount);
+    if (this.onScore) this.onScore(this.score, this.combo);
+    if (obj.sliceCount >= obj.maxSlices) this._burst(obj);
+  }
+
+  /** Pomegranate bursts: bonus scaled by how many of its hits were landed */
+  _burst(obj) {
+    const def = getEntityType(obj.type);
+    this._retire(obj);
+    obj.held = false;
+    this.stats.fruitsSliced++;
+
+    const points = this._scoreHit(Math.round(def.points * (obj.sliceCount / obj.maxSlices)), 'special');
+    if (this.onBurst) this.onBurst(obj, points);
+    if (this.onScore) this.onScore(this.score, this.combo);
+  }
+
+  /** Grape bunch: break into independent whole fruit flying apart */
+  _hitCluster(obj, hit, def, frameInfo) {
+    this._retire(obj);
+    this.stats.fruitsSliced++;
+
+    const pieces = [];
+    for (let i = 0; i < def.clusterCount; i++) {
+      const a = (i / def.clusterCount) * Math.PI * 2 + this.rng.next() * 0.5;
+      const piece = this._spawnObject({
+        type: def.clusterOf,
+        x: obj.x + Math.cos(a) * obj.radius * 0.6,
+        y: obj.y + Math.sin(a) * obj.radius * 0.6,
+        vx: obj.vx + Math.cos(a) * 0.15 + hit.hand.vx * 0.03,
+        vy: obj.vy + Math.sin(a) * 0.15 - 0.15,
+      });
+      piece.missable = false;  // losing a loose grape isn't a miss
+      pieces.push(piece);
+    }
+    frameInfo.spawned.push(...pieces);
+
+    this._bumpCombo();
+    const critical = this._rollCritical();
+    const points = this._scoreHit(def.points, 'slices', { combo: Math.max(1, this.combo), critical });
+    if (this.onSlice) this.onSlice(obj, hit.hand, this.combo, pieces);
+    if (critical && this.onCritical) this.onCritical(obj, points);
+    if (this.onScore) this.onScore(this.score, this.combo);
+  }
+
+  /** Bomb: clear the field and apply the mode's penalty */
+  _hitBomb(obj) {
+    this._retire(obj);
+    this.stats.bombsHit++;
+
+    // Clear EVERYTHING on screen
+    for (const other of this.objects) {
+      if (other !== obj && other.active && !other.fading) {
+        other.fading = true;
+        other.fadeTimer = 0.4; // fast fade
+      }
+    }
+
+    this._applyBombPenalty();
+    if (this.onBomb) this.onBomb(obj);
+  }
+
+  _hitHeart(obj) {
+    this._retire(obj);
+    this.stats.heartsCollected++;
+    this._applyHeartBonus();
+    if (this.onHeart) this.onHeart(obj);
+  }
+
+  _hitPowerUp(obj, hit, def) {
+    this._retire(obj);
+    this.stats.powerUps++;
+    this._activatePowerUp(def.powerUp);
+    if (this.onPowerUp) this.onPowerUp(obj, POWER_UPS[def.powerUp]);
+  }
+
+  /** Bomb consequence depends on the mode: lose time, lose points, or lose the game */
+  _applyBombPenalty() {
+    const { bombHit, bombPenalty } = this.mode;
+    if (bombHit === 'gameOver') {
+      this._endGame('bomb');
+    } else if (bombHit === 'score') {
+      this._addScore(-Math.min(this.score, bombPenalty), 'bombs');
+      this.combo = 0;
+      if (this.onScore) this.onScore(this.score, this.combo);
+    } else if (this.isTimed) {
+      this.timeRemaining = Math.max(0, this.timeRemaining - bombPenalty);
+      if (this.onTimeChange) this.onTimeChange(this.timeRemaining);
+      if (this.timeRemaining <= 0) this._endGame('time');
+    }
+  }
+
+  /** Missed-fruit consequence depends on the mode: a strike, lost time, a broken combo or nothing */
+  _applyMissPenalty() {
+    const { missHit, missPenalty, maxStrikes } = this.mode;
+    if (missHit === 'strike') {
+      this.strikes++;
+      if (maxStrikes > 0 && this.strikes >= maxStrikes) this._endGame('strikes');
+    } else if (missHit === 'time' && this.isTimed) {
+      this.timeRemaining = Math.max(0, this.timeRemaining - missPenalty);
+      if (this.onTimeChange) this.onTimeChange(this.timeRemaining);
+      if (this.timeRemaining <= 0) this._endGame('time');
+    } else if (missHit === 'combo') {
+      this.combo = 0;
+      this.comboTimer = 0;
+    }
+  }
+
+  _applyHeartBonus() {
+    const { heartHit, heartBonus } = this.mode;
+    if (heartHit === 'strike') {
+      this.strikes = Math.max(0, this.strikes - 1);
+    } else if (this.isTimed) {
+      this.timeRemaining = Math.min(this.maxTime, this.timeRemaining + heartBonus);
+      if (this.onTimeChange) this.onTimeChange(this.timeRemaining);
+    }
+  }
+
   getActiveObjects() {
     return this.objects.filter(o => o.active);
   }
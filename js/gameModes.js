@@ -0,0 +1,108 @@
+/**
+ * Game mode rules. GameEngine reads the active mode instead of hard-coding
+ * one ruleset; main.js uses the names/descriptions for the start screen.
+ *
+ *   timeLimit   starting countdown in seconds, null = untimed
+ *   maxTime     cap on time gained from hearts
+ *   bombs       spawn bombs at all
+ *   bombHit     'time' (−bombPenalty s) | 'score' (−bombPenalty points) | 'gameOver'
+ *   hearts      spawn hearts
+ *   heartHit    'time' (+heartBonus s) | 'strike' (clear one strike)
+ *   powerUps    spawn power-ups (see powerUps.js)
+ *   missHit     what letting a whole fruit fall does: 'strike' (count towards maxStrikes)
+ *               | 'time' (−missPenalty s) | 'combo' (reset the combo) | null (nothing)
+ *   maxStrikes  strikes allowed before game over (missHit 'strike')
+ *   patterns    wave pattern weights overriding the difficulty's, null = use the difficulty's
+ *   results     stats shown on the game-over screen
+ */
+export const GAME_MODES = {
+  classic: {
+    id: 'classic',
+    name: 'Classic',
+    icon: '🍉',
+    description: 'No clock. Miss 3 fruits or slice a bomb and it\'s over. Hearts heal a strike.',
+    timeLimit: null,
+    maxTime: null,
+    bombs: true,
+    bombHit: 'gameOver',
+    bombPenalty: 0,
+    hearts: true,
+    heartHit: 'strike',
+    heartBonus: 0,
+    powerUps: false,
+    missHit: 'strike',
+    missPenalty: 0,
+    maxStrikes: 3,
+    patterns: null,
+    results: ['fruitsSliced', 'missed'],
+  },
+  zen: {
+    id: 'zen',
+    name: 'Zen',
+    icon: '🧘',
+    description: '90 calm seconds. No bombs — just fruit.',
+    timeLimit: 90,
+    maxTime: 90,
+    bombs: false,
+    bombHit: 'time',
+    bombPenalty: 0,
+    hearts: false,
+    heartHit: 'time',
+    heartBonus: 0,
+    powerUps: false,
+    missHit: null,
+    missPenalty: 0,
+    maxStrikes: 0,
+    patterns: { random: 2, row: 2, arc: 2, zigzag: 1, volley: 1 },
+    results: ['fruitsSliced'],
+  },
+  arcade: {
+    id: 'arcade',
+    name: 'Arcade',
+    icon: '🕹️',
+    description: '60 fixed seconds. Bombs cost 50 points, missed fruit break your combo, power-ups help — rack up the biggest score.',
+    timeLimit: 60,
+    maxTime: 60,
+    bombs: true,
+    bombHit: 'score',
+    bombPenalty: 50,
+    hearts: false,
+    heartHit: 'time',
+    heartBonus: 0,
+    powerUps: true,
+    missHit: 'combo',
+    missPenalty: 0,
+    maxStrikes: 0,
+    patterns: null,
+    results: ['fruitsSliced', 'bombsHit', 'powerUps'],
+  },
+  endless: {
+    id: 'endless',
+    name: 'Endless',
+    icon: '⏱️',
+    description: '30 seconds on the clock. Bombs = −10s, hearts = +10s — survive as long as you can.',
+    timeLimit: 30,
+    maxTime: 60,
+    bombs: true,
+    bombHit: 'time',
+    bombPenalty: 10,
+    hearts: true,
+    heartHit: 'time',
+    heartBonus: 10,
+    powerUps: false,
+    missHit: null,
+    missPenalty: 0,
+    maxStrikes: 0,
+    patterns: null,
+    results: ['survived', 'heartsCollected'],
+  },
+};
+
+export const DEFAULT_MODE = 'endless';
+
+/**
+ * Look up a mode by id, falling back to the default for unknown ids.
+ */
+export function getMode(id) {
+  return GAME_MODES[id] || GAME_MODES[DEFAULT_MODE];
+}
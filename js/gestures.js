@@ -0,0 +1,258 @@
+/**
+ * Hand gestures from the 21 MediaPipe hand landmarks. Each finger gets an
+ * extension score in [0, 1]; a gesture names the fingers it wants extended
+ * (true), curled (false) or doesn't care about (null), and its confidence is
+ * how well the scores agree.
+ *
+ *   hold   seconds a gesture must stay on top before it is reported
+ *   check  extra shape test on the landmarks (thumbs-up points up)
+ *   palm   which way the palm must face, 'front' (to the camera) | 'back';
+ *          checked when the hand's side is known, see palmFacing()
+ *
+ * The blade is separate: GestureClassifier.open follows the hand's openness
+ * (the four fingers, plus the thumb at half weight) with hysteresis and
+ * minimum hold times, so it doesn't flicker.
+ */
+export const GESTURES = {
+  open: {
+    id: 'open',
+    name: 'Open hand',
+    icon: '🖐️',
+    hold: 0.1,
+    fingers: { thumb: null, index: true, middle: true, ring: true, pinky: true },
+  },
+  fist: {
+    id: 'fist',
+    name: 'Fist',
+    icon: '✊',
+    hold: 0.1,
+    fingers: { thumb: null, index: false, middle: false, ring: false, pinky: false },
+  },
+  point: {
+    id: 'point',
+    name: 'Point',
+    icon: '☝️',
+    hold: 0.2,
+    fingers: { thumb: null, index: true, middle: false, ring: false, pinky: false },
+  },
+  peace: {
+    id: 'peace',
+    name: 'Peace sign',
+    icon: '✌️',
+    hold: 0.3,
+    fingers: { thumb: null, index: true, middle: true, ring: false, pinky: false },
+    palm: 'front',
+  },
+  thumbsUp: {
+    id: 'thumbsUp',
+    name: 'Thumbs up',
+    icon: '👍',
+    hold: 0.3,
+    fingers: { thumb: true, index: false, middle: false, ring: false, pinky: false },
+    check: thumbPointsUp,
+  },
+};
+
+/**
+ * Blade tuning.
+ *
+ *   openThreshold   openness that ignites a retracted blade
+ *   closeThreshold  openness that retracts an ignited blade — the gap
+ *                   between the two is the hysteresis band
+ *   openHold        seconds past openThreshold before igniting
+ *   closeHold       seconds below closeThreshold before retracting
+ *   minConfidence   below this no gesture is reported ('none')
+ *   maxGap          seconds without the hand before starting over
+ */
+export const GESTURE_RULES = {
+  openThreshold: 0.65,
+  closeThreshold: 0.35,
+  openHold: 0.03,
+  closeHold: 0.1,
+  minConfidence: 0.6,
+  maxGap: 0.25,
+};
+
+// Landmark indices: [mcp, pip, dip, tip] per finger
+const FINGERS = {
+  index: [5, 6, 7, 8],
+  middle: [9, 10, 11, 12],
+  ring: [13, 14, 15, 16],
+  pinky: [17, 18, 19, 20],
+};
+const THUMB = { mcp: 2, ip: 3, tip: 4 };
+
+function dist(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + ((a.z || 0) - (b.z || 0)) ** 2);
+}
+
+function clamp01(v) {
+  return Math.max(0, Math.min(1, v));
+}
+
+/**
+ * Extension score per finger, 0 = curled, 1 = straight.
+ * Fingers: fingertip vs knuckle distance from the wrist (0.5 at 1.15×, the
+ * old single threshold). Thumb: how far its tip sticks out past the index
+ * knuckle, across the palm's width — independent of how the hand is turned.
+ * @param {{x, y, z}[]} lm - 21 hand landmarks
+ * @returns {{ thumb, index, middle, ring, pinky }}
+ */
+export function fingerScores(lm) {
+  const wrist = lm[0];
+  const scores = {};
+  for (const [name, [mcp, , , tip]] of Object.entries(FINGERS)) {
+    const ratio = dist(lm[tip], wrist) / Math.max(1e-6, dist(lm[mcp], wrist));
+    scores[name] = clamp01((ratio - 1) / 0.3);
+  }
+
+  const indexMcp = lm[FINGERS.index[0]];
+  const pinkyMcp = lm[FINGERS.pinky[0]];
+  const width = Math.max(1e-6, Math.hypot(indexMcp.x - pinkyMcp.x, indexMcp.y - pinkyMcp.y));
+  const ux = (indexMcp.x - pinkyMcp.x) / width;
+  const uy = (indexMcp.y - pinkyMcp.y) / width;
+  const tip = lm[THUMB.tip];
+  const out = ((tip.x - indexMcp.x) * ux + (tip.y - indexMcp.y) * uy) / width;
+  scores.thumb = clamp01((out + 0.1) / 0.5);
+  return scores;
+}
+
+/**
+ * Which way the palm faces, from the side the thumb is on — which depends on
+ * the hand. On the mirrored screen a right palm facing the camera, fingers
+ * up, has its thumb on the left; turning the hand in the image plane doesn't
+ * change the answer.
+ * @param {{x, y}[]} lm - 21 mirrored hand landmarks
+ * @param {string} side - 'left' | 'right'
+ * @returns {'front'|'back'}
+ */
+export function palmFacing(lm, side) {
+  const wrist = lm[0];
+  const index = lm[FINGERS.index[0]];
+  const pinky = lm[FINGERS.pinky[0]];
+  const cross = (index.x - wrist.x) * (pinky.y - wrist.y) - (index.y - wrist.y) * (pinky.x - wrist.x);
+  return (cross > 0) === (side === 'right') ? 'front' : 'back';
+}
+
+/** Thumb tip above its joints, pointing more up than sideways */
+function thumbPointsUp(lm) {
+  const { mcp, ip, tip } = THUMB;
+  const dx = lm[tip].x - lm[mcp].x;
+  const dy = lm[tip].y - lm[mcp].y;
+  return lm[tip].y < lm[ip].y && lm[ip].y < lm[mcp].y && -dy > Math.abs(dx);
+}
+
+/**
+ * How well the finger scores fit a gesture, in [0, 1].
+ * @param {string|null} [palm] - palmFacing() of the hand, null when unknown
+ * @returns {number} 0 when its shape check or palm direction fails
+ */
+export function gestureConfidence(gesture, scores, lm, palm = null) {
+  if (gesture.check && !gesture.check(lm)) return 0;
+  if (gesture.palm && palm && palm !== gesture.palm) return 0;
+  let sum = 0;
+  let count = 0;
+  for (const [finger, extended] of Object.entries(gesture.fingers)) {
+    if (extended === null) continue;
+    sum += extended ? scores[finger] : 1 - scores[finger];
+    count++;
+  }
+  return count > 0 ? sum / count : 0;
+}
+
+/**
+ * Best-fitting gesture; among near ties the one constraining more fingers
+ * wins (a thumbs-up is also a fist).
+ * @param {string|null} [side] - 'left' | 'right'; without it palm directions aren't checked
+ * @returns {{ id: string, confidence: number }} id 'none' below minConfidence
+ */
+export function classifyGesture(lm, minConfidence = GESTURE_RULES.minConfidence, side = null) {
+  const scores = fingerScores(lm);
+  const palm = side ? palmFacing(lm, side) : null;
+  let best = { id: 'none', confidence: 0, constrained: 0 };
+  for (const gesture of Object.values(GESTURES)) {
+    const confidence = gestureConfidence(gesture, scores, lm, palm);
+    const constrained = Object.values(gesture.fingers).filter(v => v !== null).length;
+    if (confidence > best.confidence + 0.05 ||
+        (confidence > best.confidence - 0.05 && constrained > best.constrained)) {
+      best = { id: gesture.id, confidence, constrained };
+    }
+  }
+  if (best.confidence < minConfidence) return { id: 'none', confidence: best.confidence };
+  return { id: best.id, confidence: best.confidence };
+}
+
+/**
+ * Gesture and blade state for one tracked hand, fed one frame at a time.
+ */
+export class GestureClassifier {
+  /**
+   * @param {Object} [rules] - overrides of GESTURE_RULES
+   */
+  constructor(rules = {}) {
+    this.rules = { ...GESTURE_RULES, ...rules };
+
+    // Callback: (gesture, previous, confidence) when the reported gesture changes
+    this.onChange = null;
+
+    this.reset();
+  }
+
+  reset() {
+    this.open = false;          // blade ignited
+    this.openness = 0;          // fingers' weighted mean extension, this frame
+    this.gesture = 'none';      // reported (debounced) gesture
+    this.confidence = 0;
+    this.palm = null;           // 'front' | 'back'
+    this.switchSince = null;    // when openness first crossed to the other state
+    this.candidate = null;      // { id, since } — gesture waiting out its hold
+    this.lastT = null;
+  }
+
+  /**
+   * @param {{x, y, z}[]} lm - 21 mirrored hand landmarks
+   * @param {string} side - 'left' | 'right'
+   * @param {number} t - time (s)
+   * @returns {boolean} whether the blade is out
+   */
+  update(lm, side, t) {
+    const r = this.rules;
+    if (this.lastT !== null && t - this.lastT > r.maxGap) this.reset();
+    this.lastT = t;
+
+    const scores = fingerScores(lm);
+    this.openness = (scores.index + scores.middle + scores.ring + scores.pinky + scores.thumb / 2) / 4.5;
+    this.palm = palmFacing(lm, side);
+
+    // Blade: hysteresis, then a minimum hold before switching
+    const wantOpen = this.open ? this.openness > r.closeThreshold : this.openness >= r.openThreshold;
+    if (wantOpen === this.open) {
+      this.switchSince = null;
+    } else {
+      if (this.switchSince === null) this.switchSince = t;
+      if (t - this.switchSince >= (wantOpen ? r.openHold : r.closeHold)) {
+        this.open = wantOpen;
+        this.switchSince = null;
+      }
+    }
+
+    // Gesture: reported once it has stayed on top for its hold time
+    const { id, confidence } = classifyGesture(lm, r.minConfidence, side);
+    if (id === this.gesture) {
+      this.candidate = null;
+      this.confidence = confidence;
+    } else {
+      if (!this.candidate || this.candidate.id !== id) this.candidate = { id, since: t };
+      const hold = GESTURES[id] ? GESTURES[id].hold : 0.1;
+      if (t - this.candidate.since >= hold) {
+        const previous = this.gesture;
+        this.gesture = id;
+        this.confidence = confidence;
+        this.candidate = null;
+        if (this.onChange) this.onChange(id, previous, confidence);
+      }
+    }
+
+    return this.open;
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * Smoothing for tracked hands. Raw landmarks jitter from frame to frame, and
+ * a finite difference over them turns that jitter into phantom speed spikes.
+ * A filter runs per coordinate and yields a smoothed position and velocity.
+ *
+ *   oneEuro  One-Euro filter (Casiez et al. 2012): a low-pass whose cutoff
+ *            rises with speed — heavy smoothing at rest, little lag in fast
+ *            swipes. The default: responsive
+ *            minCutoff  cutoff at rest (Hz) — lower = steadier, laggier
+ *            beta       how fast the cutoff rises with speed
+ *            dCutoff    cutoff for the speed that drives it (Hz)
+ *   kalman   constant-velocity Kalman filter: position + velocity state.
+ *            Steadier than One-Euro, a little slower into a swipe
+ *            accelerationStd  expected hand acceleration (units/s²) —
+ *                             higher follows sudden moves sooner
+ *            measurementStd   landmark jitter (units) — higher smooths more
+ *
+ * `params` describes each setting for the settings UI.
+ */
+export const FILTERS = {
+  none: {
+    id: 'none',
+    name: 'Off',
+    params: {},
+  },
+  oneEuro: {
+    id: 'oneEuro',
+    name: 'One-Euro',
+    params: {
+      minCutoff: { label: 'Min cutoff (Hz)', min: 0.1, max: 5, step: 0.1, default: 0.5 },
+      beta: { label: 'Speed response', min: 0, max: 10, step: 0.1, default: 3 },
+      dCutoff: { label: 'Velocity cutoff (Hz)', min: 0.5, max: 10, step: 0.5, default: 3 },
+    },
+  },
+  kalman: {
+    id: 'kalman',
+    name: 'Kalman',
+    params: {
+      accelerationStd: { label: 'Acceleration', min: 1, max: 60, step: 1, default: 5 },
+      measurementStd: { label: 'Jitter', min: 0.002, max: 0.04, step: 0.001, default: 0.02 },
+    },
+  },
+};
+
+export const DEFAULT_FILTER = 'oneEuro';
+
+/** A filter's default settings, overridden by `params` */
+export function filterParams(type, params = {}) {
+  const defaults = {};
+  for (const [key, spec] of Object.entries(FILTERS[type].params)) defaults[key] = spec.default;
+  return { ...defaults, ...params };
+}
+
+// Filtered samples the One-Euro velocity is measured across
+const VELOCITY_SAMPLES = 3;
+
+function smoothingFactor(dt, cutoff) {
+  const r = 2 * Math.PI * cutoff * dt;
+  return r / (r + 1);
+}
+
+export class OneEuroFilter {
+  constructor({ minCutoff, beta, dCutoff } = filterParams('oneEuro')) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.dx = 0;
+    this.velocity = 0;
+    this.lastT = null;
+    // Last filtered outputs { t, value }, for velocity
+    this.recent = [];
+  }
+
+  /**
+   * @param {number} x - raw value
+   * @param {number} t - time (s)
+   * @returns {number} filtered value
+   */
+  filter(x, t) {
+    if (this.value === null || t <= this.lastT) {
+      if (this.value === null) this.value = x;
+      this.lastT = t;
+      this.recent = [{ t, value: this.value }];
+      return this.value;
+    }
+    const dt = t - this.lastT;
+    this.lastT = t;
+
+    // Smoothed derivative drives the cutoff: fast motion → less smoothing
+    this.dx += smoothingFactor(dt, this.dCutoff) * ((x - this.value) / dt - this.dx);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.dx);
+    this.value += smoothingFactor(dt, cutoff) * (x - this.value);
+
+    // Velocity is the slope of the filtered track over the last few samples
+    this.recent.push({ t, value: this.value });
+    if (this.recent.length > VELOCITY_SAMPLES) this.recent.shift();
+    const oldest = this.recent[0];
+    this.velocity = (this.value - oldest.value) / (t - oldest.t);
+    return this.value;
+  }
+}
+
+export class KalmanFilter {
+  constructor({ accelerationStd, measurementStd } = filterParams('kalman')) {
+    this.q = accelerationStd * accelerationStd;
+    this.r = measurementStd * measurementStd;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.velocity = 0;
+    this.lastT = null;
+    // Covariance of [position, velocity]
+    this.p = [[1, 0], [0, 1]];
+  }
+
+  /**
+   * @param {number} z - measured value
+   * @param {number} t - time (s)
+   * @returns {number} filtered value
+   */
+  filter(z, t) {
+    if (this.value === null) {
+      this.value = z;
+      this.velocity = 0;
+      this.lastT = t;
+      this.p = [[this.r, 0], [0, 1]];
+      return this.value;
+    }
+    const dt = Math.max(0, t - this.lastT);
+    this.lastT = t;
+
+    // Predict: x += v·dt, P = F P Fᵀ + Q (white-noise acceleration)
+    const x = this.value + this.velocity * dt;
+    const [[p00, p01], [p10, p11]] = this.p;
+    const dt2 = dt * dt;
+    const a00 = p00 + dt * (p10 + p01) + dt2 * p11 + this.q * dt2 * dt2 / 4;
+    const a01 = p01 + dt * p11 + this.q * dt2 * dt / 2;
+    const a10 = p10 + dt * p11 + this.q * dt2 * dt / 2;
+    const a11 = p11 + this.q * dt2;
+
+    // Update with the position measurement
+    const s = a00 + this.r;
+    const k0 = a00 / s;
+    const k1 = a10 / s;
+    const residual = z - x;
+    this.value = x + k0 * residual;
+    this.velocity += k1 * residual;
+    this.p = [
+      [(1 - k0) * a00, (1 - k0) * a01],
+      [a10 - k1 * a00, a11 - k1 * a01],
+    ];
+    return this.value;
+  }
+}
+
+const FILTER_CLASSES = { oneEuro: OneEuroFilter, kalman: KalmanFilter };
+
+/**
+ * Filters for one tracked hand: its position (with velocity) and its 21
+ * landmarks. Starts over when the hand was lost for longer than `maxGap`.
+ */
+export class HandFilter {
+  /**
+   * @param {string} type - key of FILTERS other than 'none'
+   * @param {Object} [params] - overrides of the filter's defaults
+   * @param {number} [maxGap=0.25] - seconds without samples before starting over
+   */
+  constructor(type, params = {}, maxGap = 0.25) {
+    this.type = type;
+    this.params = filterParams(type, params);
+    this.maxGap = maxGap;
+    this.x = this._create();
+    this.y = this._create();
+    this.landmarkFilters = [];
+    this.lastT = null;
+  }
+
+  _create() {
+    return new FILTER_CLASSES[this.type](this.params);
+  }
+
+  reset() {
+    this.x.reset();
+    this.y.reset();
+    for (const f of this.landmarkFilters) f.reset();
+  }
+
+  _checkGap(t) {
+    if (this.lastT !== null && t - this.lastT > this.maxGap) this.reset();
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} t - time (s)
+   * @returns {{ x: number, y: number, vx: number, vy: number }}
+   */
+  position(x, y, t) {
+    this._checkGap(t);
+    this.lastT = t;
+    return {
+      x: this.x.filter(x, t),
+      y: this.y.filter(y, t),
+      vx: this.x.velocity,
+      vy: this.y.velocity,
+    };
+  }
+
+  /**
+   * @param {{x, y, z}[]} landmarks
+   * @param {number} t - time (s)
+   * @returns {{x, y, z}[]} filtered copy
+   */
+  landmarks(landmarks, t) {
+    this._checkGap(t);
+    this.lastT = t;
+    while (this.landmarkFilters.length < landmarks.length * 3) {
+      this.landmarkFilters.push(this._create());
+    }
+    return landmarks.map((lm, i) => ({
+      x: this.landmarkFilters[i * 3].filter(lm.x, t),
+      y: this.landmarkFilters[i * 3 + 1].filter(lm.y, t),
+      z: this.landmarkFilters[i * 3 + 2].filter(lm.z, t),
+    }));
+  }
+}
+
+/**
+ * @param {{ type: string, params?: Object }} settings
+ * @returns {HandFilter|null} null when filtering is off
+ */
+export function createHandFilter({ type, params } = { type: DEFAULT_FILTER }) {
+  if (!FILTER_CLASSES[type]) return null;
+  return new HandFilter(type, params);
+}
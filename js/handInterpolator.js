@@ -0,0 +1,70 @@
+/**
+ * Glides a tracked hand between detection frames.
+ *
+ * Detection runs slower than the display (paced by the DetectionScheduler,
+ * often in a worker). Rather than jumping once per detection, the hand moves
+ * from where it's drawn to the latest detected position over one detection
+ * interval, so the blade, velocity and collisions update on every display
+ * frame. The price is up to one detection interval of extra latency.
+ */
+
+// Detection intervals outside this range (ms) are stalls or bursts, not the cadence
+const MIN_INTERVAL = 8;
+const MAX_INTERVAL = 200;
+// How quickly the interval estimate follows the measured one
+const INTERVAL_RATE = 0.2;
+
+function lerp(a, b, k) {
+  return a + (b - a) * k;
+}
+
+function lerpLandmarks(from, to, k) {
+  if (!from || !to || from.length !== to.length) return to;
+  return to.map((p, i) => ({ ...p, x: lerp(from[i].x, p.x, k), y: lerp(from[i].y, p.y, k), z: lerp(from[i].z, p.z, k) }));
+}
+
+export class HandInterpolator {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAge=250] - ms a detection stays valid without a newer one
+   */
+  constructor({ maxAge = 250 } = {}) {
+    this.maxAge = maxAge;
+    this.interval = 33;   // ms between detections, estimated
+    this.from = null;     // where the hand was drawn when the latest detection came in
+    this.to = null;       // latest detection: { x, y, landmarks }
+    this.start = 0;
+    this.lastPush = null;
+  }
+
+  /**
+   * A new detection result for this hand.
+   * @param {{ x: number, y: number, landmarks: Object[]|null }|null} sample - null when the hand is lost
+   * @param {number} t - arrival time (ms)
+   */
+  push(sample, t) {
+    if (this.lastPush !== null) {
+      const gap = Math.min(MAX_INTERVAL, Math.max(MIN_INTERVAL, t - this.lastPush));
+      this.interval += (gap - this.interval) * INTERVAL_RATE;
+    }
+    this.lastPush = t;
+    this.from = sample ? this.at(t) : null;
+    this.to = sample;
+    this.start = t;
+  }
+
+  /**
+   * The hand at display time `t`, or null when it's lost or its detection too old.
+   * @param {number} t - ms
+   */
+  at(t) {
+    if (!this.to || t - this.start > this.maxAge) return null;
+    if (!this.from) return this.to;
+    const k = Math.min(1, Math.max(0, (t - this.start) / this.interval));
+    return {
+      x: lerp(this.from.x, this.to.x, k),
+      y: lerp(this.from.y, this.to.y, k),
+      landmarks: lerpLandmarks(this.from.landmarks, this.to.landmarks, k),
+    };
+  }
+}
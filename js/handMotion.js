@@ -0,0 +1,81 @@
+/**
+ * Hand state + velocity from position samples, shared by every input source
+ * (PoseDetection, PointerInput) so the engine always sees the same shape.
+ */
+
+/**
+ * A hidden hand.
+ * blade = wrist→tip segment (null when only a point is known)
+ * t = sample time (ms), prev = previous real sample { x, y, t, blade } for swept collision
+ * raw = unfiltered { x, y, vx, vy, speed } when a smoothing filter is in use, else null
+ */
+export function createHand() {
+  return { x: 0, y: 0, vx: 0, vy: 0, speed: 0, visible: false, blade: null, t: 0, prev: null, raw: null };
+}
+
+/**
+ * Record a new sample for a hand and update its position and velocity.
+ * Velocity is measured across the sample history to smooth out jitter, or
+ * comes from `filter` (a HandFilter, see handFilters.js) when one is given.
+ * @param {Object} hand - from createHand(), updated in place
+ * @param {Object[]} history - this hand's recent samples, updated in place
+ * @param {number} x - normalized [0, 1]
+ * @param {number} y - normalized [0, 1]
+ * @param {number} now - sample time (ms)
+ * @param {Object|null} [blade]
+ * @param {Object} [options]
+ * @param {number} [options.maxHistory=5] - samples kept for velocity
+ * @param {number} [options.maxSampleGap=250] - ms; older samples belong to a lost hand, not this swipe
+ * @param {Object|null} [options.filter] - smooths position and velocity; hand.raw keeps the unfiltered track
+ */
+export function trackHand(hand, history, x, y, now, blade = null, { maxHistory = 5, maxSampleGap = 250, filter = null } = {}) {
+  // Hand was lost for a while — don't connect this sample to the stale ones
+  if (history.length > 0 && now - history[history.length - 1].t > maxSampleGap) {
+    history.length = 0;
+    if (filter) filter.reset();
+  }
+
+  const raw = { x, y };
+  const smoothed = filter ? filter.position(x, y, now / 1000) : null;
+  if (smoothed) {
+    x = smoothed.x;
+    y = smoothed.y;
+  }
+
+  const prev = history.length > 0 ? history[history.length - 1] : null;
+  history.push({ x, y, t: now, blade, raw });
+
+  if (history.length > maxHistory) {
+    history.shift();
+  }
+
+  hand.x = x;
+  hand.y = y;
+  hand.visible = true;
+  hand.blade = blade;
+  hand.t = now;
+  hand.prev = prev ? { x: prev.x, y: prev.y, t: prev.t, blade: prev.blade } : null;
+
+  // Finite difference over the raw samples
+  let vx = hand.raw && filter ? hand.raw.vx : hand.vx;
+  let vy = hand.raw && filter ? hand.raw.vy : hand.vy;
+  if (history.length >= 2) {
+    const oldest = history[0];
+    const dt = (now - oldest.t) / 1000;
+    if (dt > 0.001) {
+      vx = (raw.x - oldest.raw.x) / dt;
+      vy = (raw.y - oldest.raw.y) / dt;
+    }
+  }
+
+  if (smoothed) {
+    hand.raw = { x: raw.x, y: raw.y, vx, vy, speed: Math.hypot(vx, vy) };
+    vx = smoothed.vx;
+    vy = smoothed.vy;
+  } else {
+    hand.raw = null;
+  }
+  hand.vx = vx;
+  hand.vy = vy;
+  hand.speed = Math.sqrt(vx * vx + vy * vy);
+}
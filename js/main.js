@@ -1,147 +1,432 @@
 import { PoseDetection } from './poseDetection.js';
+import { PointerInput } from './pointerInput.js';
+import { GamepadInput, KeyboardInput, CURSOR_DEFAULTS } from './cursorInput.js';
+import { MIN_SLICE_SPEED } from './collisionSystem.js';
+import { FILTERS, DEFAULT_FILTER, filterParams } from './handFilters.js';
+import { CalibrationSession } from './calibration.js';
+import { MODEL_VARIANTS } from './assets.js';
+import { TRACKING_PARTS, BACKENDS, trackingSettings, describeTracking } from './trackingSetup.js';
 import { GameEngine } from './gameEngine.js';
 import { RenderingSystem } from './renderingSystem.js';
 import { ParticleSystem } from './particleSystem.js';
 import { AudioSystem } from './audioSystem.js';
+import { SeededRandom } from './random.js';
+import { SessionRecorder, SessionPlayer } from './sessionRecorder.js';
+import { GAME_MODES, DEFAULT_MODE, getMode } from './gameModes.js';
+import { POWER_UPS } from './powerUps.js';
+import { getEntityType } from './entityTypes.js';
+import { comboTier } from './combos.js';
+import { PLAYERS, SplitScreenMatch } from './twoPlayer.js';
+import { DifficultyProfile, NORMAL_PROFILE, BUILTIN_PROFILES, loadDifficultyProfile } from './difficulty.js';
 
 // DOM elements
 const startScreen     = document.getElementById('start-screen');
 const gameoverScreen  = document.getElementById('gameover-screen');
 const pauseScreen     = document.getElementById('pause-screen');
+const pauseHint       = document.getElementById('pause-hint');
 const startBtn        = document.getElementById('start-btn');
 const restartBtn      = document.getElementById('restart-btn');
 const resumeBtn       = document.getElementById('resume-btn');
+const replayInput     = document.getElementById('replay-input');
+const saveReplayBtn   = document.getElementById('save-replay-btn');
+const replayBadge     = document.getElementById('replay-badge');
 const pauseBtn        = document.getElementById('pause-btn');
+const scoreLabel      = document.getElementById('score-label');
 const scoreValue      = document.getElementById('score-value');
 const comboDisplay    = document.getElementById('combo-display');
 const comboValueEl    = document.getElementById('combo-value');
 const fpsDisplay      = document.getElementById('fps-display');
 const finalScoreValue = document.getElementById('final-score-value');
 const finalComboValue = document.getElementById('final-combo-value');
+const finalSeedValue  = document.getElementById('final-seed-value');
+const finalDetails    = document.getElementById('final-details');
+const gameOverTitle   = document.getElementById('game-over-title');
+const modeSelect      = document.getElementById('mode-select');
+const modeDescription = document.getElementById('mode-description');
+const difficultySelect = document.getElementById('difficulty-select');
+const difficultyInput = document.getElementById('difficulty-input');
+const timerDisplay    = document.getElementById('timer-display');
 const timerValue      = document.getElementById('timer-value');
+const strikesDisplay  = document.getElementById('strikes-display');
+const powerUpDisplay  = document.getElementById('powerup-display');
 const timePenalty     = document.getElementById('time-penalty');
+const p2Hud           = document.getElementById('p2-hud');
+const playersBtn      = document.getElementById('players-btn');
+const inputBtn        = document.getElementById('input-btn');
+const cursorSettings  = document.getElementById('cursor-settings');
+const cursorSpeedInput = document.getElementById('cursor-speed');
+const sensitivityInput = document.getElementById('slice-sensitivity');
+const trackingSettingsEl = document.getElementById('tracking-settings');
+const trackingStatus  = document.getElementById('tracking-status');
+const trackingPartsSelect = document.getElementById('tracking-parts');
+const poseModelSelect = document.getElementById('pose-model');
+const handModelSelect = document.getElementById('hand-model');
+const backendSelect   = document.getElementById('backend-select');
+const filterSelect    = document.getElementById('filter-select');
+const filterParamsEl  = document.getElementById('filter-params');
+const filterDebugInput = document.getElementById('filter-debug');
+const profileInput    = document.getElementById('profile-input');
+const profileList     = document.getElementById('profile-list');
+const calibrateBtn    = document.getElementById('calibrate-btn');
+const calibrationScreen = document.getElementById('calibration-screen');
+const calibrationStep = document.getElementById('calibration-step');
+const calibrationFill = document.getElementById('calibration-fill');
+const calibrationSkip = document.getElementById('calibration-skip');
 const gameCanvas      = document.getElementById('game-canvas');
 const poseCanvas      = document.getElementById('pose-canvas');
 const webcamEl        = document.getElementById('webcam');
 
 // Systems
-const poseDetection   = new PoseDetection();
+const poseDetection   = new PoseDetection({
+  assets: new URLSearchParams(window.location.search).get('assets'),
+  tracking: loadTrackingSettings(),
+  // ?worker=0 detects on the main thread, for comparison or debugging
+  worker: new URLSearchParams(window.location.search).get('worker') !== '0',
+});
+const pointerInput    = new PointerInput();
+const gamepadInput    = new GamepadInput();
+const keyboardInput   = new KeyboardInput();
 const gameEngine      = new GameEngine();
+const match           = new SplitScreenMatch([gameEngine, new GameEngine()]);
 const renderingSystem = new RenderingSystem(gameCanvas, poseCanvas);
 const particleSystem  = new ParticleSystem(renderingSystem.poseCtx);
 particleSystem.setGameContext(renderingSystem.gameCtx);
 const audio           = new AudioSystem();
+const recorder        = new SessionRecorder();
 
 // State
 let running = false;
 let lastTime = 0;
 let fpsCounter = 0;
 let fpsTime = 0;
-let comboHideTimer = 0;
 let cameraReady = false;
-let penaltyTimer = null;
+let trackingFailed = false; // the models wouldn't start on the chosen backend
 let lastSwingTime = 0;
 let soundsLoaded = false;
+let replayPlayer = null;   // set while watching a loaded recording
+let playersBeforeReplay = null;  // player count to restore once the replay ends
+let replayLag = 0;
+let lastRecording = null;
+
+const INPUTS = {
+  camera: { label: '📷 CAMERA', source: poseDetection },
+  pointer: { label: '🖱️ MOUSE / TOUCH', source: pointerInput },
+  gamepad: { label: '🎮 GAMEPAD', source: gamepadInput },
+  keyboard: { label: '⌨️ KEYBOARD', source: keyboardInput },
+};
+let selectedInput = localStorage.getItem('visionSlice.input') in INPUTS ? localStorage.getItem('visionSlice.input') : 'camera';
+let input = poseDetection; // live input source of the current run
+let playerCount = localStorage.getItem('visionSlice.players') === '2' ? 2 : 1;
+let selectedMode = getMode(localStorage.getItem('visionSlice.mode') || DEFAULT_MODE).id;
+let selectedDifficulty = new DifficultyProfile(NORMAL_PROFILE);
+
+// Fixed seed from ?seed=123 — every run with it gets the same spawns (competitive play)
+const seedParam = new URLSearchParams(window.location.search).get('seed');
+const fixedSeed = seedParam !== null && !Number.isNaN(Number(seedParam)) ? Number(seedParam) : null;
+
+// --- Players ---
+
+// Each player's HUD; player 1 uses the main one
+const HUDS = [
+  {
+    score: scoreValue,
+    scoreLabel: scoreLabel,
+    combo: comboDisplay,
+    comboValue: comboValueEl,
+    timer: timerDisplay,
+    timerValue,
+    strikes: strikesDisplay,
+    powerUps: powerUpDisplay,
+    penalty: timePenalty,
+  },
+  {
+    score: p2Hud.querySelector('.p2-score-value'),
+    scoreLabel: p2Hud.querySelector('.p2-score-label'),
+    combo: p2Hud.querySelector('.p2-combo'),
+    comboValue: p2Hud.querySelector('.p2-combo'),
+    timer: p2Hud.querySelector('.p2-timer'),
+    timerValue: p2Hud.querySelector('.p2-timer-value'),
+    strikes: p2Hud.querySelector('.p2-strikes'),
+    powerUps: p2Hud.querySelector('.p2-powerups'),
+    penalty: p2Hud.querySelector('.p2-penalty'),
+  },
+];
+
+/**
+ * A player's engine, HUD and slice of the screen. `count` is how many fields
+ * the screen is split into for this run (1 in single player).
+ */
+const views = match.engines.map((engine, index) => ({
+  index,
+  engine,
+  hud: HUDS[index],
+  count: 1,
+  comboHideTimer: 0,
+  penaltyTimer: null,
+  time: Infinity,
+}));
+
+/** The players in this run */
+function activeViews() {
+  return views.slice(0, playerCount);
+}
+
+/** Screen pixel x of a point in a player's field */
+function screenX(view, x) {
+  return ((view.index + x) / view.count) * renderingSystem.width;
+}
 
 // --- Show floating +/- time text ---
-function showTimePenalty(text, type) {
-  if (penaltyTimer) clearTimeout(penaltyTimer);
-  timePenalty.textContent = text;
-  timePenalty.className = type === 'bonus' ? 'show-bonus' : 'show-penalty';
-  penaltyTimer = setTimeout(() => {
-    timePenalty.className = '';
+function showTimePenalty(view, text, type) {
+  const { penalty } = view.hud;
+  if (view.penaltyTimer) clearTimeout(view.penaltyTimer);
+  penalty.textContent = text;
+  penalty.classList.remove('show-bonus', 'show-penalty');
+  penalty.classList.add(type === 'bonus' ? 'show-bonus' : 'show-penalty');
+  view.penaltyTimer = setTimeout(() => {
+    penalty.classList.remove('show-bonus', 'show-penalty');
   }, 1000);
 }
 
 // --- Game engine callbacks ---
 
-gameEngine.onSlice = (obj, hand, combo, pieces) => {
-  const sx = obj.x * renderingSystem.width;
-  const sy = obj.y * renderingSystem.height;
-  const color = renderingSystem.getFruitColor(obj.type);
-  particleSystem.emitSlice(sx, sy, color, hand.vx, hand.vy);
+function wireEngine(view) {
+  const { engine, hud } = view;
 
-  // Juice splatter on screen
-  particleSystem.emitSplatter(sx, sy, color, hand.vx, hand.vy);
+  engine.onSlice = (obj, hand, combo, pieces) => {
+    const def = getEntityType(obj.type);
+    const sx = screenX(view, obj.x);
+    const sy = obj.y * renderingSystem.height;
+    const color = def.color;
+    particleSystem.emitSlice(sx, sy, color, hand.vx, hand.vy);
 
-  if (obj.generation > 0) {
-    particleSystem.emit(sx, sy, color, 8);
-    // Smaller splatter for pieces
+    // Juice splatter on screen
     particleSystem.emitSplatter(sx, sy, color, hand.vx, hand.vy);
-  }
 
-  if (combo >= 3) {
-    audio.playCombo();
-  } else {
+    if (obj.generation > 0) {
+      particleSystem.emit(sx, sy, color, 8);
+      // Smaller splatter for pieces
+      particleSystem.emitSplatter(sx, sy, color, hand.vx, hand.vy);
+    }
+
+    // Golden fruit: gold shower + flash
+    if (def.effect === 'shine' && obj.generation === 0) {
+      particleSystem.emitPowerUp(sx, sy, def.color);
+      renderingSystem.triggerFlash(def.color, 0.3);
+    }
+
+    const tier = comboTier(combo);
+    if (tier) {
+      audio.playCombo(tier.level);
+    } else {
+      audio.playCue(def.sound);
+    }
+  };
+
+  engine.onCritical = (obj, points) => {
+    const sx = screenX(view, obj.x);
+    const sy = obj.y * renderingSystem.height;
+    particleSystem.emitPowerUp(sx, sy, '#f1fa8c');
+    audio.playCritical();
+    showTimePenalty(view, `⚡ CRITICAL +${points}`, 'bonus');
+  };
+
+  engine.onMultiSlice = (count, points, stroke) => {
+    const sx = screenX(view, stroke.x);
+    const sy = stroke.y * renderingSystem.height;
+    particleSystem.emitCombo(sx, sy, '#f1fa8c', Math.min(5, count - 2));
+    audio.playCombo(Math.min(5, count - 2));
+    showTimePenalty(view, `🔪 ${count}-FRUIT COMBO +${points}`, 'bonus');
+  };
+
+  engine.onTechnique = (technique, points, { x, y, chain }) => {
+    const sx = screenX(view, x);
+    const sy = y * renderingSystem.height;
+    if (technique.id === 'xSlash') {
+      // Two juice sprays crossing
+      particleSystem.emitSlice(sx, sy, technique.color, 1, 1);
+      particleSystem.emitSlice(sx, sy, technique.color, -1, 1);
+      renderingSystem.triggerFlash(technique.color, 0.25);
+      audio.playCritical();
+    } else if (technique.id === 'clap') {
+      particleSystem.emitCombo(sx, sy, technique.color, 2);
+      renderingSystem.triggerFlash('white', 0.3);
+      audio.playClap();
+    } else {
+      particleSystem.emit(sx, sy, technique.color, 6 + chain);
+      audio.playCombo(Math.min(5, chain - technique.minChain + 1));
+    }
+    const label = chain ? `${technique.name} ×${chain}` : technique.name;
+    showTimePenalty(view, `${technique.icon} ${label.toUpperCase()} +${points}`, 'bonus');
+  };
+
+  // Each new chain tier: bigger burst under the combo counter, tinted flash
+  engine.onComboTier = (tier) => {
+    particleSystem.emitCombo(screenX(view, 0.5), 120, tier.color, tier.level);
+    renderingSystem.triggerFlash(tier.color, 0.08 * tier.level);
+  };
+
+  engine.onMultiHit = (obj, hand, hits) => {
+    const color = getEntityType(obj.type).color;
+    const sx = screenX(view, obj.x);
+    const sy = obj.y * renderingSystem.height;
+    particleSystem.emitSlice(sx, sy, color, hand.vx, hand.vy);
+    particleSystem.emit(sx, sy, color, 4 + hits);
     audio.playClash();
-  }
-};
+  };
 
-gameEngine.onBomb = (obj) => {
-  const sx = obj.x * renderingSystem.width;
-  const sy = obj.y * renderingSystem.height;
+  engine.onBurst = (obj, points) => {
+    const color = getEntityType(obj.type).color;
+    const sx = screenX(view, obj.x);
+    const sy = obj.y * renderingSystem.height;
+    // Seeds everywhere
+    for (let i = 0; i < 4; i++) {
+      const a = (i / 4) * Math.PI * 2;
+      particleSystem.emitSlice(sx, sy, color, Math.cos(a), Math.sin(a));
+      particleSystem.emitSplatter(sx, sy, color, Math.cos(a) * 3, Math.sin(a) * 3);
+    }
+    renderingSystem.triggerFlash(color, 0.3);
+    audio.playCombo();
+    showTimePenalty(view, `💥 +${points}`, 'bonus');
+  };
 
-  // Massive explosion particles
-  particleSystem.emitBombExplosion(sx, sy, renderingSystem.width, renderingSystem.height);
+  engine.onBomb = (obj) => {
+    const sx = screenX(view, obj.x);
+    const sy = obj.y * renderingSystem.height;
 
-  // White → red flash
-  renderingSystem.triggerFlash('#ff5555', 0.85);
-  // Second white flash slightly delayed for dramatic effect
-  setTimeout(() => {
-    renderingSystem.triggerFlash('white', 0.5);
-  }, 80);
+    // Massive explosion particles
+    particleSystem.emitBombExplosion(sx, sy, renderingSystem.width, renderingSystem.height);
 
-  // Screen shake via CSS
-  document.body.classList.add('screen-shake');
-  setTimeout(() => {
-    document.body.classList.remove('screen-shake');
-  }, 500);
+    // White → red flash
+    renderingSystem.triggerFlash('#ff5555', 0.85);
+    // Second white flash slightly delayed for dramatic effect
+    setTimeout(() => {
+      renderingSystem.triggerFlash('white', 0.5);
+    }, 80);
 
-  audio.playBomb();
-  showTimePenalty('💣 −10s', 'penalty');
-};
+    // Screen shake via CSS
+    document.body.classList.add('screen-shake');
+    setTimeout(() => {
+      document.body.classList.remove('screen-shake');
+    }, 500);
 
-gameEngine.onHeart = (obj) => {
-  const sx = obj.x * renderingSystem.width;
-  const sy = obj.y * renderingSystem.height;
-  particleSystem.emitSlice(sx, sy, '#ff79c6', 0, -1);
-  particleSystem.emit(sx, sy, '#ff79c6', 15);
-  audio.playHeart();
-  showTimePenalty('❤️ +10s', 'bonus');
-};
+    audio.playCue(getEntityType(obj.type).sound);
+    const { bombHit, bombPenalty } = engine.mode;
+    if (bombHit === 'time') showTimePenalty(view, `💣 −${bombPenalty}s`, 'penalty');
+    else if (bombHit === 'score') showTimePenalty(view, `💣 −${bombPenalty}`, 'penalty');
+  };
 
-gameEngine.onScore = (score, combo) => {
-  scoreValue.textContent = score;
-  scoreValue.classList.add('bump');
-  setTimeout(() => scoreValue.classList.remove('bump'), 100);
+  engine.onHeart = (obj) => {
+    const def = getEntityType(obj.type);
+    const sx = screenX(view, obj.x);
+    const sy = obj.y * renderingSystem.height;
+    particleSystem.emitSlice(sx, sy, def.color, 0, -1);
+    particleSystem.emit(sx, sy, def.color, 15);
+    audio.playCue(def.sound);
+    if (engine.mode.heartHit === 'strike') {
+      showTimePenalty(view, '❤️ STRIKE HEALED', 'bonus');
+      updateStrikes(view);
+    } else {
+      showTimePenalty(view, `❤️ +${engine.mode.heartBonus}s`, 'bonus');
+    }
+  };
 
-  if (combo >= 2) {
-    comboValueEl.textContent = `x${combo} COMBO! 🔥`;
-    comboDisplay.classList.remove('hidden');
-    comboHideTimer = 1.5;
-  }
-};
+  engine.onPowerUp = (obj, powerUp) => {
+    const sx = screenX(view, obj.x);
+    const sy = obj.y * renderingSystem.height;
+    const def = getEntityType(obj.type);
+    particleSystem.emitPowerUp(sx, sy, def.color);
+    renderingSystem.triggerFlash(def.color, 0.35);
+    audio.playCue(def.sound, powerUp.id);
+    showTimePenalty(view, `${powerUp.icon} ${powerUp.name.toUpperCase()}!`, 'bonus');
+  };
 
-gameEngine.onTimeChange = (time) => {
-  const display = Math.ceil(Math.max(0, time));
-  timerValue.textContent = display;
+  engine.onPowerUpEnd = (_id) => {
+    audio.playPowerUpEnd();
+  };
 
-  timerValue.classList.remove('warning', 'critical');
-  if (time <= 5) {
-    timerValue.classList.add('critical');
-  } else if (time <= 10) {
-    timerValue.classList.add('warning');
-  }
+  engine.onScore = (score, combo) => {
+    hud.score.textContent = score;
+    hud.score.classList.add('bump');
+    setTimeout(() => hud.score.classList.remove('bump'), 100);
 
-  // Red border danger intensity: ramps from 0 at 10s to 1 at 0s
-  if (time <= 10) {
-    renderingSystem.setDangerIntensity(1 - time / 10);
-  } else {
-    renderingSystem.setDangerIntensity(0);
-  }
-};
+    if (combo >= 2) {
+      const tier = comboTier(combo);
+      hud.comboValue.textContent = tier ? `x${combo} ${tier.name.toUpperCase()}! 🔥` : `x${combo} COMBO! 🔥`;
+      hud.combo.style.setProperty('--combo-color', tier ? tier.color : '');
+      hud.combo.classList.remove('hidden');
+      view.comboHideTimer = 1.5;
+    }
+  };
+
+  engine.onTimeChange = (time) => {
+    view.time = time;
+    const display = Math.ceil(Math.max(0, time));
+    hud.timerValue.textContent = display;
 
-gameEngine.onMiss = (_obj) => {};
+    hud.timerValue.classList.remove('warning', 'critical');
+    if (time <= 5) {
+      hud.timerValue.classList.add('critical');
+    } else if (time <= 10) {
+      hud.timerValue.classList.add('warning');
+    }
+
+    // Red border danger intensity: ramps from 0 at 10s to 1 at 0s,
+    // driven by whichever player is closest to running out
+    const lowest = Math.min(...activeViews().filter(v => !v.engine.isGameOver).map(v => v.time));
+    if (lowest <= 10) {
+      renderingSystem.setDangerIntensity(1 - Math.max(0, lowest) / 10);
+    } else {
+      renderingSystem.setDangerIntensity(0);
+    }
+  };
+
+  engine.onMiss = (obj, consequence) => {
+    renderingSystem.addMissMarker(screenX(view, obj.x) / renderingSystem.width);
+    audio.playMiss();
+    if (consequence === 'strike') {
+      updateStrikes(view);
+      hud.strikes.classList.remove('strike-hit');
+      void hud.strikes.offsetWidth; // restart the animation
+      hud.strikes.classList.add('strike-hit');
+    } else if (consequence === 'time') {
+      showTimePenalty(view, `✖ −${engine.mode.missPenalty}s`, 'penalty');
+    } else if (consequence === 'combo') {
+      hud.combo.classList.add('hidden');
+      view.comboHideTimer = 0;
+    }
+  };
+}
+
+views.forEach(wireEngine);
+
+function updateStrikes({ engine, hud }) {
+  const max = engine.mode.maxStrikes;
+  hud.strikes.textContent = '✖'.repeat(engine.strikes) + '·'.repeat(Math.max(0, max - engine.strikes));
+}
+
+/** One row per running power-up: icon, draining bar, seconds left */
+function updatePowerUpHud({ engine, hud }) {
+  const active = engine.activePowerUps;
+  for (const item of hud.powerUps.querySelectorAll('.powerup-item')) {
+    if (!(item.dataset.powerUp in active)) item.remove();
+  }
+  for (const [id, remaining] of Object.entries(active)) {
+    const powerUp = POWER_UPS[id];
+    let item = hud.powerUps.querySelector(`[data-power-up="${id}"]`);
+    if (!item) {
+      item = document.createElement('div');
+      item.className = 'powerup-item';
+      item.dataset.powerUp = id;
+      item.style.setProperty('--powerup-color', powerUp.color);
+      item.innerHTML = `<span class="powerup-icon">${powerUp.icon}</span>` +
+        '<div class="powerup-bar"><div class="powerup-fill"></div></div><span class="powerup-time"></span>';
+      hud.powerUps.appendChild(item);
+    }
+    item.querySelector('.powerup-fill').style.width = `${(remaining / powerUp.duration) * 100}%`;
+    item.querySelector('.powerup-time').textContent = `${Math.ceil(remaining)}s`;
+  }
+}
 
 // --- Main game loop ---
 
@@ -149,46 +434,70 @@ function gameLoop(timestamp) {
   if (!running) return;
   requestAnimationFrame(gameLoop);
 
-  const dt = Math.min((timestamp - lastTime) / 1000, 0.05);
+  let dt = Math.min((timestamp - lastTime) / 1000, 0.05);
   lastTime = timestamp;
 
   // FPS
   fpsCounter++;
   fpsTime += dt;
   if (fpsTime >= 1) {
-    fpsDisplay.textContent = `FPS: ${fpsCounter}`;
+    // Webcam: what the detection scheduler settled on
+    const detection = input === poseDetection && !replayPlayer
+      ? ` • ${poseDetection.scheduler.describe({ pose: !!poseDetection.status.pose })}`
+      : '';
+    fpsDisplay.textContent = `FPS: ${fpsCounter}${detection}`;
     fpsCounter = 0;
     fpsTime = 0;
   }
 
-  // Pose detection
-  poseDetection.detect(timestamp);
-  const hands = poseDetection.getHands();
-  const landmarks = poseDetection.getPoseLandmarks();
-  const connections = poseDetection.getConnections();
-  const handLandmarks = poseDetection.getHandLandmarks();
-  const handOpen = poseDetection.getHandOpen();
-  const prevHandOpen = poseDetection.getPrevHandOpen();
+  // Tracking — live webcam, or the next frame of a loaded replay
+  if (replayPlayer) {
+    // Play back at recorded speed: wait until the next frame is due
+    replayLag = Math.min(replayLag + dt, 0.1);
+    if (replayLag < replayPlayer.nextDt) return;
+    replayLag -= replayPlayer.nextDt;
+    if (!replayPlayer.detect()) {
+      showGameOver();
+      return;
+    }
+    dt = replayPlayer.dt;
+  } else {
+    input.detect(timestamp);
+  }
+
+  const tracker = replayPlayer || input;
+  const connections = tracker.getConnections();
+  const players = activeViews().map(view => ({
+    view,
+    hands: tracker.getHands(view.index),
+    landmarks: tracker.getPoseLandmarks(view.index),
+    handLandmarks: tracker.getHandLandmarks(view.index),
+    handOpen: tracker.getHandOpen(view.index),
+    prevHandOpen: tracker.getPrevHandOpen(view.index),
+  }));
 
   // --- Ignition / retract detection ---
-  for (const side of ['left', 'right']) {
-    if (hands[side].visible) {
-      if (handOpen[side] && !prevHandOpen[side]) {
-        // Hand just opened → ignite
-        audio.ignite();
-      } else if (!handOpen[side] && prevHandOpen[side]) {
-        // Hand just closed → retract
-        audio.retract();
+  let anyOpen = false;
+  let maxSpeed = 0;
+  for (const { hands, handOpen, prevHandOpen } of players) {
+    for (const side of ['left', 'right']) {
+      if (hands[side].visible) {
+        if (handOpen[side] && !prevHandOpen[side]) {
+          // Hand just opened → ignite
+          audio.ignite();
+        } else if (!handOpen[side] && prevHandOpen[side]) {
+          // Hand just closed → retract
+          audio.retract();
+        }
+      }
+      if (hands[side].visible && handOpen[side]) {
+        anyOpen = true;
+        maxSpeed = Math.max(maxSpeed, hands[side].speed);
       }
     }
   }
 
   // --- Lightsaber hum + swing ---
-  const anyOpen = (hands.left.visible && handOpen.left) || (hands.right.visible && handOpen.right);
-  const maxSpeed = Math.max(
-    (hands.left.visible && handOpen.left) ? hands.left.speed : 0,
-    (hands.right.visible && handOpen.right) ? hands.right.speed : 0
-  );
   audio.updateSaber(maxSpeed, anyOpen);
 
   // Swing sound on fast movement
@@ -198,78 +507,204 @@ function gameLoop(timestamp) {
 
   // Update game logic — only detect collisions when at least one hand is open
   // (temporarily disable hands that are fists)
-  const effectiveHands = {
+  const effectiveHands = players.map(({ hands, handOpen }) => ({
     left: { ...hands.left, visible: hands.left.visible && handOpen.left },
     right: { ...hands.right, visible: hands.right.visible && handOpen.right },
-  };
-  gameEngine.update(dt, effectiveHands);
+  }));
+  if (playerCount > 1) {
+    match.update(dt, effectiveHands);
+  } else {
+    const [{ hands, handOpen, handLandmarks, landmarks }] = players;
+    recorder.recordFrame({
+      dt,
+      hands: effectiveHands[0],
+      tracked: { left: hands.left.visible, right: hands.right.visible },
+      handOpen,
+      handLandmarks,
+      poseLandmarks: landmarks,
+    });
+    gameEngine.update(dt, effectiveHands[0]);
+  }
+
+  for (const view of activeViews()) {
+    updatePowerUpHud(view);
 
-  // Combo display timer
-  if (comboHideTimer > 0) {
-    comboHideTimer -= dt;
-    if (comboHideTimer <= 0) {
-      comboDisplay.classList.add('hidden');
+    // Combo display timer
+    if (view.comboHideTimer > 0) {
+      view.comboHideTimer -= dt;
+      if (view.comboHideTimer <= 0) {
+        view.hud.combo.classList.add('hidden');
+      }
     }
   }
 
   // --- RENDER ---
   renderingSystem._lastDt = dt;
-  renderingSystem.drawGameObjects(gameEngine.getActiveObjects(), particleSystem);
+  if (playerCount > 1) {
+    renderingSystem.drawSplitScreen(match.engines.map(engine => ({
+      objects: engine.getActiveObjects(),
+      frozen: !!engine.activePowerUps.freeze,
+    })), particleSystem);
+  } else {
+    renderingSystem.setPowerUpState(!!gameEngine.activePowerUps.freeze, gameEngine.bladeReach);
+    renderingSystem.drawGameObjects(gameEngine.getActiveObjects(), particleSystem);
+  }
 
   renderingSystem.clearPoseCanvas();
-  renderingSystem.drawSkeleton(landmarks, connections);
-  renderingSystem.drawHandTrails(hands, handLandmarks, handOpen);
+  for (const { view, hands, landmarks, handLandmarks, handOpen } of players) {
+    renderingSystem.drawSkeleton(landmarks, connections);
+    renderingSystem.setPowerUpState(!!view.engine.activePowerUps.freeze, view.engine.bladeReach);
+    renderingSystem.drawHandTrails(hands, handLandmarks, handOpen, playerCount > 1 ? PLAYERS[view.index] : null);
+    renderingSystem.drawFilterDebug(hands, playerCount > 1 ? PLAYERS[view.index] : null);
+  }
   particleSystem.update(dt);
 
   // Game over check
-  if (gameEngine.isGameOver) {
+  if (playerCount > 1 ? match.isGameOver : gameEngine.isGameOver) {
     showGameOver();
   }
 }
 
 // --- UI ---
 
+/** Have the service worker keep these files for offline play */
+function cacheForOffline(urls) {
+  if (!('serviceWorker' in navigator)) return;
+  const absolute = urls.map(url => new URL(url, document.baseURI).href);
+  navigator.serviceWorker.ready.then(registration => {
+    registration.active.postMessage({ type: 'precache', urls: absolute });
+  });
+}
+
+/** Start the webcam and load the models once; false if they can't be used */
+async function ensureCamera() {
+  if (cameraReady) return true;
+  startBtn.disabled = true;
+  try {
+    if (!webcamEl.srcObject) {
+      startBtn.textContent = '📷 STARTING CAMERA...';
+      await poseDetection.startCamera(webcamEl);
+    }
+    startBtn.textContent = '🧠 LOADING AI MODELS...';
+    trackingFailed = false;
+    await poseDetection.init();
+    cameraReady = true;
+    cacheForOffline(poseDetection.loadedFiles());
+  } catch (err) {
+    // A camera that started but models that didn't: reported on the start screen
+    trackingFailed = !!webcamEl.srcObject;
+    console.error('[VisionSlice] Camera unavailable:', err);
+  }
+  startBtn.disabled = false;
+  startBtn.textContent = '▶ START GAME';
+  showTrackingStatus();
+  return cameraReady;
+}
+
 async function startGame() {
+  replayPlayer = null;
+  restorePlayers();
   startScreen.classList.add('hidden');
   gameoverScreen.classList.add('hidden');
   pauseScreen.classList.add('hidden');
 
   audio.init();
 
-  if (!cameraReady) {
-    startBtn.textContent = '📷 STARTING CAMERA...';
-    startBtn.disabled = true;
-    try {
-      await poseDetection.startCamera(webcamEl);
-      startBtn.textContent = '🧠 LOADING AI MODELS...';
-      await poseDetection.init();
-      cameraReady = true;
-    } catch (err) {
-      console.error('Failed to init:', err);
-      startBtn.textContent = '❌ ERROR - CHECK WEBCAM & REFRESH';
-      startBtn.disabled = false;
-      startScreen.classList.remove('hidden');
-      return;
-    }
+  let cameraFailed = false;
+  if (selectedInput === 'camera' && !(await ensureCamera())) {
+    // No camera (or blocked, or models unreachable) — play with mouse / touch instead
+    cameraFailed = true;
+    selectInput('pointer', { remember: false });
+  }
+  // First webcam game on this profile: calibrate before playing (it needs the body in view)
+  if (selectedInput === 'camera' && playerCount === 1 && !(profileName in calibrations) && poseDetection.status.pose) {
+    await poseDetection.setPlayerCount(1);
+    await runCalibration();
   }
 
-  // Load sounds if not loaded yet
-  if (!soundsLoaded) {
-    startBtn.textContent = '🔊 LOADING SOUNDS...';
-    await audio.loadSounds();
-    soundsLoaded = true;
+  input = INPUTS[selectedInput].source;
+  if (input === pointerInput) pointerInput.attach(gameCanvas);
+  else pointerInput.detach();
+  if (input === keyboardInput) keyboardInput.attach(window);
+  else keyboardInput.detach();
+  await input.setPlayerCount(playerCount);
+  renderingSystem.showCursors = input !== poseDetection;
+  // Gamepad / keyboard: slice sensitivity lowers the speed a cut needs
+  const minSliceSpeed = MIN_SLICE_SPEED / (input.sliceSensitivity || 1);
+
+  await ensureSoundsLoaded();
+  const seed = fixedSeed ?? SeededRandom.randomSeed();
+  // Recordings hold one player's tracking, so two-player runs aren't recorded
+  if (playerCount === 1) {
+    recorder.start({ seed, mode: selectedMode, difficulty: selectedDifficulty.toJSON(), minSliceSpeed });
+  } else {
+    lastRecording = null;
   }
+  beginRun(seed, selectedMode, selectedDifficulty, minSliceSpeed);
+  if (cameraFailed) showTimePenalty(views[0], '📷 NO CAMERA — DRAG TO SLICE', 'penalty');
+}
+
+/**
+ * Watch a recorded session — no webcam or AI models needed.
+ */
+async function startReplay(recording) {
+  playersBeforeReplay ??= playerCount;
+  selectPlayers(1, { remember: false }); // recordings are single-player
+  replayPlayer = new SessionPlayer(recording, poseDetection.getConnections());
+  replayLag = 0;
+  startScreen.classList.add('hidden');
+  gameoverScreen.classList.add('hidden');
+  pauseScreen.classList.add('hidden');
 
+  audio.init();
+  await ensureSoundsLoaded();
+  const difficulty = new DifficultyProfile(recording.difficulty || NORMAL_PROFILE);
+  renderingSystem.showCursors = false;
+  beginRun(recording.seed, recording.mode || DEFAULT_MODE, difficulty, recording.minSliceSpeed ?? MIN_SLICE_SPEED);
+}
+
+async function ensureSoundsLoaded() {
+  if (soundsLoaded) return;
+  startBtn.textContent = '🔊 LOADING SOUNDS...';
+  await audio.loadSounds();
+  soundsLoaded = true;
+}
+
+/**
+ * @param {number} [minSliceSpeed] - slowest hand movement that cuts, for every player
+ */
+function beginRun(seed, mode, difficulty, minSliceSpeed = MIN_SLICE_SPEED) {
   pauseBtn.classList.remove('hidden');
+  replayBadge.classList.toggle('hidden', !replayPlayer);
+  document.body.classList.toggle('two-player', playerCount > 1);
+  p2Hud.classList.toggle('hidden', playerCount === 1);
+  scoreLabel.textContent = playerCount > 1 ? PLAYERS[0].name : 'Score';
 
-  // Reset
-  gameEngine.reset();
+  // Reset — in two-player both fields get the same seed, so the same waves
+  if (playerCount > 1) {
+    match.reset({ seed, mode, difficulty });
+  } else {
+    gameEngine.reset({ seed, mode, difficulty });
+  }
   renderingSystem.clearAllMeshes();
   particleSystem.clear();
-  scoreValue.textContent = '0';
-  timerValue.textContent = '30';
-  timerValue.classList.remove('warning', 'critical');
-  comboDisplay.classList.add('hidden');
+  renderingSystem.setDangerIntensity(0);
+  for (const view of activeViews()) {
+    const { engine, hud } = view;
+    engine.collisionSystem.minSliceSpeed = minSliceSpeed;
+    view.count = playerCount;
+    view.time = Infinity;
+    view.comboHideTimer = 0;
+    hud.score.textContent = '0';
+    hud.timer.classList.toggle('hidden', !engine.isTimed);
+    hud.timerValue.textContent = engine.mode.timeLimit;
+    hud.timerValue.classList.remove('warning', 'critical');
+    hud.strikes.classList.toggle('hidden', engine.mode.missHit !== 'strike');
+    hud.strikes.classList.remove('strike-hit');
+    updateStrikes(view);
+    updatePowerUpHud(view);
+    hud.combo.classList.add('hidden');
+  }
 
   running = true;
   lastTime = performance.now();
@@ -279,33 +714,532 @@ async function startGame() {
 function showGameOver() {
   running = false;
   pauseBtn.classList.add('hidden');
-  finalScoreValue.textContent = gameEngine.score;
-  finalComboValue.textContent = gameEngine.bestCombo;
+  if (recorder.isRecording) lastRecording = recorder.stop();
+  saveReplayBtn.classList.toggle('hidden', !lastRecording || !!replayPlayer);
+  if (playerCount > 1) {
+    const players = activeViews();
+    finalScoreValue.textContent = players.map(v => v.engine.score).join(' — ');
+    finalComboValue.textContent = players.map(v => v.engine.bestCombo).join(' — ');
+    finalSeedValue.textContent = gameEngine.seed;
+    showMatchResults();
+  } else {
+    finalScoreValue.textContent = gameEngine.score;
+    finalComboValue.textContent = gameEngine.bestCombo;
+    finalSeedValue.textContent = gameEngine.seed;
+    showModeResults();
+  }
+  restorePlayers();
   setTimeout(() => {
     gameoverScreen.classList.remove('hidden');
   }, 600);
 }
 
+const GAME_OVER_TITLES = {
+  time: '⏱️ TIME\'S UP!',
+  strikes: '💔 GAME OVER',
+  bomb: '💥 BOOM!',
+};
+
+const RESULT_LABELS = {
+  fruitsSliced: ['Fruits Sliced', (s) => s.fruitsSliced],
+  missed: ['Missed', (s) => s.missed],
+  bombsHit: ['Bombs Hit', (s) => s.bombsHit],
+  powerUps: ['Power-Ups', (s) => s.powerUps],
+  heartsCollected: ['Hearts', (s) => s.heartsCollected],
+  survived: ['Survived', (_stats, engine = gameEngine) => `${engine.elapsed.toFixed(1)}s`],
+};
+
+const SCORE_SOURCE_LABELS = {
+  slices: 'Slices',
+  special: 'Special Fruit',
+  combo: 'Combo Bonus',
+  multiSlice: 'Multi-Slice',
+  critical: 'Critical Hits',
+  techniques: 'Techniques',
+  powerUps: 'Double Points',
+  bombs: 'Bombs',
+};
+
+function showModeResults() {
+  const mode = gameEngine.mode;
+  gameOverTitle.textContent = GAME_OVER_TITLES[gameEngine.gameOverReason] || GAME_OVER_TITLES.time;
+  finalDetails.innerHTML = '';
+  const modeLine = document.createElement('p');
+  modeLine.textContent = `${mode.icon} ${mode.name}`;
+  finalDetails.appendChild(modeLine);
+  for (const key of mode.results) {
+    const [label, read] = RESULT_LABELS[key];
+    const line = document.createElement('p');
+    line.textContent = `${label}: ${read(gameEngine.stats)}`;
+    finalDetails.appendChild(line);
+  }
+  showScoreBreakdown();
+}
+
+/** Two-player: the winner, then each player's score and results */
+function showMatchResults() {
+  const winner = match.winner;
+  gameOverTitle.textContent = winner === null ? '🤝 DRAW!' : `🏆 ${PLAYERS[winner].name} WINS!`;
+  finalDetails.innerHTML = '';
+  const mode = gameEngine.mode;
+  const modeLine = document.createElement('p');
+  modeLine.textContent = `${mode.icon} ${mode.name} · Versus`;
+  finalDetails.appendChild(modeLine);
+  for (const { index, engine } of activeViews()) {
+    const results = mode.results.map((key) => {
+      const [label, read] = RESULT_LABELS[key];
+      return `${label}: ${read(engine.stats, engine)}`;
+    });
+    const line = document.createElement('p');
+    line.style.color = PLAYERS[index].color;
+    line.textContent = `${PLAYERS[index].name} — ${engine.score} pts · ${results.join(' · ')}`;
+    finalDetails.appendChild(line);
+  }
+}
+
+/** Where the score came from — only sources that contributed */
+function showScoreBreakdown() {
+  const list = document.createElement('ul');
+  list.className = 'score-breakdown';
+  for (const [source, label] of Object.entries(SCORE_SOURCE_LABELS)) {
+    const points = gameEngine.scoreBreakdown[source];
+    if (!points) continue;
+    const item = document.createElement('li');
+    item.innerHTML = `<span>${label}</span><span>${points > 0 ? '+' : ''}${points}</span>`;
+    item.classList.toggle('negative', points < 0);
+    list.appendChild(item);
+  }
+  if (list.children.length > 0) finalDetails.appendChild(list);
+}
+
+// --- Mode selection ---
+
+function selectMode(id) {
+  selectedMode = getMode(id).id;
+  localStorage.setItem('visionSlice.mode', selectedMode);
+  for (const btn of modeSelect.querySelectorAll('.mode-btn')) {
+    btn.classList.toggle('selected', btn.dataset.mode === selectedMode);
+  }
+  modeDescription.textContent = getMode(selectedMode).description;
+}
+
+for (const mode of Object.values(GAME_MODES)) {
+  const btn = document.createElement('button');
+  btn.className = 'mode-btn';
+  btn.dataset.mode = mode.id;
+  btn.textContent = `${mode.icon} ${mode.name}`;
+  btn.addEventListener('click', () => selectMode(mode.id));
+  modeSelect.appendChild(btn);
+}
+selectMode(selectedMode);
+
+// --- Player count ---
+
+/** @param {{ remember?: boolean }} [options] - remember: false for a replay's one-off single player */
+function selectPlayers(count, { remember = true } = {}) {
+  playerCount = count;
+  if (remember) localStorage.setItem('visionSlice.players', String(count));
+  playersBtn.textContent = count > 1 ? '👥 2 PLAYERS · VERSUS' : '👤 1 PLAYER';
+  playersBtn.classList.toggle('selected', count > 1);
+}
+
+/** Back to the player count the menu had before a replay */
+function restorePlayers() {
+  if (playersBeforeReplay === null) return;
+  selectPlayers(playersBeforeReplay, { remember: false });
+  playersBeforeReplay = null;
+}
+
+playersBtn.addEventListener('click', () => selectPlayers(playerCount > 1 ? 1 : 2));
+selectPlayers(playerCount);
+
+// --- Profiles + calibration ---
+
+// Profile name -> calibration (null when its first calibration was skipped)
+const calibrations = loadCalibrations();
+let profileName = localStorage.getItem('visionSlice.profile') || 'Player 1';
+
+function loadCalibrations() {
+  try {
+    return JSON.parse(localStorage.getItem('visionSlice.calibrations')) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function selectProfile(name) {
+  profileName = name.trim() || 'Player 1';
+  localStorage.setItem('visionSlice.profile', profileName);
+  profileInput.value = profileName;
+  applyCalibration();
+}
+
+/** Use the profile's reach area and handedness */
+function applyCalibration() {
+  const calibration = calibrations[profileName] || null;
+  poseDetection.setCalibration(calibration ? calibration.area : null);
+  pointerInput.primaryHand = calibration ? calibration.handedness : 'right';
+  calibrateBtn.textContent = calibration ? '🎯 RECALIBRATE' : '🎯 CALIBRATE';
+  profileList.innerHTML = '';
+  for (const name of Object.keys(calibrations)) profileList.appendChild(new Option(name));
+}
+
+function saveCalibration(calibration) {
+  calibrations[profileName] = calibration;
+  localStorage.setItem('visionSlice.calibrations', JSON.stringify(calibrations));
+  applyCalibration();
+}
+
+/**
+ * Calibrate the current profile on the live webcam. Skipping keeps the
+ * profile's previous calibration, if any.
+ * @returns {Promise<Object|null>} the calibration in use afterwards
+ */
+function runCalibration() {
+  return new Promise((resolve) => {
+    const session = new CalibrationSession();
+    let done = false;
+
+    const finish = (calibration) => {
+      done = true;
+      calibrationScreen.classList.add('hidden');
+      calibrationSkip.removeEventListener('click', skip);
+      renderingSystem.clearPoseCanvas();
+      saveCalibration(calibration);
+      resolve(calibration);
+    };
+    const skip = () => finish(calibrations[profileName] || null);
+
+    const frame = (timestamp) => {
+      if (done) return;
+      requestAnimationFrame(frame);
+      poseDetection.detect(timestamp);
+      const pose = poseDetection.getPoseLandmarks();
+      const hands = poseDetection.getHands();
+      renderingSystem.clearPoseCanvas();
+      renderingSystem.drawSkeleton(pose, poseDetection.getConnections());
+      renderingSystem.drawHandTrails(hands, poseDetection.getHandLandmarks(), poseDetection.getHandOpen());
+      renderingSystem.drawReachArea(session.area);
+      if (session.update(pose, hands, timestamp / 1000)) {
+        finish(session.result);
+        return;
+      }
+      calibrationFill.style.width = `${session.progress * 100}%`;
+    };
+
+    // Measure in camera space
+    poseDetection.setCalibration(null);
+    session.onStep = (step) => { calibrationStep.textContent = step.text; };
+    calibrationStep.textContent = session.step.text;
+    calibrationFill.style.width = '0%';
+    calibrationScreen.classList.remove('hidden');
+    calibrationSkip.addEventListener('click', skip);
+    requestAnimationFrame(frame);
+  });
+}
+
+profileInput.addEventListener('change', () => selectProfile(profileInput.value));
+calibrateBtn.addEventListener('click', async () => {
+  startScreen.classList.add('hidden');
+  if (await ensureCamera()) {
+    await poseDetection.setPlayerCount(1);
+    await runCalibration();
+  }
+  startScreen.classList.remove('hidden');
+});
+selectProfile(profileName);
+
+// --- Input source ---
+
+/** @param {{ remember?: boolean }} [options] - remember: false for a one-off fallback */
+function selectInput(id, { remember = true } = {}) {
+  selectedInput = id;
+  if (remember) localStorage.setItem('visionSlice.input', id);
+  inputBtn.textContent = INPUTS[id].label;
+  cursorSettings.classList.toggle('hidden', id !== 'gamepad' && id !== 'keyboard');
+  trackingSettingsEl.classList.toggle('hidden', id !== 'camera');
+  calibrateBtn.classList.toggle('hidden', id !== 'camera' || !TRACKING_PARTS[poseDetection.tracking.parts].pose);
+}
+
+inputBtn.addEventListener('click', () => {
+  const ids = Object.keys(INPUTS);
+  selectInput(ids[(ids.indexOf(selectedInput) + 1) % ids.length]);
+});
+selectInput(selectedInput);
+
+// Cursor speed + slice sensitivity, shared by gamepad and keyboard
+function applyCursorSettings() {
+  for (const source of [gamepadInput, keyboardInput]) {
+    source.cursorSpeed = Number(cursorSpeedInput.value);
+    source.sliceSensitivity = Number(sensitivityInput.value);
+  }
+  localStorage.setItem('visionSlice.cursorSpeed', cursorSpeedInput.value);
+  localStorage.setItem('visionSlice.sliceSensitivity', sensitivityInput.value);
+}
+
+cursorSpeedInput.value = localStorage.getItem('visionSlice.cursorSpeed') || CURSOR_DEFAULTS.cursorSpeed;
+sensitivityInput.value = localStorage.getItem('visionSlice.sliceSensitivity') || CURSOR_DEFAULTS.sliceSensitivity;
+cursorSpeedInput.addEventListener('input', applyCursorSettings);
+sensitivityInput.addEventListener('input', applyCursorSettings);
+applyCursorSettings();
+
+// --- Tracking backend and models (camera) ---
+
+function loadTrackingSettings() {
+  try {
+    return trackingSettings(JSON.parse(localStorage.getItem('visionSlice.tracking')));
+  } catch (e) {
+    return trackingSettings();
+  }
+}
+
+/** Which models run on which backend, next to the Tracking heading */
+function showTrackingStatus() {
+  if (poseDetection.isReady) {
+    const thread = poseDetection.worker ? 'worker' : 'main thread';
+    trackingStatus.textContent = `— ${describeTracking(poseDetection.status)} • ${thread}`;
+  } else if (trackingFailed) {
+    trackingStatus.textContent = '— couldn\'t start, try another backend';
+  } else {
+    trackingStatus.textContent = '— loads with the camera';
+  }
+}
+
+const trackingSelects = [trackingPartsSelect, poseModelSelect, handModelSelect, backendSelect];
+
+/** Enable the selects that matter for what's tracked */
+function enableTrackingSelects(parts) {
+  trackingPartsSelect.disabled = false;
+  backendSelect.disabled = false;
+  poseModelSelect.disabled = !parts.pose;
+  handModelSelect.disabled = !parts.hands || MODEL_VARIANTS.hand.length < 2;
+}
+
+/** Apply the selected tracking setup, reloading the models if they've been loaded */
+async function applyTracking() {
+  const settings = trackingSettings({
+    parts: trackingPartsSelect.value,
+    poseModel: poseModelSelect.value,
+    handModel: handModelSelect.value,
+    backend: backendSelect.value,
+  });
+  localStorage.setItem('visionSlice.tracking', JSON.stringify(settings));
+  const parts = TRACKING_PARTS[settings.parts];
+  calibrateBtn.classList.toggle('hidden', selectedInput !== 'camera' || !parts.pose);
+
+  // Not loaded yet: used when the camera starts
+  if (!poseDetection.loaded) {
+    await poseDetection.setTracking(settings);
+    enableTrackingSelects(parts);
+    showTrackingStatus();
+    return;
+  }
+
+  trackingStatus.textContent = '— loading…';
+  startBtn.disabled = true;
+  for (const select of trackingSelects) select.disabled = true;
+  try {
+    await poseDetection.setTracking(settings);
+    cameraReady = true;
+    trackingFailed = false;
+    cacheForOffline(poseDetection.loadedFiles());
+  } catch (err) {
+    console.error('[VisionSlice] Tracking setup failed:', err);
+    cameraReady = false;
+    trackingFailed = true;
+  }
+  startBtn.disabled = false;
+  enableTrackingSelects(parts);
+  showTrackingStatus();
+}
+
+for (const parts of Object.values(TRACKING_PARTS)) trackingPartsSelect.add(new Option(parts.name, parts.id));
+for (const variant of MODEL_VARIANTS.pose) poseModelSelect.add(new Option(variant, variant));
+for (const variant of MODEL_VARIANTS.hand) handModelSelect.add(new Option(variant, variant));
+for (const backend of Object.values(BACKENDS)) backendSelect.add(new Option(backend.name, backend.id));
+trackingPartsSelect.value = poseDetection.tracking.parts;
+poseModelSelect.value = poseDetection.tracking.poseModel;
+handModelSelect.value = poseDetection.tracking.handModel;
+backendSelect.value = poseDetection.tracking.backend;
+for (const select of trackingSelects) select.addEventListener('change', applyTracking);
+applyTracking();
+
+// --- Hand smoothing (camera) ---
+
+function loadFilterSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('visionSlice.filter'));
+    if (saved && saved.type in FILTERS) return { type: saved.type, params: filterParams(saved.type, saved.params) };
+  } catch (e) {
+    // fall through to the default
+  }
+  return { type: DEFAULT_FILTER, params: filterParams(DEFAULT_FILTER) };
+}
+
+function applyFilter(type, params) {
+  poseDetection.setFilter(type, params);
+  localStorage.setItem('visionSlice.filter', JSON.stringify({ type, params }));
+}
+
+/** Select a filter and build one slider per tuning parameter */
+function selectFilter(type, params = filterParams(type)) {
+  filterSelect.value = type;
+  filterParamsEl.innerHTML = '';
+  for (const [key, spec] of Object.entries(FILTERS[type].params)) {
+    const label = document.createElement('label');
+    label.textContent = spec.label;
+    const slider = document.createElement('input');
+    Object.assign(slider, { type: 'range', min: spec.min, max: spec.max, step: spec.step, value: params[key] });
+    const value = document.createElement('output');
+    value.textContent = params[key];
+    slider.addEventListener('input', () => {
+      params[key] = Number(slider.value);
+      value.textContent = slider.value;
+      applyFilter(type, params);
+    });
+    label.append(slider, value);
+    filterParamsEl.appendChild(label);
+  }
+  applyFilter(type, params);
+}
+
+for (const filter of Object.values(FILTERS)) {
+  filterSelect.add(new Option(filter.name, filter.id));
+}
+filterSelect.addEventListener('change', () => selectFilter(filterSelect.value));
+const savedFilter = loadFilterSettings();
+selectFilter(savedFilter.type, savedFilter.params);
+
+filterDebugInput.checked = localStorage.getItem('visionSlice.filterDebug') === '1';
+renderingSystem.showFilterDebug = filterDebugInput.checked;
+filterDebugInput.addEventListener('change', () => {
+  renderingSystem.showFilterDebug = filterDebugInput.checked;
+  localStorage.setItem('visionSlice.filterDebug', filterDebugInput.checked ? '1' : '0');
+});
+
+// Gamepad Start button: start, play again, pause and resume without a mouse
+function pollGamepadMenu() {
+  requestAnimationFrame(pollGamepadMenu);
+  if (selectedInput !== 'gamepad' || !gamepadInput.startPressed()) return;
+  if (!startScreen.classList.contains('hidden')) {
+    if (!startBtn.disabled) startGame();
+  } else if (!gameoverScreen.classList.contains('hidden')) {
+    startGame();
+  } else if (!replayPlayer) {
+    togglePause();
+  }
+}
+requestAnimationFrame(pollGamepadMenu);
+
+// --- Difficulty selection ---
+
+async function selectDifficulty(id) {
+  if (!BUILTIN_PROFILES.includes(id)) id = 'normal';
+  try {
+    selectedDifficulty = await loadDifficultyProfile(`difficulty/${id}.json`);
+  } catch (err) {
+    console.error(`[Difficulty] Failed to load ${id}:`, err);
+    selectedDifficulty = new DifficultyProfile(NORMAL_PROFILE);
+    id = 'normal';
+  }
+  difficultySelect.value = id;
+  localStorage.setItem('visionSlice.difficulty', id);
+}
+
+async function loadCustomDifficulty(file) {
+  try {
+    selectedDifficulty = DifficultyProfile.fromJSON(await file.text());
+    const option = difficultySelect.querySelector('option[value="custom"]');
+    option.textContent = `📄 ${selectedDifficulty.name}`;
+    difficultySelect.value = 'custom';
+  } catch (err) {
+    console.error('[Difficulty] Failed to load custom profile:', err);
+    alert(`Could not load difficulty: ${err.message}`);
+    await selectDifficulty(localStorage.getItem('visionSlice.difficulty'));
+  } finally {
+    difficultyInput.value = '';
+  }
+}
+
+difficultySelect.addEventListener('change', () => {
+  if (difficultySelect.value === 'custom') {
+    difficultyInput.click();
+  } else {
+    selectDifficulty(difficultySelect.value);
+  }
+});
+difficultyInput.addEventListener('change', () => {
+  const file = difficultyInput.files[0];
+  if (file) {
+    loadCustomDifficulty(file);
+  } else {
+    selectDifficulty(localStorage.getItem('visionSlice.difficulty'));
+  }
+});
+selectDifficulty(localStorage.getItem('visionSlice.difficulty') || 'normal');
+
+/** Pause every player's field at once */
+function setPaused(paused) {
+  if (playerCount > 1) match.setPaused(paused);
+  else gameEngine.isPaused = paused;
+}
+
 function togglePause() {
-  if (gameEngine.isGameOver) return;
+  if (playerCount > 1 ? match.isGameOver : gameEngine.isGameOver) return;
 
   if (gameEngine.isPaused) {
-    gameEngine.isPaused = false;
+    setPaused(false);
     pauseScreen.classList.add('hidden');
     pauseBtn.textContent = '⏸';
     lastTime = performance.now();
     running = true;
     requestAnimationFrame(gameLoop);
   } else {
-    gameEngine.isPaused = true;
+    setPaused(true);
     running = false;
     pauseScreen.classList.remove('hidden');
+    pauseHint.classList.toggle('hidden', !!replayPlayer || input !== poseDetection);
     pauseBtn.textContent = '▶';
+    requestAnimationFrame(watchForResume);
+  }
+}
+
+/** Keep the webcam tracking while paused, so a peace sign can resume */
+function watchForResume(timestamp) {
+  if (running || !gameEngine.isPaused || replayPlayer || input !== poseDetection) return;
+  requestAnimationFrame(watchForResume);
+  poseDetection.detect(timestamp);
+}
+
+function saveReplay() {
+  if (!lastRecording) return;
+  const blob = new Blob([SessionRecorder.serialize(lastRecording)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `vision-slice-${lastRecording.seed}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+async function loadReplay(file) {
+  try {
+    const recording = SessionRecorder.parse(await file.text());
+    await startReplay(recording);
+  } catch (err) {
+    console.error('[Replay] Failed to load:', err);
+    alert(`Could not load replay: ${err.message}`);
+  } finally {
+    replayInput.value = '';
   }
 }
 
 // Event listeners
 startBtn.addEventListener('click', startGame);
+saveReplayBtn.addEventListener('click', saveReplay);
+replayInput.addEventListener('change', () => {
+  if (replayInput.files.length > 0) loadReplay(replayInput.files[0]);
+});
 restartBtn.addEventListener('click', startGame);
 pauseBtn.addEventListener('click', togglePause);
 resumeBtn.addEventListener('click', togglePause);
@@ -317,4 +1251,15 @@ document.addEventListener('keydown', (e) => {
   }
 });
 
+// Hold a peace sign to pause or resume a live webcam run hands-free
+poseDetection.onGesture = ({ gesture }) => {
+  if (gesture !== 'peace' || replayPlayer || input !== poseDetection) return;
+  if (running || gameEngine.isPaused) togglePause();
+};
+
+// Offline play after the first load (see sw.js)
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('sw.js').catch(err => console.warn('[VisionSlice] Service worker unavailable:', err));
+}
+
 console.log('[VisionSlice] Ready — click START to begin');
@@ -79,6 +79,62 @@ export class ParticleSystem {
     }
   }
 
+  /** Power-up pickup — an expanding ring in its color plus white sparkles */
+  emitPowerUp(x, y, color) {
+    for (let i = 0; i < 36; i++) {
+      const angle = (i / 36) * Math.PI * 2;
+      const speed = 7 + Math.random() * 2;
+      this.particles.push({
+        x,
+        y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        life: 1.0,
+        decay: 0.025 + Math.random() * 0.01,
+        size: 3 + Math.random() * 3,
+        color,
+      });
+    }
+    for (let i = 0; i < 16; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const speed = 1 + Math.random() * 4;
+      this.particles.push({
+        x,
+        y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed - 3,
+        life: 1.0,
+        decay: 0.015 + Math.random() * 0.015,
+        size: 2 + Math.random() * 3,
+        color: '#f8f8f2',
+      });
+    }
+  }
+
+  /**
+   * Combo tier reached — rings of sparks, one more ring and more sparks per level.
+   * @param {number} level - combo tier level (see combos.js)
+   */
+  emitCombo(x, y, color, level = 1) {
+    for (let ring = 0; ring < level; ring++) {
+      const count = 20 + level * 6;
+      for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2 + ring * 0.3;
+        const speed = 4 + ring * 2.5 + Math.random();
+        this.particles.push({
+          x,
+          y,
+          vx: Math.cos(angle) * speed,
+          vy: Math.sin(angle) * speed,
+          life: 1.0,
+          decay: 0.018 + Math.random() * 0.01,
+          size: 2 + Math.random() * 2 + level * 0.5,
+          color: ring % 2 === 0 ? color : '#f8f8f2',
+        });
+      }
+    }
+  }
+
   /**
    * Massive bomb explosion — fills a large area with debris, sparks, shockwave.
    */
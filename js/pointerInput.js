@@ -0,0 +1,186 @@
+import { createHand, trackHand } from './handMotion.js';
+import { assignHandsToPlayers } from './twoPlayer.js';
+
+/**
+ * Mouse, touch and pen input — plays without a webcam.
+ * Exposes the same getters as PoseDetection so the game loop can use either.
+ *
+ * Every pointer is a hand. The blade is out (hand open) while the pointer
+ * is pressed: a mouse drag, a finger on the screen, a pen on the surface.
+ * A hovering mouse or pen is a visible closed hand. The first pointer down
+ * is the player's favorite hand (primaryHand), a second one at the same time
+ * the other. In two-player
+ * mode pointers belong to the player whose half of the screen they are on.
+ */
+export class PointerInput {
+  constructor() {
+    this.element = null;
+    this.playerCount = 1;
+    this.maxHistory = 5;
+    this.maxSampleGap = 250; // ms
+    this.primaryHand = 'right'; // side of the first pointer — the player's handedness
+
+    // Live pointers by pointerId: { label, x, y, pressed, hand, history }
+    this.pointers = new Map();
+
+    this.players = [this._createPlayer(), this._createPlayer()];
+
+    this._onDown = (e) => this._pointerDown(e);
+    this._onMove = (e) => this._pointerMove(e);
+    this._onUp = (e) => this._pointerUp(e);
+    this._onLeave = (e) => this._pointerLeave(e);
+  }
+
+  _createPlayer() {
+    return {
+      hands: { left: createHand(), right: createHand() },
+      handLandmarks: { left: null, right: null },
+      handOpen: { left: false, right: false },
+      prevHandOpen: { left: false, right: false },
+    };
+  }
+
+  /** Pointers are assigned to players by screen half */
+  async setPlayerCount(count) {
+    this.playerCount = count;
+  }
+
+  /**
+   * Start listening for pointers on an element (normally the game canvas).
+   * @param {HTMLElement} element
+   */
+  attach(element) {
+    if (this.element === element) return;
+    this.detach();
+    this.element = element;
+    element.addEventListener('pointerdown', this._onDown);
+    element.addEventListener('pointermove', this._onMove);
+    element.addEventListener('pointerup', this._onUp);
+    element.addEventListener('pointercancel', this._onUp);
+    element.addEventListener('pointerleave', this._onLeave);
+    console.log('[PointerInput] Attached');
+  }
+
+  detach() {
+    if (!this.element) return;
+    this.element.removeEventListener('pointerdown', this._onDown);
+    this.element.removeEventListener('pointermove', this._onMove);
+    this.element.removeEventListener('pointerup', this._onUp);
+    this.element.removeEventListener('pointercancel', this._onUp);
+    this.element.removeEventListener('pointerleave', this._onLeave);
+    this.element = null;
+    this.pointers.clear();
+  }
+
+  /** Normalized [0, 1] position of a pointer event on the element */
+  _position(e) {
+    const rect = this.element.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) / rect.width,
+      y: (e.clientY - rect.top) / rect.height,
+    };
+  }
+
+  _pointer(e) {
+    let pointer = this.pointers.get(e.pointerId);
+    if (!pointer) {
+      const taken = new Set([...this.pointers.values()].map(p => p.label));
+      const other = this.primaryHand === 'right' ? 'left' : 'right';
+      pointer = {
+        label: taken.has(this.primaryHand) && !taken.has(other) ? other : this.primaryHand,
+        x: 0,
+        y: 0,
+        pressed: false,
+        hand: createHand(),
+        history: [],
+      };
+      this.pointers.set(e.pointerId, pointer);
+    }
+    Object.assign(pointer, this._position(e));
+    return pointer;
+  }
+
+  _pointerDown(e) {
+    const pointer = this._pointer(e);
+    pointer.pressed = true;
+    // Keep following a drag that leaves the element
+    if (this.element.setPointerCapture) this.element.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  }
+
+  _pointerMove(e) {
+    // Touch only exists while pressed; mouse and pen also hover
+    if (e.pointerType === 'touch' && !this.pointers.has(e.pointerId)) return;
+    this._pointer(e);
+  }
+
+  _pointerUp(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) return;
+    if (e.pointerType === 'touch' || e.type === 'pointercancel') {
+      this.pointers.delete(e.pointerId);
+    } else {
+      pointer.pressed = false;
+    }
+  }
+
+  _pointerLeave(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (pointer && !pointer.pressed) this.pointers.delete(e.pointerId);
+  }
+
+  /**
+   * Sample every pointer once per frame, like a camera frame.
+   * @param {number} timestamp - performance.now()
+   */
+  detect(timestamp) {
+    for (const player of this.players) {
+      for (const side of ['left', 'right']) {
+        player.prevHandOpen[side] = player.handOpen[side];
+        player.hands[side].visible = false;
+        player.handOpen[side] = false;
+      }
+    }
+
+    const detected = [];
+    for (const pointer of this.pointers.values()) {
+      trackHand(pointer.hand, pointer.history, pointer.x, pointer.y, timestamp, null, this);
+      detected.push({ label: pointer.label, x: pointer.x, y: pointer.y, pointer });
+    }
+
+    const assigned = assignHandsToPlayers(detected, [], this.playerCount);
+    assigned.forEach(({ hands }, index) => {
+      const player = this.players[index];
+      for (const side of ['left', 'right']) {
+        if (!hands[side]) continue;
+        const { pointer } = hands[side];
+        Object.assign(player.hands[side], pointer.hand);
+        player.handOpen[side] = pointer.pressed;
+      }
+    });
+  }
+
+  getPoseLandmarks() {
+    return null;
+  }
+
+  getHands(player = 0) {
+    return this.players[player].hands;
+  }
+
+  getHandLandmarks(player = 0) {
+    return this.players[player].handLandmarks;
+  }
+
+  getHandOpen(player = 0) {
+    return this.players[player].handOpen;
+  }
+
+  getPrevHandOpen(player = 0) {
+    return this.players[player].prevHandOpen;
+  }
+
+  getConnections() {
+    return [];
+  }
+}
@@ -1,35 +1,83 @@
+import { getBladeSegment } from './bladeGeometry.js';
+import { createHand, trackHand } from './handMotion.js';
+import { DEFAULT_FILTER, createHandFilter } from './handFilters.js';
+import { GestureClassifier } from './gestures.js';
+import { toField, landmarksToField } from './calibration.js';
+import { HandInterpolator } from './handInterpolator.js';
+import { DetectionScheduler } from './detectionScheduler.js';
+import { resolveAssets, absoluteAssets, assetFiles } from './assets.js';
+import { TRACKING_PARTS, trackingSettings, createLandmarkers, describeTracking } from './trackingSetup.js';
+import { assignHandsToPlayers } from './twoPlayer.js';
+
 /**
  * MediaPipe Pose + Hands detection module.
  * Runs fully client-side using @mediapipe/tasks-vision.
+ * Tracks one player, or two (setPlayerCount) with hands assigned to the
+ * person whose pose they belong to; the getters take a player index.
+ * Hand gestures (see gestures.js) drive the blades and are reported
+ * through onGesture. With a calibration (single player only), hands and
+ * pose are mapped from the player's reach area onto the play field.
+ * Which models run, and on which backend, is set by setTracking (see
+ * trackingSetup.js). Detection runs in a worker (detectionWorker.js) where
+ * possible; hands are interpolated between its results so the game keeps
+ * the display's frame rate.
  */
 export class PoseDetection {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.assets] - where MediaPipe loads from: 'cdn', 'local' or a base URL (see assets.js)
+   * @param {Object} [options.tracking] - parts, model variants and backend (see trackingSetup.js)
+   * @param {boolean} [options.worker=true] - detect in a worker where supported
+   * @param {Object} [options.scheduler] - DetectionScheduler options (see detectionScheduler.js)
+   */
+  constructor(options = {}) {
+    this.assetSetting = options.assets ?? null;
+    this.assets = null; // resolved asset URLs, once init() has run
+    this.tracking = trackingSettings(options.tracking);
+    // What's running: { model, delegate } per landmarker, null when it's off or not loaded
+    this.status = { pose: null, hands: null };
+    this.loaded = false; // MediaPipe loaded, in the worker or here (models may be reloading)
+    this.useWorker = (options.worker ?? true) && typeof Worker !== 'undefined';
+    this.worker = null;
+    this.workerRequests = new Map();  // request id → { resolve, reject } awaiting 'ready'
+    this.nextRequestId = 1;
+    this.workerResults = null;  // latest results not yet processed
+    this.frameInFlight = false;
+    this.lastFrameTime = -1;    // video time of the last frame sent
+    this.schedulerOptions = options.scheduler || {};
+    // When to detect and at what input size; starts over with each model load
+    this.scheduler = new DetectionScheduler(this.schedulerOptions);
+    this.allHandsVisible = false; // every player's hands were in the last detection
+    this.scaleCanvas = null;      // downscaled frames on the main thread
+    this.vision = null;
+    this.filesetResolver = null;
     this.poseLandmarker = null;
     this.handLandmarker = null;
     this.videoElement = null;
     this.isReady = false;
     this.lastTimestamp = -1;
+    this.playerCount = 1;
 
     // Latest results
     this.poseResults = null;
     this.handResults = null;
 
-    // Hand position history for velocity calc
-    this.handHistory = { left: [], right: [] };
     this.maxHistory = 5;
-
-    // Processed hand data
-    this.hands = {
-      left:  { x: 0, y: 0, vx: 0, vy: 0, speed: 0, visible: false },
-      right: { x: 0, y: 0, vx: 0, vy: 0, speed: 0, visible: false },
-    };
-
-    // Raw hand landmarks for blade rendering (mirrored)
-    this.handLandmarks = { left: null, right: null };
-
-    // Open hand state (true = fingers extended, false = fist)
-    this.handOpen = { left: false, right: false };
-    this.prevHandOpen = { left: false, right: false };
+    this.maxSampleGap = 250; // ms — older samples belong to a lost hand, not this swipe
+    // Smoothing for hand positions and landmarks (see handFilters.js)
+    this.filterSettings = { type: DEFAULT_FILTER, params: {} };
+    // Reach area mapped onto the play field (see calibration.js), or null
+    this.calibrationArea = null;
+
+    // Callback: ({ player, side, gesture, previous, confidence }) when a hand's gesture changes
+    this.onGesture = null;
+
+    // Per-player tracking state; player 0 is also exposed directly below
+    this.players = [this._createPlayer(0), this._createPlayer(1)];
+    this.hands = this.players[0].hands;
+    this.handLandmarks = this.players[0].handLandmarks;
+    this.handOpen = this.players[0].handOpen;
+    this.prevHandOpen = this.players[0].prevHandOpen;
 
     // Skeleton connections for rendering
     this.skeletonConnections = [
@@ -39,6 +87,71 @@ export class PoseDetection {
     ];
   }
 
+  _createPlayer(index) {
+    const gestures = { left: new GestureClassifier(), right: new GestureClassifier() };
+    for (const side of ['left', 'right']) {
+      gestures[side].onChange = (gesture, previous, confidence) => {
+        if (this.onGesture) this.onGesture({ player: index, side, gesture, previous, confidence });
+      };
+    }
+    return {
+      // Processed hand data (blade is null when only the pose wrist is known)
+      hands: { left: createHand(), right: createHand() },
+      // Hand position history for velocity calc
+      handHistory: { left: [], right: [] },
+      // Raw hand landmarks for blade rendering (mirrored)
+      handLandmarks: { left: null, right: null },
+      // Open hand state (true = fingers extended, false = fist), debounced by gestures
+      handOpen: { left: false, right: false },
+      gestures,
+      prevHandOpen: { left: false, right: false },
+      // Mirrored pose landmarks of this player's body
+      pose: null,
+      // Smoothing per hand (null when filtering is off)
+      filters: { left: createHandFilter(this.filterSettings), right: createHandFilter(this.filterSettings) },
+      // Latest detections, eased between for display-rate motion
+      interpolators: { left: new HandInterpolator({ maxAge: this.maxSampleGap }), right: new HandInterpolator({ maxAge: this.maxSampleGap }) },
+    };
+  }
+
+  /**
+   * Map the player's reach area onto the play field from now on.
+   * @param {{ x0, y0, x1, y1 }|null} area - null for raw camera space
+   */
+  setCalibration(area) {
+    this.calibrationArea = area;
+    console.log('[PoseDetection] Calibration', area ? 'on' : 'off');
+  }
+
+  /**
+   * Choose the smoothing filter for every tracked hand; starts the filters over.
+   * @param {string} type - key of FILTERS
+   * @param {Object} [params] - overrides of the filter's defaults
+   */
+  setFilter(type, params = {}) {
+    this.filterSettings = { type, params };
+    for (const player of this.players) {
+      player.filters = { left: createHandFilter(this.filterSettings), right: createHandFilter(this.filterSettings) };
+    }
+  }
+
+  /**
+   * Track one or two people. Takes effect immediately if the models are loaded.
+   * @param {number} count - 1 or 2
+   */
+  async setPlayerCount(count) {
+    if (count === this.playerCount) return;
+    this.playerCount = count;
+    if (this.worker) {
+      this._workerRequest({ type: 'playerCount', count })
+        .catch(err => console.error(`[PoseDetection] Failed to track ${count} players:`, err));
+    } else if (this.isReady) {
+      if (this.poseLandmarker) await this.poseLandmarker.setOptions({ numPoses: count });
+      if (this.handLandmarker) await this.handLandmarker.setOptions({ numHands: count * 2 });
+    }
+    console.log(`[PoseDetection] Tracking ${count} player${count > 1 ? 's' : ''}`);
+  }
+
   /**
    * Start webcam feed.
    */
@@ -60,48 +173,133 @@ export class PoseDetection {
   }
 
   /**
-   * Initialize MediaPipe models. Call AFTER startCamera.
+   * Initialize MediaPipe models. Call AFTER startCamera. Can be called again
+   * after a failure, e.g. with another backend. Runs in the detection worker
+   * when it can, else on the main thread.
+   * @throws when a model won't start on any of the backend's delegates
    */
   async init() {
-    // Dynamically import the MediaPipe vision module
-    const vision = await import('https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/vision_bundle.mjs');
-
-    const { FilesetResolver, PoseLandmarker, HandLandmarker } = vision;
-
-    const filesetResolver = await FilesetResolver.forVisionTasks(
-      'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/wasm'
-    );
-
-    // Initialize PoseLandmarker
-    this.poseLandmarker = await PoseLandmarker.createFromOptions(filesetResolver, {
-      baseOptions: {
-        modelAssetPath:
-          'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task',
-        delegate: 'GPU',
-      },
-      runningMode: 'VIDEO',
-      numPoses: 1,
+    if (!this.assets) {
+      this.assets = absoluteAssets(await resolveAssets(this.assetSetting), document.baseURI);
+      console.log('[PoseDetection] Loading MediaPipe from', this.assets.bundle);
+    }
+
+    if (this.useWorker && !this.loaded) {
+      try {
+        await this._startWorker();
+        return;
+      } catch (err) {
+        console.warn('[PoseDetection] Detection worker unavailable, detecting on the main thread:', err);
+        this.worker?.terminate();
+        this.worker = null;
+        this.useWorker = false;
+      }
+    }
+
+    if (!this.loaded) {
+      this.vision = await import(this.assets.bundle);
+      this.filesetResolver = await this.vision.FilesetResolver.forVisionTasks(this.assets.wasm);
+      this.loaded = true;
+    }
+    await this._loadModels();
+  }
+
+  /**
+   * Choose what to track, the model variants and the backend. Reloads the
+   * models when they're already loaded.
+   * @param {Object} settings - { parts, poseModel, handModel, backend }
+   */
+  async setTracking(settings) {
+    this.tracking = trackingSettings(settings);
+    if (this.loaded) await this._loadModels();
+  }
+
+  async _loadModels() {
+    this.isReady = false;
+    this.scheduler = new DetectionScheduler(this.schedulerOptions);
+    this.status = { pose: null, hands: null };
+    this.poseResults = null;
+    this.handResults = null;
+    if (this.worker) {
+      this.status = await this._workerRequest({ type: 'tracking', tracking: this.tracking });
+    } else {
+      if (this.poseLandmarker) this.poseLandmarker.close();
+      if (this.handLandmarker) this.handLandmarker.close();
+      this.poseLandmarker = null;
+      this.handLandmarker = null;
+      const { pose, hands, status } = await createLandmarkers(this.vision, this.filesetResolver, this.assets, this.tracking, this.playerCount);
+      this.poseLandmarker = pose;
+      this.handLandmarker = hands;
+      this.status = status;
+    }
+    this.isReady = true;
+    console.log(`[PoseDetection] All models ready (${this.worker ? 'worker' : 'main thread'}):`, describeTracking(this.status));
+  }
+
+  /** Load MediaPipe and the models in the detection worker */
+  async _startWorker() {
+    this.worker = new Worker(new URL('./detectionWorker.js', import.meta.url));
+    this.worker.onmessage = ({ data }) => this._onWorkerMessage(data);
+    this.worker.onerror = (event) => this._onWorkerError(event.message);
+    this.status = await this._workerRequest({
+      type: 'init',
+      assets: this.assets,
+      tracking: this.tracking,
+      playerCount: this.playerCount,
     });
-    console.log('[PoseDetection] Pose model loaded');
-
-    // Initialize HandLandmarker
-    this.handLandmarker = await HandLandmarker.createFromOptions(filesetResolver, {
-      baseOptions: {
-        modelAssetPath:
-          'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
-        delegate: 'GPU',
-      },
-      runningMode: 'VIDEO',
-      numHands: 2,
+    this.loaded = true;
+    this.isReady = true;
+    console.log('[PoseDetection] All models ready (worker):', describeTracking(this.status));
+  }
+
+  /** Post a message the worker answers, under the same id, with 'ready' (→ status) or 'error' */
+  _workerRequest(message) {
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.workerRequests.set(id, { resolve, reject });
+      this.worker.postMessage({ ...message, id });
     });
-    console.log('[PoseDetection] Hand model loaded');
+  }
 
-    this.isReady = true;
-    console.log('[PoseDetection] All models ready');
+  _onWorkerMessage(data) {
+    if (data.type === 'results') {
+      this.workerResults = data;
+      this.frameInFlight = false;
+      return;
+    }
+    const request = this.workerRequests.get(data.id);
+    if (!request) {
+      if (data.type === 'error') this._onWorkerError(data.message);
+      return;
+    }
+    this.workerRequests.delete(data.id);
+    if (data.type === 'ready') request.resolve(data.status);
+    else request.reject(new Error(data.message));
+  }
+
+  /**
+   * An error outside any request — a failed detection or the worker itself
+   * crashing. Tracking carries on with the next frame; a worker that never
+   * started fails its pending requests so loading can fall back.
+   */
+  _onWorkerError(message) {
+    console.error('[PoseDetection] Detection worker error:', message);
+    this.frameInFlight = false;
+    if (this.loaded) return;
+    for (const { reject } of this.workerRequests.values()) reject(new Error(message));
+    this.workerRequests.clear();
+  }
+
+  /** Files the running models were loaded from, for offline caching */
+  loadedFiles() {
+    return assetFiles(this.assets, { pose: this.status.pose?.model ?? null, hand: this.status.hands?.model ?? null });
   }
 
   /**
-   * Run detection on current video frame.
+   * Track the current video frame. The scheduler decides whether the
+   * landmarkers run this frame (see detectionScheduler.js); with the worker,
+   * this sends the frame off and takes in the results of an earlier one.
+   * Hands glide between detections either way.
    * @param {number} timestamp - performance.now()
    */
   detect(timestamp) {
@@ -112,160 +310,218 @@ export class PoseDetection {
     if (ts <= this.lastTimestamp) return;
     this.lastTimestamp = ts;
 
-    try {
-      this.poseResults = this.poseLandmarker.detectForVideo(this.videoElement, ts);
-    } catch (e) {
-      // skip frame on error
+    for (const player of this.players) {
+      player.prevHandOpen.left = player.handOpen.left;
+      player.prevHandOpen.right = player.handOpen.right;
+    }
+
+    const now = timestamp;
+    this.scheduler.frame(now);
+    if (this.worker) {
+      if (this.workerResults) {
+        const { timestamp: captured, pose, hands, timings } = this.workerResults;
+        this.workerResults = null;
+        // A detection that skipped the pose keeps the last one
+        if (pose) this.poseResults = pose;
+        this.handResults = hands;
+        this.scheduler.record(timings);
+        this._processResults(captured, now);
+      }
+      // One frame in flight at a time, and each video frame once
+      const frameTime = this.videoElement.currentTime;
+      if (!this.frameInFlight && frameTime !== this.lastFrameTime) {
+        const plan = this.scheduler.plan(now, this.allHandsVisible);
+        if (plan) this._sendFrame(ts, frameTime, plan);
+      }
+    } else {
+      const plan = this.scheduler.plan(now, this.allHandsVisible);
+      if (plan) {
+        this._detectHere(ts, plan);
+        this._processResults(ts, now);
+      }
+    }
+    this._advance(now);
+  }
+
+  /** Run the planned landmarkers on the main thread */
+  _detectHere(ts, plan) {
+    const image = this._scaledFrame(plan.scale);
+    const timings = { poseMs: null, handMs: null };
+
+    if (this.poseLandmarker && plan.pose) {
+      const start = performance.now();
+      try {
+        this.poseResults = this.poseLandmarker.detectForVideo(image, ts);
+      } catch (e) {
+        // skip frame on error
+      }
+      timings.poseMs = performance.now() - start;
+    }
+
+    if (this.handLandmarker) {
+      const start = performance.now();
+      try {
+        this.handResults = this.handLandmarker.detectForVideo(image, ts);
+      } catch (e) {
+        // skip frame on error
+      }
+      timings.handMs = performance.now() - start;
     }
 
-    try {
-      this.handResults = this.handLandmarker.detectForVideo(this.videoElement, ts);
-    } catch (e) {
-      // skip frame on error
+    this.scheduler.record(timings);
+  }
+
+  /** The video, or a downscaled copy of the current frame */
+  _scaledFrame(scale) {
+    if (scale === 1) return this.videoElement;
+    const width = Math.round(this.videoElement.videoWidth * scale);
+    const height = Math.round(this.videoElement.videoHeight * scale);
+    if (!this.scaleCanvas) this.scaleCanvas = document.createElement('canvas');
+    if (this.scaleCanvas.width !== width || this.scaleCanvas.height !== height) {
+      this.scaleCanvas.width = width;
+      this.scaleCanvas.height = height;
     }
+    this.scaleCanvas.getContext('2d').drawImage(this.videoElement, 0, 0, width, height);
+    return this.scaleCanvas;
+  }
 
-    this._processHands();
+  /** Hand a (downscaled) copy of the video frame to the worker */
+  _sendFrame(ts, frameTime, plan) {
+    this.frameInFlight = true;
+    this.lastFrameTime = frameTime;
+    const resize = plan.scale === 1 ? {} : {
+      resizeWidth: Math.round(this.videoElement.videoWidth * plan.scale),
+      resizeHeight: Math.round(this.videoElement.videoHeight * plan.scale),
+      resizeQuality: 'low',
+    };
+    createImageBitmap(this.videoElement, resize).then((frame) => {
+      this.worker.postMessage({ type: 'detect', frame, timestamp: ts, pose: plan.pose }, [frame]);
+    }).catch(() => {
+      this.frameInFlight = false;
+    });
   }
 
   /**
-   * Calculate hand positions and velocities in normalized [0,1] coords.
+   * New detection results → each hand's next position, gestures and pose.
+   * @param {number} captured - ms, when the detected frame was captured; paces
+   *   the landmark filters and gesture hold times
+   * @param {number} now - ms, performance.now() clock; when the hands move there
    */
-  _processHands() {
-    this.hands.left.visible = false;
-    this.hands.right.visible = false;
-    this.handLandmarks.left = null;
-    this.handLandmarks.right = null;
-    this.prevHandOpen.left = this.handOpen.left;
-    this.prevHandOpen.right = this.handOpen.right;
-
+  _processResults(captured, now) {
+    // Every detected hand, mirrored, with its MediaPipe handedness
+    const detected = [];
     if (this.handResults && this.handResults.landmarks && this.handResults.landmarks.length > 0) {
       for (let i = 0; i < this.handResults.landmarks.length; i++) {
         const landmarks = this.handResults.landmarks[i];
         const handedness = this.handResults.handednesses?.[i];
         if (!handedness || !handedness[0] || !landmarks || landmarks.length === 0) continue;
 
-        const label = handedness[0].categoryName === 'Left' ? 'left' : 'right';
-
-        // Store mirrored landmarks for blade drawing
-        this.handLandmarks[label] = landmarks.map(lm => ({
-          x: 1 - lm.x,
-          y: lm.y,
-          z: lm.z,
-        }));
-
-        // Detect open hand vs fist
-        this.handOpen[label] = this._isHandOpen(landmarks);
-
         const wrist = landmarks[0];
         const middleTip = landmarks[12];
-
-        const x = 1 - (wrist.x + middleTip.x) / 2;
-        const y = (wrist.y + middleTip.y) / 2;
-
-        this._updateHandData(label, x, y);
+        detected.push({
+          label: handedness[0].categoryName === 'Left' ? 'left' : 'right',
+          landmarks,
+          // Store mirrored landmarks for blade drawing
+          mirrored: landmarks.map(lm => ({ x: 1 - lm.x, y: lm.y, z: lm.z })),
+          x: 1 - (wrist.x + middleTip.x) / 2,
+          y: (wrist.y + middleTip.y) / 2,
+        });
       }
     }
 
-    // Fallback: use pose wrist landmarks if hands not detected
-    if (this.poseResults && this.poseResults.landmarks && this.poseResults.landmarks.length > 0) {
-      const pose = this.poseResults.landmarks[0];
+    this.allHandsVisible = detected.length >= this.playerCount * 2;
+
+    const poses = (this.poseResults?.landmarks || []).map(pose => pose.map(lm => ({
+      x: 1 - lm.x,
+      y: lm.y,
+      z: lm.z,
+      visibility: lm.visibility,
+    })));
+
+    let assigned;
+    if (this.playerCount === 1) {
+      assigned = [{ hands: { left: null, right: null }, pose: poses[0] || null }];
+      for (const hand of detected) assigned[0].hands[hand.label] = hand;
+    } else {
+      assigned = assignHandsToPlayers(detected, poses, this.playerCount);
+    }
 
-      if (!this.hands.left.visible && pose[15] && pose[15].visibility > 0.5) {
-        this._updateHandData('left', 1 - pose[15].x, pose[15].y);
+    // Gestures are read in camera space; positions go out in field space
+    const area = this.playerCount === 1 ? this.calibrationArea : null;
+
+    assigned.forEach(({ hands, pose }, index) => {
+      const player = this.players[index];
+      player.pose = area && pose ? landmarksToField(pose, area) : pose;
+
+      for (const side of ['left', 'right']) {
+        const hand = hands[side];
+        const filter = player.filters[side];
+        let sample = null;
+        if (hand) {
+          const landmarks = filter ? filter.landmarks(hand.mirrored, captured / 1000) : hand.mirrored;
+          player.handOpen[side] = player.gestures[side].update(landmarks, side, captured / 1000);
+          const { x, y } = area ? toField(hand, area) : hand;
+          sample = { x, y, landmarks: area ? landmarksToField(landmarks, area) : landmarks };
+        } else if (player.pose) {
+          // Fallback: use pose wrist landmarks if hands not detected
+          const wrist = player.pose[side === 'left' ? 15 : 16];
+          if (wrist && wrist.visibility > 0.5) sample = { x: wrist.x, y: wrist.y, landmarks: null };
+        }
+        player.interpolators[side].push(sample, now);
       }
-      if (!this.hands.right.visible && pose[16] && pose[16].visibility > 0.5) {
-        this._updateHandData('right', 1 - pose[16].x, pose[16].y);
-      }
-    }
+    });
   }
 
   /**
-   * Detect if hand is open (fingers extended) or closed (fist).
-   * Compares distance from fingertip to wrist vs knuckle (MCP) to wrist.
-   * If fingertips are farther than knuckles → open. Otherwise → fist.
-   * Uses raw (non-mirrored) landmarks.
+   * Move every hand to where it is at `now`, between the last two detections.
+   * @param {number} now - ms, performance.now() clock
    */
-  _isHandOpen(lm) {
-    // Finger tip indices: index=8, middle=12, ring=16, pinky=20
-    // Finger MCP indices: index=5, middle=9, ring=13, pinky=17
-    const wrist = lm[0];
-    const tipIds = [8, 12, 16, 20];
-    const mcpIds = [5, 9, 13, 17];
-
-    let extendedCount = 0;
-    for (let i = 0; i < 4; i++) {
-      const tip = lm[tipIds[i]];
-      const mcp = lm[mcpIds[i]];
-
-      const tipDist = Math.sqrt(
-        (tip.x - wrist.x) ** 2 + (tip.y - wrist.y) ** 2 + (tip.z - wrist.z) ** 2
-      );
-      const mcpDist = Math.sqrt(
-        (mcp.x - wrist.x) ** 2 + (mcp.y - wrist.y) ** 2 + (mcp.z - wrist.z) ** 2
-      );
-
-      // Tip should be notably farther than MCP for finger to be "extended"
-      if (tipDist > mcpDist * 1.15) {
-        extendedCount++;
+  _advance(now) {
+    const bodyOnly = !TRACKING_PARTS[this.tracking.parts].hands;
+    for (const player of this.players) {
+      for (const side of ['left', 'right']) {
+        const sample = player.interpolators[side].at(now);
+        player.hands[side].visible = false;
+        player.handLandmarks[side] = sample ? sample.landmarks : null;
+        if (sample) this._updateHandData(player, side, sample.x, sample.y, sample.landmarks && getBladeSegment(sample.landmarks), now);
+        // Body only: no fingers to read, so every tracked wrist is a lit blade
+        if (bodyOnly) player.handOpen[side] = player.hands[side].visible;
       }
     }
-
-    // At least 3 of 4 fingers extended = open hand
-    return extendedCount >= 3;
   }
 
-  _updateHandData(label, x, y) {
-    const now = performance.now();
-    const history = this.handHistory[label];
-    history.push({ x, y, t: now });
-
-    if (history.length > this.maxHistory) {
-      history.shift();
-    }
+  _updateHandData(player, label, x, y, blade, now) {
+    trackHand(player.hands[label], player.handHistory[label], x, y, now, blade, {
+      maxHistory: this.maxHistory,
+      maxSampleGap: this.maxSampleGap,
+      filter: player.filters[label],
+    });
+  }
 
-    const hand = this.hands[label];
-    hand.x = x;
-    hand.y = y;
-    hand.visible = true;
-
-    if (history.length >= 2) {
-      const oldest = history[0];
-      const dt = (now - oldest.t) / 1000;
-      if (dt > 0.001) {
-        hand.vx = (x - oldest.x) / dt;
-        hand.vy = (y - oldest.y) / dt;
-        hand.speed = Math.sqrt(hand.vx * hand.vx + hand.vy * hand.vy);
-      }
-    }
+  /** Mirrored pose landmarks of one player, so the skeleton renders correctly */
+  getPoseLandmarks(player = 0) {
+    return this.players[player].pose;
   }
 
-  getPoseLandmarks() {
-    if (this.poseResults && this.poseResults.landmarks && this.poseResults.landmarks.length > 0) {
-      // Return mirrored landmarks so skeleton renders correctly
-      return this.poseResults.landmarks[0].map(lm => ({
-        x: 1 - lm.x,
-        y: lm.y,
-        z: lm.z,
-        visibility: lm.visibility,
-      }));
-    }
-    return null;
+  getHands(player = 0) {
+    return this.players[player].hands;
   }
 
-  getHands() {
-    return this.hands;
+  getHandLandmarks(player = 0) {
+    return this.players[player].handLandmarks;
   }
 
-  getHandLandmarks() {
-    return this.handLandmarks;
+  getHandOpen(player = 0) {
+    return this.players[player].handOpen;
   }
 
-  getHandOpen() {
-    return this.handOpen;
+  getPrevHandOpen(player = 0) {
+    return this.players[player].prevHandOpen;
   }
 
-  getPrevHandOpen() {
-    return this.prevHandOpen;
+  /** Each hand's GestureClassifier: gesture, confidence, openness, palm */
+  getGestures(player = 0) {
+    return this.players[player].gestures;
   }
 
   getConnections() {
@@ -0,0 +1,46 @@
+/**
+ * Power-up definitions. Slicing a power-up object starts a timed effect;
+ * slicing the same kind again while it runs restarts its timer.
+ *
+ *   duration         seconds the effect lasts
+ *   timeScale        freeze: object physics and spawning run at this speed
+ *   burstInterval    frenzy: seconds between fruit bursts from the sides
+ *   scoreMultiplier  double: multiplier on slice points
+ *   reach            blade: blade length/width and palm radius multiplier
+ */
+export const POWER_UPS = {
+  freeze: {
+    id: 'freeze',
+    name: 'Freeze',
+    icon: '❄️',
+    color: '#8be9fd',
+    duration: 5,
+    timeScale: 0.4,
+  },
+  frenzy: {
+    id: 'frenzy',
+    name: 'Frenzy',
+    icon: '🌪️',
+    color: '#ffb86c',
+    duration: 4,
+    burstInterval: 0.35,
+  },
+  double: {
+    id: 'double',
+    name: 'Double Points',
+    icon: '✨',
+    color: '#f1fa8c',
+    duration: 8,
+    scoreMultiplier: 2,
+  },
+  blade: {
+    id: 'blade',
+    name: 'Long Blade',
+    icon: '🗡️',
+    color: '#bd93f9',
+    duration: 8,
+    reach: 1.6,
+  },
+};
+
+export const POWER_UP_IDS = Object.keys(POWER_UPS);
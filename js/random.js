@@ -0,0 +1,48 @@
+/**
+ * Seeded pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence, so a game run can be
+ * reproduced exactly from its seed and input stream.
+ */
+export class SeededRandom {
+  /**
+   * @param {number} seed - 32-bit unsigned integer seed
+   */
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.reset(seed);
+  }
+
+  /** Pick a fresh seed (non-deterministic — use for new runs only) */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /** Rewind the sequence, optionally switching to a new seed */
+  reset(seed = this.seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /** Next float in [0, 1) — drop-in replacement for Math.random() */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /** Float in [min, max) */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /** Integer in [0, n) */
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /** Random element of an array */
+  pick(arr) {
+    return arr[this.int(arr.length)];
+  }
+}
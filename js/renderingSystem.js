@@ -1,3 +1,6 @@
+import { getBladeSegment, extendBlade } from './bladeGeometry.js';
+import { ENTITY_TYPES } from './entityTypes.js';
+
 /**
  * 2D Canvas rendering system using emojis for fruits/bombs.
  * No more Three.js blobs — everything is drawn on canvas.
@@ -14,33 +17,8 @@ export class RenderingSystem {
 
     this._resize();
 
-    // Fruit emoji map
-    this.fruitEmojis = {
-      apple: '🍎',
-      orange: '🍊',
-      lemon: '🍋',
-      lime: '🍈',
-      grape: '🍇',
-      watermelon: '🍉',
-    };
-
-    this.bombEmoji = '💣';
-    this.heartEmoji = '❤️';
-
-    // Particle/splatter colors — juice-accurate
-    this.fruitColorCSS = {
-      apple: '#e8333a',
-      orange: '#ff8c1a',
-      lemon: '#ffe033',
-      lime: '#6dcc3a',
-      grape: '#9b4dca',
-      watermelon: '#ff4d6a',
-      bomb: '#ff5555',
-      heart: '#ff79c6',
-    };
-
-    // Slice trail
-    this.trailPoints = { left: [], right: [] };
+    // Slice trail, per player (index 0 in single player)
+    this.trailPoints = [{ left: [], right: [] }, { left: [], right: [] }];
     this.maxTrailLength = 12;
 
     // Object rotation tracker
@@ -53,6 +31,23 @@ export class RenderingSystem {
     // Danger vignette state
     this.dangerIntensity = 0; // 0 = safe, 1 = about to die
 
+    // Draw a ring where each hand is — for inputs without hand landmarks
+    // (pointer, gamepad, keyboard), where nothing else shows the hand at rest
+    this.showCursors = false;
+
+    // Raw vs filtered hand tracks (drawFilterDebug), per player like trailPoints
+    this.showFilterDebug = false;
+    this.debugTracks = [{ left: [], right: [] }, { left: [], right: [] }];
+    this.maxDebugTrackLength = 30;
+
+    // Power-up visuals
+    this.frozen = false;
+    this.bladeReach = 1;
+
+    // Red ✖ where missed fruit fell off: { x (0-1), age (s) }
+    this.missMarkers = [];
+    this.missMarkerLife = 1.2;
+
     window.addEventListener('resize', () => this._resize());
   }
 
@@ -110,32 +105,109 @@ export class RenderingSystem {
     this.dangerIntensity = Math.max(0, Math.min(1, intensity));
   }
 
+  /**
+   * Mark where a whole fruit left the screen, on the bottom edge.
+   * @param {number} x - normalized x of the missed fruit
+   */
+  addMissMarker(x) {
+    this.missMarkers.push({ x: Math.max(0.03, Math.min(0.97, x)), age: 0 });
+  }
+
+  /**
+   * Mirror the engine's power-up state: icy tint while frozen, longer blades.
+   * @param {boolean} frozen
+   * @param {number} bladeReach - blade length multiplier (1 = normal)
+   */
+  setPowerUpState(frozen, bladeReach) {
+    this.frozen = frozen;
+    this.bladeReach = bladeReach;
+  }
+
   /**
    * Draw all active game objects on the game canvas.
    * @param {Array} activeObjects
    */
   drawGameObjects(activeObjects, particleSystem) {
     const ctx = this.gameCtx;
+    this._drawField(ctx, particleSystem);
+    this._drawObjects(ctx, activeObjects, 0, this.width);
+    this._drawMissMarkers(ctx, this._lastDt || 0.016);
 
+    // --- Freeze tint ---
+    if (this.frozen) this._drawFreezeTint(ctx, 0, this.width);
+    this._drawOverlays(ctx);
+  }
+
+  /**
+   * Two-player split screen: each player's field side by side, left to right.
+   * Field coordinates (0-1) are squeezed into the player's slice of the screen.
+   * @param {{ objects: Array, frozen: boolean }[]} fields
+   */
+  drawSplitScreen(fields, particleSystem) {
+    const ctx = this.gameCtx;
+    const fieldWidth = this.width / fields.length;
+    this._drawField(ctx, particleSystem);
+
+    fields.forEach((field, i) => {
+      const x0 = i * fieldWidth;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(x0, 0, fieldWidth, this.height);
+      ctx.clip();
+      this._drawObjects(ctx, field.objects, x0, fieldWidth);
+      if (field.frozen) this._drawFreezeTint(ctx, x0, fieldWidth);
+      ctx.restore();
+    });
+
+    // Dividers
+    ctx.save();
+    ctx.strokeStyle = 'rgba(189, 147, 249, 0.6)';
+    ctx.shadowColor = '#bd93f9';
+    ctx.shadowBlur = 12;
+    ctx.lineWidth = 3;
+    ctx.setLineDash([18, 12]);
+    for (let i = 1; i < fields.length; i++) {
+      ctx.beginPath();
+      ctx.moveTo(i * fieldWidth, 0);
+      ctx.lineTo(i * fieldWidth, this.height);
+      ctx.stroke();
+    }
+    ctx.restore();
+
+    this._drawMissMarkers(ctx, this._lastDt || 0.016);
+    this._drawOverlays(ctx);
+  }
+
+  /** Background, then juice splatters behind everything */
+  _drawField(ctx, particleSystem) {
     ctx.fillStyle = '#1e1f29';
     ctx.fillRect(0, 0, this.width, this.height);
     this._drawBackground(ctx);
 
-    // Draw splatters behind everything
     if (particleSystem) {
       particleSystem.drawSplatters(this._lastDt || 0.016);
     }
+  }
 
+  /**
+   * Draw objects into a field starting at screen x `x0`, `fieldWidth` pixels wide.
+   */
+  _drawObjects(ctx, activeObjects, x0, fieldWidth) {
     for (const obj of activeObjects) {
       if (!obj.active) continue;
 
-      const sx = obj.x * this.width;
+      const sx = x0 + obj.x * fieldWidth;
       const sy = obj.y * this.height;
-      const size = obj.radius * this.width * 2.8;
+      const size = obj.radius * fieldWidth * 2.8;
       const rotation = obj.rotation || 0;
 
       ctx.save();
       ctx.translate(sx, sy);
+      // A pomegranate shudders harder the more hits it has taken
+      if (obj.held) {
+        const shake = size * 0.02 * obj.sliceCount;
+        ctx.translate((Math.random() - 0.5) * shake, (Math.random() - 0.5) * shake);
+      }
       ctx.rotate(rotation);
 
       if (obj.fading) {
@@ -144,62 +216,83 @@ export class RenderingSystem {
         ctx.scale(fade * 0.8 + 0.2, fade * 0.8 + 0.2);
       }
 
-      let emoji;
-      if (obj.isBomb) {
-        emoji = this.bombEmoji;
-      } else if (obj.isHeart) {
-        emoji = this.heartEmoji;
-      } else {
-        emoji = this.fruitEmojis[obj.type] || '🍎';
-      }
-
-      if (obj.isBomb) {
-        ctx.shadowColor = '#ff5555';
-      } else if (obj.isHeart) {
-        ctx.shadowColor = '#ff79c6';
-      } else {
-        ctx.shadowColor = this.fruitColorCSS[obj.type] || '#8be9fd';
-      }
+      // Emoji, glow and juice all come from the entity type
+      const def = ENTITY_TYPES[obj.type];
+      const emoji = def ? def.emoji : '🍎';
+      const color = def ? def.color : '#8be9fd';
+      ctx.shadowColor = color;
       ctx.shadowBlur = 12;
 
-      if (obj.generation > 0 && obj.halfSide !== undefined) {
+      if (obj.cuts && obj.cuts.length > 0) {
         ctx.save();
-        ctx.beginPath();
-        if (obj.halfSide === 0) {
-          ctx.rect(-size, -size, size, size * 2);
-        } else {
-          ctx.rect(0, -size, size, size * 2);
+        // Keep only the part of the emoji on this piece's side of every cut
+        for (const cut of obj.cuts) {
+          const { nx, ny, d } = this._localCut(cut, size);
+          const tx = -ny * size * 2;
+          const ty = nx * size * 2;
+          const ex = nx * size * 2;
+          const ey = ny * size * 2;
+          ctx.beginPath();
+          ctx.moveTo(nx * d + tx, ny * d + ty);
+          ctx.lineTo(nx * d + tx + ex, ny * d + ty + ey);
+          ctx.lineTo(nx * d - tx + ex, ny * d - ty + ey);
+          ctx.lineTo(nx * d - tx, ny * d - ty);
+          ctx.closePath();
+          ctx.clip();
         }
-        ctx.clip();
 
-        ctx.font = `${size}px serif`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(emoji, 0, 0);
+        this._fillEmoji(ctx, emoji, size, def);
         ctx.restore();
 
-        const innerColor = this.fruitColorCSS[obj.type] || '#ff79c6';
-        ctx.fillStyle = innerColor;
+        // Juicy cut face along the newest cut edge, sized to the chord there
+        const { nx, ny, d } = this._localCut(obj.cuts[obj.cuts.length - 1], size);
+        const chord = Math.sqrt(Math.max(0.01, 0.16 - (d / size) ** 2));
+        ctx.fillStyle = color;
         ctx.globalAlpha = (ctx.globalAlpha || 1) * 0.6;
         ctx.beginPath();
-        const cutX = obj.halfSide === 0 ? size * 0.05 : -size * 0.05;
-        ctx.ellipse(cutX, 0, size * 0.08, size * 0.4, 0, 0, Math.PI * 2);
+        ctx.ellipse(
+          nx * (d - size * 0.05), ny * (d - size * 0.05),
+          size * 0.08, size * chord,
+          Math.atan2(ny, nx), 0, Math.PI * 2
+        );
         ctx.fill();
+      } else if (def && def.effect === 'bunch') {
+        // A bunch is a clump of smaller copies
+        for (const [ox, oy] of [[-0.22, -0.15], [0.22, -0.15], [0, 0.18]]) {
+          ctx.save();
+          ctx.translate(ox * size, oy * size);
+          this._fillEmoji(ctx, emoji, size * 0.7, def);
+          ctx.restore();
+        }
       } else {
-        ctx.font = `${size}px serif`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(emoji, 0, 0);
+        this._fillEmoji(ctx, emoji, size, def);
 
-        if (obj.isHeart) {
+        if (def && def.effect === 'pulse') {
           ctx.shadowBlur = 20 + Math.sin(Date.now() * 0.008) * 10;
           ctx.fillText(emoji, 0, 0);
+        } else if (def && def.effect === 'aura') {
+          this._drawAura(ctx, obj, color, size);
+        } else if (def && def.effect === 'shine') {
+          this._drawShine(ctx, emoji, color, size, def);
+        } else if (def && def.effect === 'cracks' && obj.sliceCount > 0) {
+          this._drawCracks(ctx, obj, color, size);
         }
       }
 
       ctx.restore();
     }
+  }
 
+  _drawFreezeTint(ctx, x0, fieldWidth) {
+    ctx.save();
+    ctx.globalAlpha = 0.12;
+    ctx.fillStyle = '#8be9fd';
+    ctx.fillRect(x0, 0, fieldWidth, this.height);
+    ctx.restore();
+  }
+
+  /** Screen flash and danger vignette, over the whole screen */
+  _drawOverlays(ctx) {
     // --- Screen flash overlay ---
     if (this.flashAlpha > 0) {
       ctx.save();
@@ -226,6 +319,117 @@ export class RenderingSystem {
     }
   }
 
+  /** Missed-fruit markers: pop in at the bottom edge, drift up and fade */
+  _drawMissMarkers(ctx, dt) {
+    const size = Math.max(28, this.width * 0.035);
+    ctx.save();
+    ctx.font = `900 ${size}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = '#ff5555';
+    ctx.shadowColor = '#ff5555';
+    ctx.shadowBlur = 15;
+    for (const marker of this.missMarkers) {
+      marker.age += dt;
+      const k = marker.age / this.missMarkerLife;
+      const pop = Math.min(1, marker.age / 0.12);
+      ctx.globalAlpha = Math.max(0, 1 - k);
+      ctx.save();
+      ctx.translate(marker.x * this.width, this.height - 10 - k * size * 0.6);
+      ctx.scale(pop, pop);
+      ctx.fillText('✖', 0, 0);
+      ctx.restore();
+    }
+    ctx.restore();
+    this.missMarkers = this.missMarkers.filter(m => m.age < this.missMarkerLife);
+  }
+
+  /** Centered emoji, with the entity's canvas filter (e.g. gold tint) if any */
+  _fillEmoji(ctx, emoji, size, def) {
+    ctx.font = `${size}px serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    if (def && def.filter) ctx.filter = def.filter;
+    ctx.fillText(emoji, 0, 0);
+    ctx.filter = 'none';
+  }
+
+  /** Golden fruit: pulsing gold glow and a sparkle orbiting it */
+  _drawShine(ctx, emoji, color, size, def) {
+    const t = Date.now() * 0.004;
+    ctx.save();
+    ctx.shadowColor = color;
+    ctx.shadowBlur = 25 + Math.sin(t * 2) * 12;
+    this._fillEmoji(ctx, emoji, size, def);
+    ctx.shadowBlur = 8;
+    ctx.font = `${size * 0.35}px serif`;
+    ctx.fillText('✨', Math.cos(t) * size * 0.5, Math.sin(t) * size * 0.5);
+    ctx.restore();
+  }
+
+  /**
+   * Pomegranate under attack: cracks spreading from the centre, one per hit,
+   * and a ring filling up towards the burst.
+   */
+  _drawCracks(ctx, obj, color, size) {
+    ctx.save();
+    ctx.shadowBlur = 0;
+    ctx.strokeStyle = '#282a36';
+    ctx.lineWidth = Math.max(1.5, size * 0.03);
+    ctx.lineCap = 'round';
+    for (let i = 0; i < obj.sliceCount; i++) {
+      // Golden-angle spacing keeps cracks spread out however many there are
+      const a = i * 2.39996;
+      const len = size * (0.25 + (i % 3) * 0.07);
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(Math.cos(a) * len * 0.5, Math.sin(a) * len * 0.5 + size * 0.03);
+      ctx.lineTo(Math.cos(a) * len, Math.sin(a) * len);
+      ctx.stroke();
+    }
+
+    ctx.rotate(-(obj.rotation || 0));
+    ctx.strokeStyle = color;
+    ctx.shadowColor = color;
+    ctx.shadowBlur = 15;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.arc(0, 0, size * 0.62, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * (obj.sliceCount / obj.maxSlices));
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Spinning dashed ring + pulse so power-ups stand out from fruit.
+   * Drawn in the object's rotated frame.
+   */
+  _drawAura(ctx, obj, color, size) {
+    const pulse = 0.5 + 0.5 * Math.sin(Date.now() * 0.01);
+    ctx.save();
+    ctx.rotate(Date.now() * 0.003 - (obj.rotation || 0));
+    ctx.strokeStyle = color;
+    ctx.shadowColor = color;
+    ctx.shadowBlur = 15 + pulse * 15;
+    ctx.lineWidth = 3;
+    ctx.setLineDash([size * 0.15, size * 0.1]);
+    ctx.beginPath();
+    ctx.arc(0, 0, size * (0.62 + pulse * 0.06), 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Convert a piece's cut (world-space normal at cut time) into the object's
+   * rotated drawing frame, in pixels.
+   * @returns {{ nx: number, ny: number, d: number }} unit normal + offset
+   */
+  _localCut(cut, size) {
+    // Normalized coords stretch differently in x and y — correct for aspect
+    const angle = Math.atan2(Math.sin(cut.angle) * this.height, Math.cos(cut.angle) * this.width)
+      - cut.rotation;
+    return { nx: Math.cos(angle), ny: Math.sin(angle), d: cut.offset * size };
+  }
+
   _drawBackground(ctx) {
     // Subtle radial vignette
     const grd = ctx.createRadialGradient(
@@ -308,17 +512,20 @@ export class RenderingSystem {
    * @param {Object} hands - hand position/velocity data
    * @param {Object} handLandmarks - raw landmarks per hand
    * @param {Object} handOpen - { left: bool, right: bool }
+   * @param {Object} [player] - two-player: { index, rgb } — both blades in the player's color
    */
-  drawHandTrails(hands, handLandmarks, handOpen) {
+  drawHandTrails(hands, handLandmarks, handOpen, player = null) {
     const ctx = this.poseCtx;
     const w = this.width;
     const h = this.height;
+    const trails = this.trailPoints[player ? player.index : 0];
 
     for (const side of ['left', 'right']) {
       const hand = hands[side];
-      const trail = this.trailPoints[side];
+      const trail = trails[side];
       const lm = handLandmarks ? handLandmarks[side] : null;
       const isOpen = handOpen ? handOpen[side] : true;
+      const color = player ? player.rgb : this._sideColor(side);
 
       if (hand.visible && hand.speed > 0.3 && isOpen) {
         trail.push({ x: hand.x * w, y: hand.y * h });
@@ -334,9 +541,7 @@ export class RenderingSystem {
         ctx.lineJoin = 'round';
         for (let i = 1; i < trail.length; i++) {
           const alpha = i / trail.length;
-          ctx.strokeStyle = side === 'left'
-            ? `rgba(139, 233, 253, ${alpha})`
-            : `rgba(255, 121, 198, ${alpha})`;
+          ctx.strokeStyle = `rgba(${color.join(', ')}, ${alpha})`;
           ctx.lineWidth = alpha * 10;
           ctx.beginPath();
           ctx.moveTo(trail[i - 1].x, trail[i - 1].y);
@@ -348,25 +553,121 @@ export class RenderingSystem {
 
       // Draw blade only when hand is open
       if (hand.visible && lm && lm.length >= 21 && isOpen) {
-        this._drawBlade(ctx, lm, side, w, h, hand.speed);
+        this._drawBlade(ctx, lm, color, w, h, hand.speed);
       } else if (hand.visible && lm && lm.length >= 21 && !isOpen) {
         // Fist — draw a small fist indicator
-        this._drawFist(ctx, lm, side, w, h);
+        this._drawFist(ctx, lm, color, w, h);
+      } else if (hand.visible && !lm && this.showCursors) {
+        this._drawCursor(ctx, hand.x * w, hand.y * h, color, isOpen);
       }
     }
   }
 
+  /**
+   * Debug overlay for hand smoothing: the raw samples as grey dots, the
+   * filtered track as a line, and both speeds next to each hand.
+   * Draws nothing for hands without a filter (hand.raw is null).
+   * @param {Object} hands - hand position/velocity data
+   * @param {Object} [player] - two-player: { index, rgb }
+   */
+  drawFilterDebug(hands, player = null) {
+    if (!this.showFilterDebug) return;
+    const ctx = this.poseCtx;
+    const w = this.width;
+    const h = this.height;
+    const tracks = this.debugTracks[player ? player.index : 0];
+
+    for (const side of ['left', 'right']) {
+      const hand = hands[side];
+      const track = tracks[side];
+
+      if (!hand.visible || !hand.raw) {
+        track.length = 0;
+        continue;
+      }
+      // One point per new sample, not per frame
+      if (track.length === 0 || track[track.length - 1].t !== hand.t) {
+        track.push({ t: hand.t, x: hand.x, y: hand.y, rawX: hand.raw.x, rawY: hand.raw.y });
+        if (track.length > this.maxDebugTrackLength) track.shift();
+      }
+
+      const color = (player ? player.rgb : this._sideColor(side)).join(', ');
+      ctx.save();
+      ctx.fillStyle = 'rgba(248, 248, 242, 0.55)';
+      for (const p of track) {
+        ctx.beginPath();
+        ctx.arc(p.rawX * w, p.rawY * h, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+
+      ctx.strokeStyle = `rgba(${color}, 0.9)`;
+      ctx.lineWidth = 2;
+      ctx.lineJoin = 'round';
+      ctx.beginPath();
+      track.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x * w, p.y * h) : ctx.lineTo(p.x * w, p.y * h)));
+      ctx.stroke();
+
+      ctx.font = '12px monospace';
+      ctx.fillStyle = 'rgba(248, 248, 242, 0.9)';
+      ctx.fillText(`raw ${hand.raw.speed.toFixed(2)}`, hand.x * w + 18, hand.y * h - 6);
+      ctx.fillStyle = `rgb(${color})`;
+      ctx.fillText(`flt ${hand.speed.toFixed(2)}`, hand.x * w + 18, hand.y * h + 10);
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Calibration: outline of the reach area measured so far, which will be
+   * stretched to fill the play field.
+   * @param {{ x0, y0, x1, y1 }|null} area
+   */
+  drawReachArea(area) {
+    if (!area) return;
+    const ctx = this.poseCtx;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(80, 250, 123, 0.8)';
+    ctx.fillStyle = 'rgba(80, 250, 123, 0.08)';
+    ctx.lineWidth = 3;
+    ctx.setLineDash([12, 8]);
+    const x = area.x0 * this.width;
+    const y = area.y0 * this.height;
+    const w = (area.x1 - area.x0) * this.width;
+    const h = (area.y1 - area.y0) * this.height;
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeRect(x, y, w, h);
+    ctx.restore();
+  }
+
+  /** Single-player blade color: cyan left, pink right */
+  _sideColor(side) {
+    return side === 'left' ? [139, 233, 253] : [255, 121, 198];
+  }
+
+  /** Cursor ring: solid and glowing with the blade out, faint when closed */
+  _drawCursor(ctx, x, y, color, isOpen) {
+    const rgb = color.join(',');
+    ctx.save();
+    ctx.strokeStyle = `rgba(${rgb}, ${isOpen ? 0.95 : 0.45})`;
+    ctx.fillStyle = `rgba(${rgb}, ${isOpen ? 0.35 : 0.1})`;
+    ctx.shadowColor = `rgb(${rgb})`;
+    ctx.shadowBlur = isOpen ? 18 : 0;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(x, y, isOpen ? 16 : 12, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
   /**
    * Draw a small fist indicator (no blade).
    */
-  _drawFist(ctx, lm, side, w, h) {
+  _drawFist(ctx, lm, baseColor, w, h) {
     const wrist = { x: lm[0].x * w, y: lm[0].y * h };
     const midMcp = { x: lm[9].x * w, y: lm[9].y * h };
     const cx = (wrist.x + midMcp.x) / 2;
     const cy = (wrist.y + midMcp.y) / 2;
 
-    const baseColor = side === 'left' ? [139, 233, 253] : [255, 121, 198];
-
     ctx.save();
     ctx.fillStyle = `rgba(${baseColor.join(',')}, 0.3)`;
     ctx.shadowColor = `rgb(${baseColor.join(',')})`;
@@ -388,7 +689,7 @@ export class RenderingSystem {
    * Draw a large katana blade shape covering the entire hand.
    * The hand IS the blade — wrist is the handle, fingertips are the edge.
    */
-  _drawBlade(ctx, lm, side, w, h, speed) {
+  _drawBlade(ctx, lm, baseColor, w, h, speed) {
     // Key landmark positions in screen coords
     const wrist    = { x: lm[0].x * w,  y: lm[0].y * h };
     const thumbCmc = { x: lm[2].x * w,  y: lm[2].y * h };
@@ -406,10 +707,10 @@ export class RenderingSystem {
     const len = Math.sqrt(dirX * dirX + dirY * dirY);
     if (len < 5) return; // hand too small/collapsed
 
-    // Extend blade tip well beyond fingertips
-    const extendFactor = 0.6;
-    const tipX = midTip.x + dirX * extendFactor;
-    const tipY = midTip.y + dirY * extendFactor;
+    // Extend blade tip well beyond fingertips (same segment the collision system uses)
+    const segment = extendBlade(getBladeSegment(lm), this.bladeReach);
+    const tipX = segment.tipX * w;
+    const tipY = segment.tipY * h;
 
     // Perpendicular direction for blade width
     const perpX = -dirY / len;
@@ -420,8 +721,6 @@ export class RenderingSystem {
       (indexMcp.x - pinkyMcp.x) ** 2 + (indexMcp.y - pinkyMcp.y) ** 2
     ) * 0.6;
 
-    // Color based on side
-    const baseColor = side === 'left' ? [139, 233, 253] : [255, 121, 198];
     const glowIntensity = Math.min(1, speed / 1.5);
 
     ctx.save();
@@ -490,12 +789,16 @@ export class RenderingSystem {
   render() {}
 
   getFruitColor(type) {
-    return this.fruitColorCSS[type] || '#8be9fd';
+    const def = ENTITY_TYPES[type];
+    return def ? def.color : '#8be9fd';
   }
 
   clearAllMeshes() {
     this.rotations.clear();
-    this.trailPoints.left.length = 0;
-    this.trailPoints.right.length = 0;
+    this.missMarkers.length = 0;
+    for (const trails of [...this.trailPoints, ...this.debugTracks]) {
+      trails.left.length = 0;
+      trails.right.length = 0;
+    }
   }
 }
@@ -0,0 +1,208 @@
+/**
+ * Session recording + replay.
+ * A recording is the seed, game mode and difficulty profile plus, per frame,
+ * everything the game loop read from tracking: dt, the hands passed to
+ * GameEngine.update(), hand-open state and the raw hand/pose landmarks (for
+ * rendering). Feeding it back through the engine with the same seed
+ * reproduces the run exactly — no webcam needed.
+ */
+
+export const RECORDING_VERSION = 1;
+
+// Landmarks only drive rendering, so they are rounded to keep files small.
+// Engine inputs (dt, hands) are stored at full precision to stay deterministic.
+const LANDMARK_PRECISION = 10000;
+
+function round(v) {
+  return Math.round(v * LANDMARK_PRECISION) / LANDMARK_PRECISION;
+}
+
+/** [{x, y, z}, ...] → flat [x, y, z, x, y, z, ...] */
+function packLandmarks(list, fields) {
+  if (!list) return null;
+  const out = [];
+  for (const lm of list) {
+    for (const f of fields) out.push(round(lm[f] ?? 0));
+  }
+  return out;
+}
+
+function unpackLandmarks(flat, fields) {
+  if (!flat) return null;
+  const out = [];
+  for (let i = 0; i < flat.length; i += fields.length) {
+    const lm = {};
+    fields.forEach((f, j) => { lm[f] = flat[i + j]; });
+    out.push(lm);
+  }
+  return out;
+}
+
+const HAND_FIELDS = ['x', 'y', 'z'];
+const POSE_FIELDS = ['x', 'y', 'z', 'visibility'];
+
+/**
+ * Captures frames while a game is running.
+ */
+export class SessionRecorder {
+  constructor() {
+    this.recording = null;
+  }
+
+  get isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Begin a new recording.
+   * @param {Object} meta - { seed, mode, difficulty, minSliceSpeed } of the run being recorded
+   */
+  start(meta) {
+    this.recording = {
+      version: RECORDING_VERSION,
+      seed: meta.seed,
+      mode: meta.mode,
+      difficulty: meta.difficulty,
+      minSliceSpeed: meta.minSliceSpeed,
+      recordedAt: new Date().toISOString(),
+      frames: [],
+    };
+  }
+
+  /**
+   * Capture one game-loop frame.
+   * @param {Object} frame
+   * @param {number} frame.dt - seconds passed to GameEngine.update()
+   * @param {Object} frame.hands - the hands object passed to GameEngine.update()
+   * @param {Object} frame.tracked - { left, right } raw tracker visibility
+   * @param {Object} frame.handOpen - { left, right }
+   * @param {Object} frame.handLandmarks - { left, right } mirrored hand landmarks
+   * @param {Array|null} frame.poseLandmarks - mirrored pose landmarks
+   */
+  recordFrame(frame) {
+    if (!this.recording) return;
+    // Short keys keep long sessions compact:
+    // d = dt, h = hands, v = tracked, o = open, l = hand landmarks, p = pose
+    this.recording.frames.push({
+      d: frame.dt,
+      h: JSON.parse(JSON.stringify(frame.hands)),
+      v: [frame.tracked.left ? 1 : 0, frame.tracked.right ? 1 : 0],
+      o: [frame.handOpen.left ? 1 : 0, frame.handOpen.right ? 1 : 0],
+      l: {
+        left: packLandmarks(frame.handLandmarks.left, HAND_FIELDS),
+        right: packLandmarks(frame.handLandmarks.right, HAND_FIELDS),
+      },
+      p: packLandmarks(frame.poseLandmarks, POSE_FIELDS),
+    });
+  }
+
+  /** Finish and return the recording */
+  stop() {
+    const recording = this.recording;
+    this.recording = null;
+    return recording;
+  }
+
+  static serialize(recording) {
+    return JSON.stringify(recording);
+  }
+
+  /**
+   * Parse a serialized recording.
+   * @throws {Error} if the data is not a supported recording
+   */
+  static parse(text) {
+    const recording = JSON.parse(text);
+    if (!recording || !Array.isArray(recording.frames)) {
+      throw new Error('Not a Vision Slice recording');
+    }
+    if (recording.version !== RECORDING_VERSION) {
+      throw new Error(`Unsupported recording version ${recording.version}`);
+    }
+    return recording;
+  }
+}
+
+/**
+ * Plays a recording back frame by frame.
+ * Exposes the same getters as PoseDetection so the game loop can use either.
+ */
+export class SessionPlayer {
+  constructor(recording, connections = []) {
+    this.recording = recording;
+    this.connections = connections;
+    this.index = -1;
+    this.dt = 0;
+
+    this.hands = null;
+    this.handOpen = { left: false, right: false };
+    this.prevHandOpen = { left: false, right: false };
+    this.handLandmarks = { left: null, right: null };
+    this.poseLandmarks = null;
+  }
+
+  get seed() {
+    return this.recording.seed;
+  }
+
+  get frameCount() {
+    return this.recording.frames.length;
+  }
+
+  /** dt of the upcoming frame (0 once the recording is exhausted) */
+  get nextDt() {
+    const next = this.recording.frames[this.index + 1];
+    return next ? next.d : 0;
+  }
+
+  get finished() {
+    return this.index >= this.recording.frames.length - 1;
+  }
+
+  /** Advance to the next recorded frame. Returns false when the recording is over. */
+  detect() {
+    if (this.finished) return false;
+    this.index++;
+    const frame = this.recording.frames[this.index];
+
+    this.dt = frame.d;
+    this.prevHandOpen = this.handOpen;
+    this.handOpen = { left: !!frame.o[0], right: !!frame.o[1] };
+
+    // Restore tracker visibility; the loop re-derives engine hands from it + handOpen
+    this.hands = {
+      left: { ...frame.h.left, visible: !!frame.v[0] },
+      right: { ...frame.h.right, visible: !!frame.v[1] },
+    };
+    this.handLandmarks = {
+      left: unpackLandmarks(frame.l.left, HAND_FIELDS),
+      right: unpackLandmarks(frame.l.right, HAND_FIELDS),
+    };
+    this.poseLandmarks = unpackLandmarks(frame.p, POSE_FIELDS);
+    return true;
+  }
+
+  getPoseLandmarks() {
+    return this.poseLandmarks;
+  }
+
+  getHands() {
+    return this.hands;
+  }
+
+  getHandLandmarks() {
+    return this.handLandmarks;
+  }
+
+  getHandOpen() {
+    return this.handOpen;
+  }
+
+  getPrevHandOpen() {
+    return this.prevHandOpen;
+  }
+
+  getConnections() {
+    return this.connections;
+  }
+}
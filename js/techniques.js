@@ -0,0 +1,124 @@
+/**
+ * Two-hand techniques. GameEngine feeds every hit and every frame's hands to
+ * a TechniqueDetector, which reports techniques as they are performed:
+ *
+ *   xSlash  both blades cut the same fruit (or its pieces) within `window`
+ *           seconds — including both hands in the same frame
+ *   clap    the hands close in fast (closing speed ≥ minSpeed) on fruit lying
+ *           between them, within `distance` of each other — the fruit is
+ *           crushed before either blade cuts it
+ *   rhythm  fruit slices alternating left/right, each within `window` of the
+ *           last; pays from `minChain` on, more for every alternation after
+ *
+ *   points  bonus per technique (rhythm: per step past minChain − 1)
+ */
+export const TECHNIQUES = {
+  xSlash: {
+    id: 'xSlash',
+    name: 'X-Slash',
+    icon: '❌',
+    color: '#ff79c6',
+    points: 30,
+    window: 0.3,
+  },
+  clap: {
+    id: 'clap',
+    name: 'Clap-Through',
+    icon: '👏',
+    color: '#f1fa8c',
+    points: 40,
+    distance: 0.3,
+    minSpeed: 1.2,
+    cooldown: 0.5,
+  },
+  rhythm: {
+    id: 'rhythm',
+    name: 'Rhythm',
+    icon: '🥁',
+    color: '#8be9fd',
+    points: 5,
+    window: 0.6,
+    minChain: 4,
+  },
+};
+
+export class TechniqueDetector {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.rootHits = new Map();   // rootId -> { side, time, done } of the last blade cut
+    this.rhythm = { side: null, time: -Infinity, chain: 0 };
+    this.lastClap = -Infinity;
+  }
+
+  /**
+   * Record a fruit hit. A piece shares its whole fruit's `rootId`, so cutting
+   * a half with the other blade still completes an X-slash.
+   * @param {Object} obj - the fruit hit
+   * @param {string[]} sides - hands that touched it this frame
+   * @param {number} time - game time in seconds
+   * @returns {Object[]} techniques completed: { technique, chain? }
+   */
+  recordHit(obj, sides, time) {
+    const done = [];
+    const x = TECHNIQUES.xSlash;
+
+    // Forget cuts too old to pair up
+    for (const [rootId, cut] of this.rootHits) {
+      if (time - cut.time > x.window) this.rootHits.delete(rootId);
+    }
+
+    const last = this.rootHits.get(obj.rootId);
+    if (sides.length > 1 || (last && last.side !== sides[0] && !last.done)) {
+      done.push({ technique: x });
+      this.rootHits.set(obj.rootId, { side: sides[0], time, done: true });
+    } else if (!last || !last.done) {
+      this.rootHits.set(obj.rootId, { side: sides[0], time, done: false });
+    }
+
+    const r = TECHNIQUES.rhythm;
+    const rhythm = this.rhythm;
+    const side = sides[0];
+    const alternated = sides.length === 1 && side !== rhythm.side && time - rhythm.time <= r.window;
+    rhythm.chain = alternated ? rhythm.chain + 1 : 1;
+    rhythm.side = side;
+    rhythm.time = time;
+    if (rhythm.chain >= r.minChain) done.push({ technique: r, chain: rhythm.chain });
+
+    return done;
+  }
+
+  /**
+   * Are the hands clapping — close together and closing in fast?
+   * @param {Object} hands - { left, right } from PoseDetection
+   * @param {number} time - game time in seconds
+   * @returns {{ left: Object, right: Object, speed: number } | null}
+   */
+  detectClap(hands, time) {
+    const { left, right } = hands;
+    const c = TECHNIQUES.clap;
+    if (!left.visible || !right.visible || time - this.lastClap < c.cooldown) return null;
+
+    const dx = right.x - left.x;
+    const dy = right.y - left.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist > c.distance || dist === 0) return null;
+
+    // Closing speed: relative velocity along the line between the hands
+    const speed = -((right.vx - left.vx) * dx + (right.vy - left.vy) * dy) / dist;
+    if (speed < c.minSpeed) return null;
+    return { left, right, speed };
+  }
+
+  /**
+   * A clap crushed fruit — start the cooldown so one clap pays once, and
+   * don't let the hands closing on its pieces count as an X-slash too.
+   * @param {Object[]} crushed - the fruit caught between the hands
+   */
+  clapped(time, crushed = []) {
+    this.lastClap = time;
+    for (const obj of crushed) this.rootHits.set(obj.rootId, { side: null, time, done: true });
+  }
+}
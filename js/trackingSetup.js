@@ -0,0 +1,115 @@
+/**
+ * Tracking setup for the webcam: which MediaPipe models run, which variant
+ * of each, and on which backend.
+ *
+ *   parts    hands + body, hands only (no skeleton, no wrist fallback) or
+ *            body only (wrists as blades, no gestures)
+ *   models   pose lite / full / heavy — bigger is steadier and slower.
+ *            MediaPipe ships one hand landmarker, so hands are always full.
+ *   backend  auto tries the GPU (WebGL) and falls back to the CPU when it
+ *            won't start; GPU or CPU pins one
+ */
+import { MODEL_VARIANTS } from './assets.js';
+
+export const TRACKING_PARTS = {
+  both: { id: 'both', name: 'Hands + body', pose: true, hands: true },
+  hands: { id: 'hands', name: 'Hands only', pose: false, hands: true },
+  pose: { id: 'pose', name: 'Body only', pose: true, hands: false },
+};
+
+// MediaPipe delegates each backend tries, in order
+export const BACKENDS = {
+  auto: { id: 'auto', name: 'Auto (GPU → CPU)', delegates: ['GPU', 'CPU'] },
+  gpu: { id: 'gpu', name: 'GPU', delegates: ['GPU'] },
+  cpu: { id: 'cpu', name: 'CPU', delegates: ['CPU'] },
+};
+
+export const DEFAULT_TRACKING = { parts: 'both', poseModel: 'lite', handModel: 'full', backend: 'auto' };
+
+/** Settings with anything unknown (e.g. from an older save) replaced by the default */
+export function trackingSettings(saved = {}) {
+  const pick = (value, options, fallback) => (options.includes(value) ? value : fallback);
+  return {
+    parts: pick(saved?.parts, Object.keys(TRACKING_PARTS), DEFAULT_TRACKING.parts),
+    poseModel: pick(saved?.poseModel, MODEL_VARIANTS.pose, DEFAULT_TRACKING.poseModel),
+    handModel: pick(saved?.handModel, MODEL_VARIANTS.hand, DEFAULT_TRACKING.handModel),
+    backend: pick(saved?.backend, Object.keys(BACKENDS), DEFAULT_TRACKING.backend),
+  };
+}
+
+/**
+ * Create a landmarker on the first delegate that starts.
+ * @param {Function} create - async (delegate) → landmarker
+ * @param {string[]} delegates - e.g. ['GPU', 'CPU']
+ * @returns {Promise<{ landmarker: Object, delegate: string }>}
+ * @throws the last delegate's error when none starts
+ */
+export async function createWithFallback(create, delegates) {
+  let error = null;
+  for (const delegate of delegates) {
+    try {
+      return { landmarker: await create(delegate), delegate };
+    } catch (err) {
+      console.warn(`[Tracking] ${delegate} backend failed:`, err);
+      error = err;
+    }
+  }
+  throw error;
+}
+
+/**
+ * Create the landmarkers a tracking setup needs, each on the first of the
+ * backend's delegates that starts. Used on the main thread and in the
+ * detection worker alike.
+ * @param {Object} vision - the MediaPipe tasks-vision module
+ * @param {Object} fileset - from FilesetResolver.forVisionTasks()
+ * @param {Object} assets - from resolveAssets()
+ * @param {Object} tracking - from trackingSettings()
+ * @param {number} playerCount
+ * @returns {Promise<{ pose, hands, status }>} landmarkers (null when off) and what each runs
+ */
+export async function createLandmarkers(vision, fileset, assets, tracking, playerCount) {
+  const parts = TRACKING_PARTS[tracking.parts];
+  const { delegates } = BACKENDS[tracking.backend];
+  const result = { pose: null, hands: null, status: { pose: null, hands: null } };
+
+  if (parts.pose) {
+    const model = tracking.poseModel;
+    const { landmarker, delegate } = await createWithFallback(delegate => vision.PoseLandmarker.createFromOptions(fileset, {
+      baseOptions: { modelAssetPath: assets.poseModels[model], delegate },
+      runningMode: 'VIDEO',
+      numPoses: playerCount,
+    }), delegates);
+    result.pose = landmarker;
+    result.status.pose = { model, delegate };
+    console.log(`[Tracking] Pose model loaded (${model}, ${delegate})`);
+  }
+
+  if (parts.hands) {
+    const model = tracking.handModel;
+    const { landmarker, delegate } = await createWithFallback(delegate => vision.HandLandmarker.createFromOptions(fileset, {
+      baseOptions: { modelAssetPath: assets.handModels[model], delegate },
+      runningMode: 'VIDEO',
+      numHands: playerCount * 2,
+    }), delegates);
+    result.hands = landmarker;
+    result.status.hands = { model, delegate };
+    console.log(`[Tracking] Hand model loaded (${model}, ${delegate})`);
+  }
+
+  return result;
+}
+
+/**
+ * One line on what's running, e.g. "GPU • pose lite • hands full", or
+ * "pose lite on GPU • hands full on CPU" when they ended up on different ones.
+ * @param {{ pose: {delegate, model}|null, hands: {delegate, model}|null }} status
+ */
+export function describeTracking(status) {
+  const running = Object.entries(status).filter(([, active]) => active);
+  const delegates = new Set(running.map(([, active]) => active.delegate));
+  if (delegates.size === 1) {
+    return [...delegates, ...running.map(([name, { model }]) => `${name} ${model}`)].join(' • ');
+  }
+  return running.map(([name, { model, delegate }]) => `${name} ${model} on ${delegate}`).join(' • ');
+}
@@ -0,0 +1,164 @@
+import { GameEngine } from './gameEngine.js';
+
+/**
+ * Local two-player split screen.
+ *
+ * The screen is split into one field per player, left to right. Each field
+ * is its own GameEngine with its own score, combo, timer and power-ups, all
+ * seeded alike so both players face the same waves. Hands are tracked in
+ * screen space and mapped into their player's field before the engine sees
+ * them.
+ */
+
+export const PLAYERS = [
+  { index: 0, name: 'P1', color: '#8be9fd', rgb: [139, 233, 253] },
+  { index: 1, name: 'P2', color: '#ffb86c', rgb: [255, 184, 108] },
+];
+
+// A hand further than this from every pose wrist is assigned by screen half
+const MAX_WRIST_DISTANCE = 0.25;
+
+// Pose wrist landmark per hand side (mirrored, as PoseDetection reports them)
+const POSE_WRIST = { left: 15, right: 16 };
+
+function visible(lm) {
+  return lm && (lm.visibility === undefined || lm.visibility > 0.5);
+}
+
+/** Screen x of a pose's body centre (mid-shoulders, else nose) */
+function poseCenterX(pose) {
+  if (visible(pose[11]) && visible(pose[12])) return (pose[11].x + pose[12].x) / 2;
+  return pose[0].x;
+}
+
+/**
+ * Split tracked hands between players by which person's pose they belong to.
+ * Players are ordered left to right on screen. A hand is given to the pose
+ * whose wrist it is nearest, and labelled left/right by which of that pose's
+ * wrists — MediaPipe's handedness is unreliable with two people in frame.
+ * Without a nearby pose a hand falls back to the half of the screen it is in
+ * and its own handedness.
+ *
+ * @param {Object[]} detected - [{ label: 'left'|'right', x, y, ... }] in mirrored screen space
+ * @param {Object[][]} poses - mirrored pose landmark lists (any order)
+ * @param {number} [playerCount=2]
+ * @returns {{ hands: { left: Object|null, right: Object|null }, pose: Object[]|null }[]} per player
+ */
+export function assignHandsToPlayers(detected, poses, playerCount = 2) {
+  const players = Array.from({ length: playerCount }, () => ({ hands: { left: null, right: null }, pose: null }));
+
+  // Poses to players: one per screen slot, left to right
+  const sorted = [...poses].sort((a, b) => poseCenterX(a) - poseCenterX(b));
+  if (sorted.length >= playerCount) {
+    sorted.slice(0, playerCount).forEach((pose, i) => { players[i].pose = pose; });
+  } else {
+    for (const pose of sorted) {
+      const slot = Math.min(playerCount - 1, Math.floor(poseCenterX(pose) * playerCount));
+      const free = players[slot].pose ? players.findIndex(p => !p.pose) : slot;
+      players[free].pose = pose;
+    }
+  }
+
+  for (const hand of detected) {
+    let best = null;
+    for (const [i, player] of players.entries()) {
+      if (!player.pose) continue;
+      for (const side of ['left', 'right']) {
+        const wrist = player.pose[POSE_WRIST[side]];
+        if (!visible(wrist)) continue;
+        const dist = Math.hypot(hand.x - wrist.x, hand.y - wrist.y);
+        if (dist <= MAX_WRIST_DISTANCE && (!best || dist < best.dist)) best = { player: i, side, dist };
+      }
+    }
+    if (!best) {
+      best = { player: Math.min(playerCount - 1, Math.max(0, Math.floor(hand.x * playerCount))), side: hand.label };
+    }
+
+    const hands = players[best.player].hands;
+    if (!hands[best.side]) {
+      hands[best.side] = hand;
+    } else {
+      // Both wrists matched the same side — the other slot is the only sensible one
+      const other = best.side === 'left' ? 'right' : 'left';
+      if (!hands[other]) hands[other] = hand;
+    }
+  }
+
+  return players;
+}
+
+/**
+ * Map screen-space hands into one player's field: x in [0, 1] across the field.
+ * Widths along x (velocity, blade width) stretch by the same factor.
+ * @param {Object} hands - { left, right } as PoseDetection reports them
+ * @param {number} player - field index, left to right
+ * @param {number} count - number of fields
+ */
+export function toFieldHands(hands, player, count) {
+  const mapX = (x) => (x - player / count) * count;
+  const mapBlade = (blade) => blade && {
+    ...blade,
+    baseX: mapX(blade.baseX),
+    tipX: mapX(blade.tipX),
+    halfWidth: blade.halfWidth * count,
+  };
+
+  const out = {};
+  for (const side of ['left', 'right']) {
+    const hand = hands[side];
+    const vx = hand.vx * count;
+    out[side] = {
+      ...hand,
+      x: mapX(hand.x),
+      vx,
+      speed: Math.sqrt(vx * vx + hand.vy * hand.vy),
+      blade: mapBlade(hand.blade),
+      prev: hand.prev && { ...hand.prev, x: mapX(hand.prev.x), blade: mapBlade(hand.prev.blade) },
+    };
+  }
+  return out;
+}
+
+export class SplitScreenMatch {
+  /**
+   * @param {GameEngine[]} [engines] - one per player; created if omitted
+   */
+  constructor(engines = PLAYERS.map(() => new GameEngine())) {
+    this.engines = engines;
+  }
+
+  get playerCount() {
+    return this.engines.length;
+  }
+
+  /** Both fields start the same run — same seed, same waves */
+  reset({ seed, mode, difficulty } = {}) {
+    for (const engine of this.engines) engine.reset({ seed, mode, difficulty });
+  }
+
+  /**
+   * Step every field that is still playing.
+   * @param {number} dt
+   * @param {Object[]} playerHands - screen-space { left, right } per player
+   * @returns {Object[]} each engine's frame info
+   */
+  update(dt, playerHands) {
+    return this.engines.map((engine, i) => engine.update(dt, toFieldHands(playerHands[i], i, this.playerCount)));
+  }
+
+  setPaused(paused) {
+    for (const engine of this.engines) engine.isPaused = paused;
+  }
+
+  /** The match is over once every player is out */
+  get isGameOver() {
+    return this.engines.every(engine => engine.isGameOver);
+  }
+
+  /** Index of the highest scorer, or null for a draw */
+  get winner() {
+    const scores = this.engines.map(engine => engine.score);
+    const best = Math.max(...scores);
+    return scores.filter(s => s === best).length > 1 ? null : scores.indexOf(best);
+  }
+}
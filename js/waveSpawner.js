@@ -0,0 +1,187 @@
+/**
+ * Authored spawn waves.
+ *
+ * Every spawn interval GameEngine asks the spawner for a wave. A pattern
+ * turns the wave context into a list of spawn specs:
+ *
+ *   { delay, kind, type, x, y, vx, vy }
+ *
+ *   delay  seconds after the wave starts (staggered patterns)
+ *   kind   'fruit' | 'bomb' | 'heart' | 'powerUp' — omit to roll the difficulty's chances
+ *   type   a specific entity type id (see entityTypes.js) — overrides kind
+ *   x, y   launch position — omit x for a random column, y defaults to just above the screen
+ *   vx, vy launch velocity — omit for the usual random drift/fall
+ *
+ * Patterns only read the context and its rng, so waves stay reproducible
+ * from the run's seed.
+ */
+
+// Just above the top edge / just below the bottom edge
+const TOP_Y = -0.08;
+const BOTTOM_Y = 1.1;
+
+/** Evenly spaced columns across the playfield */
+function columns(n, margin = 0.15) {
+  if (n === 1) return [0.5];
+  return Array.from({ length: n }, (_, i) => margin + (i / (n - 1)) * (1 - 2 * margin));
+}
+
+/**
+ * Wave patterns, keyed by id. Each gets { rng, count, speed, gravity }:
+ * count is the difficulty's wave size roll (1..waveSize), speed its
+ * velocity multiplier.
+ */
+export const WAVE_PATTERNS = {
+  // The original spawner: count objects spread along x with some jitter
+  random({ rng, count }) {
+    return Array.from({ length: count }, (_, i) => ({
+      x: 0.08 + (i / count) * 0.84 + (rng.next() - 0.5) * 0.1,
+    }));
+  },
+
+  // A horizontal line of fruit falling together
+  row({ count, speed }) {
+    const vy = 0.12 * speed;
+    return columns(count + 2).map(x => ({ kind: 'fruit', x, vx: 0, vy }));
+  },
+
+  // An arch — the middle fruit leads, the outer ones trail behind
+  arc({ count, speed }) {
+    const n = count + 2;
+    const vy = 0.12 * speed;
+    return columns(n).map((x, i) => ({
+      kind: 'fruit',
+      x,
+      y: TOP_Y - 0.15 * (1 - Math.sin(Math.PI * (i / (n - 1)))),
+      vx: 0,
+      vy,
+    }));
+  },
+
+  // One fruit at a time, alternating sides
+  zigzag({ rng, count, speed }) {
+    const n = count + 3;
+    const first = rng.next() < 0.5 ? 0 : 1;
+    return Array.from({ length: n }, (_, i) => ({
+      delay: i * 0.25,
+      kind: 'fruit',
+      x: (i + first) % 2 === 0 ? 0.25 : 0.75,
+      vx: 0,
+      vy: 0.14 * speed,
+    }));
+  },
+
+  // A bomb with a ring of fruit around it — slice the ring, not the centre
+  bombRing({ rng, count, speed }) {
+    const n = count + 3;
+    const cx = 0.3 + rng.next() * 0.4;
+    const ring = 0.12;
+    const vy = 0.1 * speed;
+    const specs = [{ kind: 'bomb', x: cx, y: TOP_Y - ring, vx: 0, vy }];
+    for (let i = 0; i < n; i++) {
+      const a = (i / n) * Math.PI * 2;
+      specs.push({
+        kind: 'fruit',
+        x: cx + Math.cos(a) * ring,
+        y: TOP_Y - ring + Math.sin(a) * ring,
+        vx: 0,
+        vy,
+      });
+    }
+    return specs;
+  },
+
+  // Fruit thrown up from below, peaking in the upper third of the screen
+  volley({ rng, count, gravity }) {
+    const n = count + 1;
+    return columns(n, 0.2).map((x, i) => {
+      const apexY = 0.2 + rng.next() * 0.15;
+      return {
+        delay: i * 0.12,
+        kind: 'fruit',
+        x,
+        y: BOTTOM_Y,
+        vx: (0.5 - x) * 0.15,
+        vy: -Math.sqrt(2 * gravity * (BOTTOM_Y - apexY)),
+      };
+    });
+  },
+
+  // Fruit flung in from both sides — the Frenzy power-up fires these
+  sideBurst({ rng, count }) {
+    return Array.from({ length: count + 1 }, (_, i) => {
+      const fromLeft = i % 2 === 0;
+      return {
+        delay: i * 0.05,
+        kind: 'fruit',
+        x: fromLeft ? -0.05 : 1.05,
+        y: 0.45 + rng.next() * 0.3,
+        vx: (fromLeft ? 1 : -1) * (0.3 + rng.next() * 0.2),
+        vy: -(0.35 + rng.next() * 0.2),
+      };
+    });
+  },
+};
+
+export class WaveSpawner {
+  /**
+   * @param {Object} rng - the engine's PRNG
+   */
+  constructor(rng) {
+    this.rng = rng;
+    this.reset();
+  }
+
+  reset() {
+    this.time = 0;
+    this.pending = [];          // specs waiting for their delay, sorted by `at`
+    this.sequenceIndex = 0;
+  }
+
+  /**
+   * Choose the next pattern: scripted sequence first, then by weight.
+   * @param {Object} weights - { patternId: weight }
+   * @param {string[]} [sequence] - pattern ids to play in order before weighting kicks in
+   */
+  nextPattern(weights, sequence = []) {
+    if (this.sequenceIndex < sequence.length) return sequence[this.sequenceIndex++];
+
+    const ids = Object.keys(weights);
+    let total = 0;
+    for (const id of ids) total += weights[id];
+    let roll = this.rng.next() * total;
+    for (const id of ids) {
+      roll -= weights[id];
+      if (roll < 0) return id;
+    }
+    return ids[ids.length - 1];
+  }
+
+  /**
+   * Queue a wave of the given pattern.
+   * @returns {number} seconds until the wave's last spawn
+   */
+  queue(patternId, context) {
+    const pattern = WAVE_PATTERNS[patternId] || WAVE_PATTERNS.random;
+    const specs = pattern({ rng: this.rng, ...context });
+    let duration = 0;
+    for (const spec of specs) {
+      const delay = spec.delay || 0;
+      duration = Math.max(duration, delay);
+      this.pending.push({ ...spec, at: this.time + delay });
+    }
+    this.pending.sort((a, b) => a.at - b.at);
+    return duration;
+  }
+
+  /**
+   * Advance time and take the specs that are due.
+   * @returns {Object[]} spawn specs
+   */
+  update(dt) {
+    this.time += dt;
+    let due = 0;
+    while (due < this.pending.length && this.pending[due].at <= this.time) due++;
+    return this.pending.splice(0, due);
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Downloads the MediaPipe bundle, WASM fileset and models into
+ * vendor/mediapipe so the game can be served without the CDN:
+ *
+ *   npm run fetch-models
+ *
+ * Files already there are kept; pass --force to download them again.
+ */
+import { mkdir, writeFile, access } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { CDN_ASSETS, WASM_FILES, LOCAL_ASSET_BASE, MEDIAPIPE_VERSION, assetsAt } from '../js/assets.js';
+
+const force = process.argv.includes('--force');
+const local = assetsAt(LOCAL_ASSET_BASE);
+
+const downloads = [
+  [CDN_ASSETS.bundle, local.bundle],
+  ...Object.keys(CDN_ASSETS.poseModels).map(variant => [CDN_ASSETS.poseModels[variant], local.poseModels[variant]]),
+  ...Object.keys(CDN_ASSETS.handModels).map(variant => [CDN_ASSETS.handModels[variant], local.handModels[variant]]),
+  ...WASM_FILES.map(file => [`${CDN_ASSETS.wasm}/${file}`, `${local.wasm}/${file}`]),
+];
+
+async function exists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+console.log(`[fetch-models] MediaPipe ${MEDIAPIPE_VERSION} → ${LOCAL_ASSET_BASE}/`);
+for (const [url, path] of downloads) {
+  if (!force && await exists(path)) {
+    console.log(`[fetch-models] ${path} (kept)`);
+    continue;
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    console.error(`[fetch-models] ${url}: ${response.status} ${response.statusText}`);
+    process.exit(1);
+  }
+  const data = Buffer.from(await response.arrayBuffer());
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, data);
+  console.log(`[fetch-models] ${path} (${(data.length / 1024).toFixed(0)} KB)`);
+}
@@ -0,0 +1,118 @@
+/**
+ * Service worker — Vision Slice keeps working offline after the first load.
+ *
+ *   app files  precached on install; network first, so changes show up on
+ *              the next load, with the cache as the offline fallback
+ *   MediaPipe  bundle, WASM and models, self-hosted or from the CDN: cache
+ *              first — large and versioned. The page sends the ones it uses
+ *              ({ type: 'precache', urls }) to be fetched ahead of need.
+ */
+const APP_CACHE = 'vision-slice-app-v4';
+const MEDIAPIPE_CACHE = 'vision-slice-mediapipe-0.10.14';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'css/styles.css',
+  'js/assets.js',
+  'js/audioSystem.js',
+  'js/bladeGeometry.js',
+  'js/calibration.js',
+  'js/collisionSystem.js',
+  'js/combos.js',
+  'js/cursorInput.js',
+  'js/detectionScheduler.js',
+  'js/detectionWorker.js',
+  'js/difficulty.js',
+  'js/entityTypes.js',
+  'js/gameEngine.js',
+  'js/gameModes.js',
+  'js/gestures.js',
+  'js/handFilters.js',
+  'js/handInterpolator.js',
+  'js/handMotion.js',
+  'js/main.js',
+  'js/objectPool.js',
+  'js/particleSystem.js',
+  'js/pointerInput.js',
+  'js/poseDetection.js',
+  'js/powerUps.js',
+  'js/random.js',
+  'js/renderingSystem.js',
+  'js/sessionRecorder.js',
+  'js/techniques.js',
+  'js/trackingSetup.js',
+  'js/twoPlayer.js',
+  'js/waveSpawner.js',
+  'audios/clash.mp3',
+  'audios/idle.mp3',
+  'audios/ignition.mp3',
+  'audios/swing.mp3',
+  'difficulty/easy.json',
+  'difficulty/normal.json',
+  'difficulty/hard.json',
+];
+
+const MEDIAPIPE_ASSET = /\/vendor\/mediapipe\/|cdn\.jsdelivr\.net\/npm\/@mediapipe\/|storage\.googleapis\.com\/mediapipe-models\//;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(APP_CACHE).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches of older versions
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith('vision-slice-') && key !== APP_CACHE && key !== MEDIAPIPE_CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'precache') return;
+  event.waitUntil(caches.open(MEDIAPIPE_CACHE).then(cache => Promise.all(event.data.urls.map(async (url) => {
+    if (await cache.match(url)) return;
+    try {
+      await cache.add(url);
+    } catch (e) {
+      // Optional files (e.g. the WASM build this browser doesn't use) may be missing
+    }
+  }))));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' && request.method !== 'HEAD') return;
+  const url = new URL(request.url);
+  if (MEDIAPIPE_ASSET.test(url.href)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreMethod: true });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok && request.method === 'GET') {
+    const cache = await caches.open(MEDIAPIPE_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok && request.method === 'GET') {
+      const cache = await caches.open(APP_CACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreMethod: true, ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
@@ -0,0 +1,47 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { CDN_ASSETS, LOCAL_ASSET_BASE, MODEL_VARIANTS, WASM_FILES, assetsAt, assetFiles, resolveAssets } from '../js/assets.js';
+
+describe('resolveAssets', () => {
+  const local = assetsAt(LOCAL_ASSET_BASE);
+  const found = async () => true;
+  const missing = async () => false;
+
+  test('uses self-hosted assets when they are there, else the CDN', async () => {
+    assert.deepEqual(await resolveAssets(null, found), local);
+    assert.deepEqual(await resolveAssets(null, missing), CDN_ASSETS);
+  });
+
+  test('an explicit choice is not second-guessed', async () => {
+    assert.equal(await resolveAssets('cdn', found), CDN_ASSETS);
+    assert.deepEqual(await resolveAssets('local', missing), local);
+  });
+
+  test('any other setting is a base path', async () => {
+    const assets = await resolveAssets('https://example.com/mp/', missing);
+    assert.equal(assets.bundle, 'https://example.com/mp/vision_bundle.mjs');
+    assert.equal(assets.handModels.full, 'https://example.com/mp/models/hand_landmarker.task');
+  });
+});
+
+test('assetFiles lists the bundle, the models in use and the whole WASM fileset', () => {
+  const assets = assetsAt('vendor/mediapipe');
+  const files = assetFiles(assets, { pose: 'heavy', hand: 'full' });
+  assert.equal(files.length, 3 + WASM_FILES.length);
+  assert.ok(files.includes('vendor/mediapipe/models/pose_landmarker_heavy.task'));
+  assert.ok(files.includes('vendor/mediapipe/wasm/vision_wasm_internal.wasm'));
+  assert.ok(!assetFiles(assets, { pose: null, hand: 'full' }).some(file => file.includes('pose_landmarker')));
+});
+
+test('every model variant has a URL on the CDN', () => {
+  for (const variant of MODEL_VARIANTS.pose) assert.match(CDN_ASSETS.poseModels[variant], new RegExp(`pose_landmarker_${variant}\\.task$`));
+  for (const variant of MODEL_VARIANTS.hand) assert.ok(CDN_ASSETS.handModels[variant]);
+});
+
+test('the service worker precaches every script of the game', () => {
+  const sw = readFileSync(new URL('../sw.js', import.meta.url), 'utf8');
+  for (const file of readdirSync(new URL('../js/', import.meta.url))) {
+    assert.ok(sw.includes(`'js/${file}'`), `js/${file} missing from APP_SHELL`);
+  }
+});
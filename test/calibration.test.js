@@ -0,0 +1,145 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CalibrationSession, CALIBRATION_STEPS, measureBody, bodyArea, reachArea, toField } from '../js/calibration.js';
+import { PointerInput } from '../js/pointerInput.js';
+import { makeHand } from './harness.js';
+
+const DT = 1 / 30;
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+/** Mirrored pose of a player standing with shoulders at y = 0.5 around x = 0.5 */
+function pose({ width = 0.2, x = 0.5, y = 0.5 } = {}) {
+  const lm = Array.from({ length: 33 }, () => ({ x, y, z: 0, visibility: 0.1 }));
+  const at = (i, px, py) => { lm[i] = { x: px, y: py, z: 0, visibility: 0.9 }; };
+  at(11, x - width / 2, y);
+  at(12, x + width / 2, y);
+  at(13, x - width / 2, y + 0.12);
+  at(14, x + width / 2, y + 0.12);
+  at(15, x - width / 2, y + 0.24);
+  at(16, x + width / 2, y + 0.24);
+  return lm;
+}
+
+function hands(left = null, right = null) {
+  return {
+    left: left ? makeHand({ ...left, visible: true }) : makeHand(),
+    right: right ? makeHand({ ...right, visible: true }) : makeHand(),
+  };
+}
+
+describe('body measurements', () => {
+  test('shoulder width and arm length from the pose', () => {
+    const body = measureBody(pose());
+    assert.ok(close(body.shoulderWidth, 0.2));
+    assert.ok(close(body.armLength, 0.24));
+    assert.deepEqual(body.center, { x: 0.5, y: 0.5 });
+  });
+
+  test('nothing without both shoulders in view', () => {
+    const lm = pose();
+    lm[12].visibility = 0.2;
+    assert.equal(measureBody(lm), null);
+    assert.equal(measureBody(null), null);
+  });
+
+  test('the body estimate reaches an arm\'s length past the shoulders', () => {
+    const area = bodyArea(measureBody(pose()));
+    assert.ok(close(area.x0, 0.5 - 0.1 - 0.24));
+    assert.ok(close(area.y0, 0.5 - 0.24));
+    assert.ok(close(area.y1, 0.5 + 0.12));
+  });
+});
+
+describe('reach area', () => {
+  test('spans the hand samples, ignoring a stray glitch', () => {
+    const samples = [];
+    for (let i = 0; i <= 100; i++) samples.push({ x: 0.3 + 0.4 * (i / 100), y: 0.2 + 0.5 * (i / 100) });
+    samples.push({ x: 0.99, y: 0.99 });
+    const area = reachArea(samples);
+    assert.ok(area.x0 > 0.25 && area.x0 < 0.32);
+    assert.ok(area.x1 > 0.68 && area.x1 < 0.75);
+    assert.ok(area.y1 < 0.8);
+  });
+
+  test('never narrower than the minimum, and kept inside the camera frame', () => {
+    const area = reachArea(Array.from({ length: 30 }, () => ({ x: 0.98, y: 0.5 })));
+    assert.ok(close(area.x1 - area.x0, 0.3));
+    assert.equal(area.x1, 1);
+  });
+
+  test('the reach area fills the field', () => {
+    const area = { x0: 0.25, y0: 0.1, x1: 0.75, y1: 0.6 };
+    assert.deepEqual(toField({ x: 0.25, y: 0.1 }, area), { x: 0, y: 0 });
+    assert.deepEqual(toField({ x: 0.75, y: 0.6, z: 1 }, area), { x: 1, y: 1, z: 1 });
+    assert.ok(close(toField({ x: 0.8, y: 0.35 }, area).x, 1.1), 'past the edge stays past the edge');
+  });
+});
+
+describe('CalibrationSession', () => {
+  /** Feed `frames` frames of `make(i)` → [pose, hands]; returns the time after */
+  function feed(session, frames, make, start = 0) {
+    for (let i = 0; i < frames; i++) session.update(...make(i), start + i * DT);
+    return start + frames * DT;
+  }
+
+  test('walks the steps and measures the player', () => {
+    const session = new CalibrationSession();
+    const steps = [];
+    session.onStep = step => steps.push(step.id);
+
+    let t = feed(session, 40, () => [pose(), hands()]);
+    assert.equal(session.step.id, 'reach');
+
+    // Sweep the hands around a box from (0.3, 0.2) to (0.7, 0.7)
+    t = feed(session, 130, i => {
+      const k = (i % 30) / 29;
+      return [pose(), hands({ x: 0.3 + 0.2 * k, y: 0.2 + 0.5 * k }, { x: 0.5 + 0.2 * k, y: 0.7 - 0.5 * k })];
+    }, t);
+    assert.equal(session.step.id, 'hand');
+
+    // Left hand up for a moment, then the right one for good
+    t = feed(session, 5, () => [pose(), hands({ x: 0.4, y: 0.2 })], t);
+    feed(session, 20, () => [pose(), hands(null, { x: 0.6, y: 0.2 })], t);
+
+    assert.deepEqual(steps, CALIBRATION_STEPS.slice(1).map(s => s.id));
+    const { result } = session;
+    assert.equal(result.handedness, 'right');
+    assert.ok(close(result.shoulderWidth, 0.2));
+    assert.ok(result.area.x0 > 0.25 && result.area.x0 < 0.31);
+    assert.ok(result.area.y0 > 0.15 && result.area.y0 < 0.21);
+    assert.ok(result.area.y1 > 0.69 && result.area.y1 < 0.75);
+  });
+
+  test('the body step waits for the shoulders', () => {
+    const session = new CalibrationSession();
+    feed(session, 60, () => [null, hands()]);
+    assert.equal(session.step.id, 'body');
+    assert.equal(session.progress, 0);
+  });
+
+  test('both hands up is not a choice', () => {
+    const session = new CalibrationSession();
+    session.stepIndex = CALIBRATION_STEPS.findIndex(s => s.id === 'hand');
+    session.bodies.push(measureBody(pose()));
+    feed(session, 60, () => [pose(), hands({ x: 0.4, y: 0.2 }, { x: 0.6, y: 0.2 })]);
+    assert.equal(session.result, null);
+  });
+});
+
+describe('handedness', () => {
+  test('a left-handed player\'s first pointer is the left hand', () => {
+    const listeners = {};
+    const input = new PointerInput();
+    input.primaryHand = 'left';
+    input.attach({
+      addEventListener(type, fn) { listeners[type] = fn; },
+      removeEventListener() {},
+      getBoundingClientRect() { return { left: 0, top: 0, width: 100, height: 100 }; },
+    });
+    listeners.pointerdown({ pointerId: 1, pointerType: 'touch', clientX: 50, clientY: 50, preventDefault() {} });
+    listeners.pointerdown({ pointerId: 2, pointerType: 'touch', clientX: 20, clientY: 50, preventDefault() {} });
+    input.detect(0);
+    assert.equal(input.getHands().left.x, 0.5);
+    assert.equal(input.getHands().right.x, 0.2);
+  });
+});
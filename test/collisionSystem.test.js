@@ -0,0 +1,212 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CollisionSystem } from '../js/collisionSystem.js';
+import { makeHand } from './harness.js';
+
+describe('_lineCircleIntersect', () => {
+  const cs = new CollisionSystem();
+  const hit = (...args) => cs._lineCircleIntersect(...args);
+
+  test('segment crossing the circle', () => {
+    assert.ok(hit(0, 0.5, 1, 0.5, 0.5, 0.5, 0.1));
+  });
+
+  test('segment that misses entirely', () => {
+    assert.ok(!hit(0, 0, 1, 0, 0.5, 0.5, 0.1));
+  });
+
+  test('segment ending just short of the circle', () => {
+    assert.ok(!hit(0, 0.5, 0.35, 0.5, 0.5, 0.5, 0.1));
+  });
+
+  test('segment starting just past the circle', () => {
+    assert.ok(!hit(0.65, 0.5, 1, 0.5, 0.5, 0.5, 0.1));
+  });
+
+  test('segment ending inside the circle', () => {
+    assert.ok(hit(0, 0.5, 0.5, 0.5, 0.5, 0.5, 0.1));
+  });
+
+  test('segment starting inside the circle', () => {
+    assert.ok(hit(0.5, 0.5, 1, 0.5, 0.5, 0.5, 0.1));
+  });
+
+  test('segment entirely inside the circle', () => {
+    assert.ok(hit(0.48, 0.5, 0.52, 0.5, 0.5, 0.5, 0.1));
+  });
+
+  test('tangent segment touches', () => {
+    assert.ok(hit(0, 0.6, 1, 0.6, 0.5, 0.5, 0.1));
+  });
+
+  test('zero-length segment inside and outside', () => {
+    assert.ok(hit(0.5, 0.55, 0.5, 0.55, 0.5, 0.5, 0.1));
+    assert.ok(!hit(0.9, 0.9, 0.9, 0.9, 0.5, 0.5, 0.1));
+  });
+
+  test('direction does not matter', () => {
+    assert.ok(hit(1, 0.5, 0, 0.5, 0.5, 0.5, 0.1));
+    assert.ok(!hit(1, 0, 0, 0, 0.5, 0.5, 0.1));
+  });
+
+  test('diagonal segment passing near but outside', () => {
+    // Closest approach of y = x to (0.5, 0.7) is ~0.141
+    assert.ok(!hit(0, 0, 1, 1, 0.5, 0.7, 0.1));
+    assert.ok(hit(0, 0, 1, 1, 0.5, 0.7, 0.15));
+  });
+});
+
+describe('checkCollision', () => {
+  const cs = new CollisionSystem();
+  const apple = { id: 1, x: 0.5, y: 0.5, radius: 0.03 };
+
+  test('fast visible hand over the object hits', () => {
+    assert.ok(cs.checkCollision(makeHand({ x: 0.52, y: 0.5, vx: 2, visible: true }), apple));
+  });
+
+  test('hidden or slow hands never hit', () => {
+    assert.ok(!cs.checkCollision(makeHand({ x: 0.5, y: 0.5, vx: 2 }), apple));
+    assert.ok(!cs.checkCollision(makeHand({ x: 0.5, y: 0.5, vx: 0.1, visible: true }), apple));
+  });
+
+  test('far hand misses', () => {
+    assert.ok(!cs.checkCollision(makeHand({ x: 0.9, y: 0.9, vx: 2, visible: true }), apple));
+  });
+});
+
+describe('checkAll', () => {
+  function setup() {
+    let now = 0;
+    const cs = new CollisionSystem({ clock: () => now });
+    return { cs, advance: (ms) => { now += ms; } };
+  }
+  const blade = (x, y) => ({
+    left: makeHand(),
+    right: makeHand({ x, y, vx: 3, visible: true }),
+  });
+
+  test('reports the hand and side that hit', () => {
+    const { cs } = setup();
+    const apple = { id: 1, x: 0.5, y: 0.5, radius: 0.03 };
+    const hits = cs.checkAll(blade(0.5, 0.5), [apple]);
+    assert.equal(hits.length, 1);
+    assert.equal(hits[0].object, apple);
+    assert.equal(hits[0].side, 'right');
+  });
+
+  test('same object cannot be hit again within the cooldown', () => {
+    const { cs, advance } = setup();
+    const apple = { id: 1, x: 0.5, y: 0.5, radius: 0.03 };
+    assert.equal(cs.checkAll(blade(0.5, 0.5), [apple]).length, 1);
+    advance(cs.hitCooldown - 1);
+    assert.equal(cs.checkAll(blade(0.5, 0.5), [apple]).length, 0);
+    advance(2);
+    assert.equal(cs.checkAll(blade(0.5, 0.5), [apple]).length, 1);
+  });
+
+  test('reset() clears cooldowns', () => {
+    const { cs } = setup();
+    const apple = { id: 1, x: 0.5, y: 0.5, radius: 0.03 };
+    cs.checkAll(blade(0.5, 0.5), [apple]);
+    cs.reset();
+    assert.equal(cs.checkAll(blade(0.5, 0.5), [apple]).length, 1);
+  });
+
+  test('fading objects are skipped', () => {
+    const { cs } = setup();
+    const apple = { id: 1, x: 0.5, y: 0.5, radius: 0.03, fading: true };
+    assert.equal(cs.checkAll(blade(0.5, 0.5), [apple]).length, 0);
+  });
+});
+
+describe('blade collision', () => {
+  const blade = (baseX, baseY, tipX, tipY) => ({ baseX, baseY, tipX, tipY, halfWidth: 0.01 });
+  const bladeHand = (segment) => makeHand({
+    x: (segment.baseX + segment.tipX) / 2,
+    y: (segment.baseY + segment.tipY) / 2,
+    vx: 3,
+    visible: true,
+    blade: segment,
+  });
+
+  test('the extended blade tip slices beyond the palm circle', () => {
+    const cs = new CollisionSystem();
+    // Blade points straight up; fruit sits near the tip, far from the palm
+    const hand = bladeHand(blade(0.5, 0.8, 0.5, 0.4));
+    const fruit = { id: 1, x: 0.5, y: 0.42, radius: 0.03 };
+    assert.ok(cs.checkCollision(hand, fruit));
+  });
+
+  test('objects beside the blade are missed', () => {
+    const cs = new CollisionSystem();
+    const hand = bladeHand(blade(0.5, 0.8, 0.5, 0.4));
+    assert.ok(!cs.checkCollision(hand, { id: 1, x: 0.6, y: 0.5, radius: 0.03 }));
+    assert.ok(!cs.checkCollision(hand, { id: 2, x: 0.5, y: 0.3, radius: 0.03 }));
+  });
+
+  test('blade swept from the previous sample hits objects it passed over', () => {
+    const cs = new CollisionSystem();
+    const hand = bladeHand(blade(0.8, 0.8, 0.8, 0.4));
+    const fruit = { id: 1, x: 0.5, y: 0.6, radius: 0.03 };
+    assert.ok(!cs.checkCollision(hand, fruit));
+
+    hand.t = 1050;
+    hand.prev = { x: 0.2, y: 0.6, t: 1000, blade: blade(0.2, 0.8, 0.2, 0.4) };
+    assert.ok(cs.checkCollision(hand, fruit));
+    assert.ok(!cs.checkCollision(hand, fruit, false));
+  });
+
+  test('swept tip arc hits objects only the tip passed over', () => {
+    const cs = new CollisionSystem();
+    // Wrist stays put, blade rotates from pointing left to pointing right
+    const hand = bladeHand(blade(0.5, 0.8, 0.9, 0.5));
+    hand.t = 1050;
+    hand.prev = { x: 0.3, y: 0.65, t: 1000, blade: blade(0.5, 0.8, 0.1, 0.5) };
+    assert.ok(cs.checkCollision(hand, { id: 1, x: 0.5, y: 0.52, radius: 0.03 }));
+    assert.ok(!cs.checkCollision(hand, { id: 2, x: 0.5, y: 0.2, radius: 0.03 }));
+  });
+});
+
+describe('swept collision from tracked samples', () => {
+  // Palm-only hand (pose wrist fallback) that moved from prev to (x, y)
+  const sample = (x, y, t, prev) => makeHand({ x, y, vx: 5, visible: true, t, prev });
+
+  test('a fast swipe at 20 FPS detection does not tunnel through fruit', () => {
+    const cs = new CollisionSystem();
+    const fruit = { id: 1, x: 0.5, y: 0.5, radius: 0.03 };
+    // 50 ms between samples, hand jumps 0.5 — both samples far from the fruit
+    const hand = sample(0.75, 0.5, 1050, { x: 0.25, y: 0.5, t: 1000, blade: null });
+    assert.ok(cs.checkCollision(hand, fruit));
+  });
+
+  test('object velocity over the sample interval is accounted for', () => {
+    const cs = new CollisionSystem();
+    // Hand swept y = 0.5 over 50 ms. The fruit is now at y = 0.6 falling at
+    // 2/s, so it was at y = 0.5 when the swipe started — a hit.
+    const hand = sample(0.75, 0.5, 1050, { x: 0.25, y: 0.5, t: 1000, blade: null });
+    assert.ok(cs.checkCollision(hand, { id: 1, x: 0.5, y: 0.6, vx: 0, vy: 2, radius: 0.03 }));
+    // Same spot but rising: it was at y = 0.7 then — a miss.
+    assert.ok(!cs.checkCollision(hand, { id: 2, x: 0.5, y: 0.6, vx: 0, vy: -2, radius: 0.03 }));
+  });
+
+  test('samples further apart than maxSweepGap are not connected', () => {
+    const cs = new CollisionSystem();
+    const fruit = { id: 1, x: 0.5, y: 0.5, radius: 0.03 };
+    const hand = sample(0.75, 0.5, 2000, { x: 0.25, y: 0.5, t: 1000, blade: null });
+    assert.ok(!cs.checkCollision(hand, fruit));
+  });
+
+  test('checkAll sweeps each new sample once', () => {
+    const cs = new CollisionSystem({ clock: () => 0 });
+    const fruit = { id: 1, x: 0.5, y: 0.5, radius: 0.03 };
+    const hand = sample(0.75, 0.5, 1050, { x: 0.25, y: 0.5, t: 1000, blade: null });
+    const frame = { left: makeHand(), right: hand };
+
+    cs.lastSampleT.right = 1050; // already swept last frame
+    assert.equal(cs.checkAll(frame, [fruit]).length, 0);
+
+    cs.reset();
+    assert.equal(cs.checkAll(frame, [fruit]).length, 1);
+    assert.equal(cs.lastSampleT.right, 1050);
+  });
+});
@@ -0,0 +1,172 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { COMBO_RULES, COMBO_TIERS, SCORE_SOURCES, comboTier } from '../js/combos.js';
+import {
+  FRAME_DT, createEngine, disableSpawning, placeObject, run, slashAt, swipe, after,
+} from './harness.js';
+
+const row = (engine, xs) => xs.map(x => placeObject(engine, { x, y: 0.5 }));
+const breakdownTotal = (engine) => SCORE_SOURCES.reduce((sum, s) => sum + engine.scoreBreakdown[s], 0);
+
+describe('combo tiers', () => {
+  test('tiers are named from their threshold up to the next', () => {
+    assert.equal(comboTier(0), null);
+    assert.equal(comboTier(COMBO_TIERS[0].min - 1), null);
+    assert.equal(comboTier(COMBO_TIERS[0].min), COMBO_TIERS[0]);
+    assert.equal(comboTier(COMBO_TIERS[1].min - 1), COMBO_TIERS[0]);
+    assert.equal(comboTier(999), COMBO_TIERS[COMBO_TIERS.length - 1]);
+  });
+
+  test('onComboTier fires once as each tier is reached', () => {
+    const engine = createEngine({ spawning: false });
+    const reached = [];
+    engine.onComboTier = (tier, combo) => reached.push([tier.name, combo]);
+    for (let i = 0; i < COMBO_TIERS[1].min; i++) {
+      const apple = placeObject(engine, { x: 0.1 + i * 0.15, y: 0.5 });
+      engine.update(FRAME_DT, slashAt(apple));
+      run(engine, 0.1);
+    }
+    assert.deepEqual(reached, [
+      [COMBO_TIERS[0].name, COMBO_TIERS[0].min],
+      [COMBO_TIERS[1].name, COMBO_TIERS[1].min],
+    ]);
+    assert.equal(engine.comboTier, COMBO_TIERS[1]);
+  });
+});
+
+describe('multi-slice strokes', () => {
+  test('one stroke through three fruit pays a bonus when it ends', () => {
+    const engine = createEngine({ spawning: false });
+    row(engine, [0.3, 0.5, 0.7]);
+    const bonuses = [];
+    engine.onMultiSlice = (count, points) => bonuses.push([count, points]);
+
+    run(engine, 0.15, { right: swipe({ x: 0.1, y: 0.5 }, { x: 0.9, y: 0.5 }, 0.2) });
+    assert.equal(bonuses.length, 0, 'no bonus while the stroke is still going');
+
+    run(engine, 0.3);
+    const expected = 3 * COMBO_RULES.multiSlicePoints;
+    assert.deepEqual(bonuses, [[3, expected]]);
+    assert.equal(engine.scoreBreakdown.multiSlice, expected);
+    assert.equal(engine.stats.multiSlices, 1);
+  });
+
+  test('the same fruit cut in separate strokes earns nothing', () => {
+    const engine = createEngine({ spawning: false });
+    let bonuses = 0;
+    engine.onMultiSlice = () => bonuses++;
+    for (const x of [0.3, 0.5, 0.7]) {
+      const apple = placeObject(engine, { x, y: 0.5 });
+      engine.update(FRAME_DT, slashAt(apple));
+      run(engine, 0.1);
+    }
+    assert.equal(engine.stats.fruitsSliced, 3);
+    assert.equal(bonuses, 0);
+  });
+
+  test('strokes are counted per hand', () => {
+    const engine = createEngine({ spawning: false });
+    row(engine, [0.2, 0.35, 0.65, 0.8]);
+    let bonuses = 0;
+    engine.onMultiSlice = () => bonuses++;
+    run(engine, 0.5, {
+      left: after(0.05, swipe({ x: 0.1, y: 0.5 }, { x: 0.45, y: 0.5 }, 0.15)),
+      right: after(0.05, swipe({ x: 0.9, y: 0.5 }, { x: 0.55, y: 0.5 }, 0.15)),
+    });
+    assert.equal(engine.stats.fruitsSliced, 4);
+    assert.equal(bonuses, 0);
+  });
+
+  test('bombs in the stroke do not count towards it', () => {
+    const engine = createEngine({ spawning: false });
+    engine.reset({ mode: 'arcade' });
+    placeObject(engine, { x: 0.3, y: 0.5 });
+    placeObject(engine, { type: 'bomb', x: 0.5, y: 0.5 });
+    placeObject(engine, { x: 0.7, y: 0.2 });
+    disableSpawning(engine);
+    let bonuses = 0;
+    engine.onMultiSlice = () => bonuses++;
+    run(engine, 0.5, { right: swipe({ x: 0.1, y: 0.5 }, { x: 0.9, y: 0.5 }, 0.2) });
+    assert.equal(engine.stats.bombsHit, 1);
+    assert.equal(bonuses, 0);
+  });
+});
+
+describe('critical hits', () => {
+  test('a critical multiplies the slice and is booked separately', () => {
+    const engine = createEngine({ spawning: false, criticals: true });
+    engine.criticalChance = 1;
+    const crits = [];
+    engine.onCritical = (obj, points) => crits.push(points);
+
+    const apple = placeObject(engine, { x: 0.5, y: 0.5 });
+    engine.update(FRAME_DT, slashAt(apple));
+    const expected = 10 * COMBO_RULES.criticalMultiplier;
+    assert.equal(engine.score, expected);
+    assert.deepEqual(crits, [expected]);
+    assert.equal(engine.scoreBreakdown.slices, 10);
+    assert.equal(engine.scoreBreakdown.critical, expected - 10);
+    assert.equal(engine.stats.criticals, 1);
+  });
+
+  test('criticals are rare at the default chance', () => {
+    const engine = createEngine({ spawning: false, criticals: true });
+    assert.equal(engine.criticalChance, COMBO_RULES.criticalChance);
+    for (let i = 0; i < 200; i++) {
+      const apple = placeObject(engine, { x: 0.5, y: 0.5 });
+      engine.update(FRAME_DT, slashAt(apple));
+      run(engine, 0.2);
+    }
+    assert.ok(engine.stats.criticals > 0);
+    assert.ok(engine.stats.criticals < 40);
+  });
+});
+
+describe('score breakdown', () => {
+  test('combo and Double Points shares are split out of a slice', () => {
+    const engine = createEngine({ spawning: false });
+    engine.activePowerUps.double = 10;
+    for (let i = 0; i < 2; i++) {
+      const apple = placeObject(engine, { x: 0.3 + i * 0.4, y: 0.5 });
+      engine.update(FRAME_DT, slashAt(apple));
+      run(engine, 0.1);
+    }
+    // 10×1×2 + 10×2×2
+    assert.equal(engine.score, 60);
+    assert.deepEqual(
+      { slices: 20, combo: 10, powerUps: 30 },
+      {
+        slices: engine.scoreBreakdown.slices,
+        combo: engine.scoreBreakdown.combo,
+        powerUps: engine.scoreBreakdown.powerUps,
+      },
+    );
+  });
+
+  test('every point of a busy run is accounted for', () => {
+    const engine = createEngine({ seed: 11, criticals: true });
+    engine.reset({ mode: 'arcade' });
+    const sweep = (t) => {
+      const phase = (t % 0.6) / 0.6;
+      return swipe({ x: 0.05, y: 0.2 + phase * 0.6 }, { x: 0.95, y: 0.2 + phase * 0.6 }, 0.3)(t % 0.6);
+    };
+    run(engine, 60, { right: sweep, left: after(0.3, sweep) });
+    assert.ok(engine.stats.fruitsSliced > 20);
+    assert.ok(engine.scoreBreakdown.combo > 0);
+    assert.equal(breakdownTotal(engine), engine.score);
+  });
+
+  test('bomb penalties are booked as negative', () => {
+    const engine = createEngine({ spawning: false });
+    engine.reset({ mode: 'arcade' });
+    disableSpawning(engine);
+    const apple = placeObject(engine, { x: 0.5, y: 0.5 });
+    engine.update(FRAME_DT, slashAt(apple));
+    const bomb = placeObject(engine, { type: 'bomb', x: 0.5, y: 0.5 });
+    run(engine, 0.2);
+    engine.update(FRAME_DT, slashAt(bomb));
+    assert.equal(engine.score, 0);
+    assert.equal(engine.scoreBreakdown.bombs, -10);
+    assert.equal(breakdownTotal(engine), 0);
+  });
+});
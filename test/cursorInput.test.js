@@ -0,0 +1,150 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GamepadInput, KeyboardInput, KEY_BINDINGS } from '../js/cursorInput.js';
+import { MIN_SLICE_SPEED } from '../js/collisionSystem.js';
+import { FRAME_DT, createEngine, placeObject } from './harness.js';
+
+const FRAME_MS = FRAME_DT * 1000;
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+function fakePad({ axes = [0, 0, 0, 0], pressed = [] } = {}) {
+  const buttons = Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i), value: pressed.includes(i) ? 1 : 0 }));
+  return { connected: true, axes, buttons };
+}
+
+function gamepad(pads, settings = {}) {
+  const state = { pads };
+  const input = new GamepadInput({ ...settings, getGamepads: () => state.pads });
+  return { input, state };
+}
+
+function keyboard(settings = {}) {
+  const listeners = {};
+  const input = new KeyboardInput(settings);
+  input.attach({
+    addEventListener(type, fn) { listeners[type] = fn; },
+    removeEventListener(type) { delete listeners[type]; },
+  });
+  const key = (type, code) => listeners[type]({ code, preventDefault() {} });
+  return { input, down: code => key('keydown', code), up: code => key('keyup', code) };
+}
+
+/** Step the input `frames` times from `start` ms; returns the next timestamp */
+function step(input, frames, start = 0) {
+  for (let i = 0; i <= frames; i++) input.detect(start + i * FRAME_MS);
+  return start + (frames + 1) * FRAME_MS;
+}
+
+describe('KeyboardInput', () => {
+  test('held keys move a cursor at cursorSpeed', () => {
+    const { input, down } = keyboard({ cursorSpeed: 1 });
+    input.detect(0);
+    const startX = input.getHands().left.x;
+    down(KEY_BINDINGS[0].right);
+    step(input, 30, FRAME_MS);
+    const hand = input.getHands().left;
+    assert.ok(close(hand.x - startX, 31 * FRAME_DT));
+    assert.ok(close(hand.vx, 1));
+    assert.ok(hand.visible);
+  });
+
+  test('diagonals are no faster than straight lines', () => {
+    const { input, down } = keyboard({ cursorSpeed: 1 });
+    down(KEY_BINDINGS[1].up);
+    down(KEY_BINDINGS[1].right);
+    step(input, 10);
+    assert.ok(close(input.getHands().right.speed, 1));
+  });
+
+  test('the blade key ignites that hand only', () => {
+    const { input, down, up } = keyboard();
+    down(KEY_BINDINGS[1].blade[0]);
+    input.detect(0);
+    assert.deepEqual(input.getHandOpen(), { left: false, right: true });
+    up(KEY_BINDINGS[1].blade[0]);
+    input.detect(FRAME_MS);
+    assert.deepEqual(input.getHandOpen(), { left: false, right: false });
+    assert.equal(input.getPrevHandOpen().right, true);
+  });
+
+  test('in two-player mode each key group is one player\'s hand, kept to their half', async () => {
+    const { input, down } = keyboard({ cursorSpeed: 3 });
+    await input.setPlayerCount(2);
+    down(KEY_BINDINGS[0].right);
+    down(KEY_BINDINGS[1].left);
+    step(input, 60);
+    assert.equal(input.getHands(0).right.x, 0.5);
+    assert.equal(input.getHands(1).right.x, 0.5);
+    assert.equal(input.getHands(0).left.visible, false);
+  });
+});
+
+describe('GamepadInput', () => {
+  test('sticks steer the cursors past a deadzone, triggers ignite the blades', () => {
+    const { input, state } = gamepad([fakePad({ axes: [0.1, 0, 1, 0], pressed: [7] })], { cursorSpeed: 1 });
+    input.detect(0);
+    const start = { left: input.getHands().left.x, right: input.getHands().right.x };
+    step(input, 10, FRAME_MS);
+    assert.equal(input.getHands().left.x, start.left, 'inside the deadzone');
+    assert.ok(input.getHands().right.x > start.right);
+    assert.deepEqual(input.getHandOpen(), { left: false, right: true });
+
+    state.pads = [fakePad({ pressed: [4] })];
+    input.detect(20 * FRAME_MS);
+    assert.deepEqual(input.getHandOpen(), { left: true, right: false }, 'bumpers work too');
+  });
+
+  test('no pad, no hands', () => {
+    const { input } = gamepad([null]);
+    input.detect(0);
+    assert.equal(input.getHands().left.visible, false);
+    assert.equal(input.getHands().right.visible, false);
+  });
+
+  test('the second pad is player 2 only in two-player mode', async () => {
+    const { input } = gamepad([fakePad(), fakePad()]);
+    input.detect(0);
+    assert.equal(input.getHands(1).right.visible, false);
+    await input.setPlayerCount(2);
+    input.detect(FRAME_MS);
+    assert.equal(input.getHands(1).right.visible, true);
+    assert.ok(input.getHands(1).right.x > 0.5);
+  });
+
+  test('Start reports once per press', () => {
+    const { input, state } = gamepad([fakePad({ pressed: [9] })]);
+    assert.equal(input.startPressed(), true);
+    assert.equal(input.startPressed(), false);
+    state.pads = [fakePad()];
+    assert.equal(input.startPressed(), false);
+    state.pads = [fakePad({ pressed: [9] })];
+    assert.equal(input.startPressed(), true);
+  });
+});
+
+describe('slice sensitivity', () => {
+  /** Drag a slow cursor with its blade out across a fruit; did it cut? */
+  function slowSlice(sliceSensitivity) {
+    const { input } = gamepad([fakePad({ axes: [0, 0, 1, 0], pressed: [7] })], { cursorSpeed: 0.25, sliceSensitivity });
+    const engine = createEngine({ spawning: false });
+    engine.collisionSystem.minSliceSpeed = MIN_SLICE_SPEED / input.sliceSensitivity;
+    input.detect(0);
+    const start = input.getHands().right;
+    const apple = placeObject(engine, { x: start.x + 0.05, y: start.y });
+    for (let i = 1; i <= 40; i++) {
+      input.detect(i * FRAME_MS);
+      const hands = input.getHands();
+      const open = input.getHandOpen();
+      engine.update(FRAME_DT, {
+        left: { ...hands.left, visible: hands.left.visible && open.left },
+        right: { ...hands.right, visible: hands.right.visible && open.right },
+      });
+    }
+    return apple.fading;
+  }
+
+  test('a slow cursor only cuts with the sensitivity raised', () => {
+    assert.ok(!slowSlice(1));
+    assert.ok(slowSlice(2));
+  });
+});
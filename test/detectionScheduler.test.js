@@ -0,0 +1,220 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { DetectionScheduler, QUALITY_LEVELS } from '../js/detectionScheduler.js';
+import { PoseDetection } from '../js/poseDetection.js';
+import { CDN_ASSETS } from '../js/assets.js';
+
+const FRAME = 1000 / 60;
+
+/**
+ * Run `seconds` of display frames `frameMs` apart, detecting whenever the
+ * scheduler plans to at `detectMs` of inference. Returns the plans made.
+ */
+function run(scheduler, seconds, { frameMs = FRAME, detectMs = 5, allHandsVisible = false, start = 0 } = {}) {
+  const plans = [];
+  for (let t = start; t < start + seconds * 1000; t += frameMs) {
+    scheduler.frame(t);
+    const plan = scheduler.plan(t, allHandsVisible);
+    if (plan) {
+      plans.push(plan);
+      scheduler.record({ poseMs: plan.pose ? detectMs / 2 : null, handMs: detectMs / 2 });
+    }
+  }
+  return plans;
+}
+
+describe('DetectionScheduler', () => {
+  test('detects hands at the target rate, not every display frame', () => {
+    const scheduler = new DetectionScheduler();
+    const plans = run(scheduler, 2);
+    assert.ok(plans.length >= 58 && plans.length <= 62, `${plans.length} detections in 2 s`);
+    assert.equal(scheduler.rate, 30);
+  });
+
+  test('pose runs on every detection until all hands are in view, then one in three', () => {
+    const scheduler = new DetectionScheduler();
+    assert.ok(run(scheduler, 1).every(plan => plan.pose));
+    const thinned = run(scheduler, 1, { allHandsVisible: true, start: 1000 });
+    assert.ok(Math.abs(thinned.filter(plan => plan.pose).length - thinned.length / 3) <= 1);
+  });
+
+  test('a machine that keeps up stays at full quality', () => {
+    const scheduler = new DetectionScheduler();
+    run(scheduler, 10);
+    assert.equal(scheduler.level, 0);
+    assert.deepEqual(scheduler.settings, QUALITY_LEVELS[0]);
+  });
+
+  test('slow frames step the input size down, then the hand rate', () => {
+    const scheduler = new DetectionScheduler();
+    run(scheduler, 1.5, { frameMs: 40 });
+    assert.equal(scheduler.level, 1, 'one step after a second over budget');
+    assert.equal(scheduler.settings.scale, 0.75);
+    run(scheduler, 10, { frameMs: 40, start: 1500 });
+    assert.equal(scheduler.level, QUALITY_LEVELS.length - 1);
+    assert.ok(scheduler.settings.handRate < QUALITY_LEVELS[0].handRate);
+  });
+
+  test('inference slower than the detection interval also steps down', () => {
+    const scheduler = new DetectionScheduler();
+    run(scheduler, 1.5, { detectMs: 45 });
+    assert.ok(scheduler.level > 0);
+  });
+
+  test('steps back up once there is headroom, more reluctantly each time', () => {
+    const scheduler = new DetectionScheduler();
+    let t = 0;
+    run(scheduler, 1.5, { frameMs: 40 });
+    t += 1500;
+    const upDelay = scheduler.upDelay;
+    assert.ok(upDelay > 3000, 'a step down makes the next step up wait longer');
+    run(scheduler, upDelay / 1000 - 0.5, { start: t });
+    assert.equal(scheduler.level, 1, 'not yet');
+    t += upDelay - 500;
+    run(scheduler, 1, { start: t });
+    assert.equal(scheduler.level, 0);
+  });
+
+  test('a long pause is not a slow frame', () => {
+    const scheduler = new DetectionScheduler();
+    run(scheduler, 1);
+    scheduler.frame(5000);
+    run(scheduler, 2, { start: 5000 + FRAME });
+    assert.equal(scheduler.level, 0);
+  });
+
+  test('the overlay text', () => {
+    const scheduler = new DetectionScheduler();
+    run(scheduler, 1.1, { detectMs: 12 });
+    assert.equal(scheduler.describe(), 'hands 30/30 Hz • pose all • 100% • 12 ms');
+    assert.equal(scheduler.describe({ pose: false }), 'hands 30/30 Hz • 100% • 12 ms');
+    scheduler.plan(2000, true);
+    assert.match(scheduler.describe(), /pose 1\/3/);
+  });
+});
+
+describe('PoseDetection on the main thread', () => {
+  test('runs the landmarkers as scheduled and tracks hands every frame', () => {
+    const calls = { pose: 0, hands: 0 };
+    const hand = x => Array.from({ length: 21 }, () => ({ x, y: 0.5, z: 0 }));
+    const detection = new PoseDetection({ worker: false });
+    detection.videoElement = { readyState: 4 };
+    detection.poseLandmarker = { detectForVideo: () => { calls.pose++; return { landmarks: [] }; } };
+    detection.handLandmarker = {
+      detectForVideo: () => {
+        calls.hands++;
+        return { landmarks: [hand(0.3), hand(0.7)], handednesses: [[{ categoryName: 'Left' }], [{ categoryName: 'Right' }]] };
+      },
+    };
+    detection.isReady = true;
+
+    let tracked = 0;
+    for (let frame = 0; frame < 60; frame++) {
+      detection.detect(1000 + frame * FRAME);
+      if (detection.getHands().left.visible && detection.getHands().right.visible) tracked++;
+    }
+    assert.ok(calls.hands >= 29 && calls.hands <= 31, `${calls.hands} hand detections in 1 s`);
+    assert.ok(calls.pose <= 12, 'both hands in view: the pose runs one detection in three');
+    assert.equal(tracked, 60);
+  });
+
+  test('loads the models here when the worker can\'t even be created', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const warnings = t.mock.method(console, 'warn', () => {});
+    const vision = `export const FilesetResolver = { forVisionTasks: async () => ({}) };
+      export const PoseLandmarker = { createFromOptions: async () => ({}) };
+      export const HandLandmarker = { createFromOptions: async () => ({}) };`;
+    const Worker = globalThis.Worker;
+    globalThis.Worker = class { constructor() { throw new Error('workers blocked'); } };
+    try {
+      const detection = new PoseDetection();
+      assert.ok(detection.useWorker);
+      detection.assets = { ...CDN_ASSETS, bundle: `data:text/javascript,${encodeURIComponent(vision)}` };
+      await detection.init();
+      assert.equal(detection.worker, null);
+      assert.equal(detection.useWorker, false);
+      assert.ok(detection.isReady);
+      assert.ok(detection.poseLandmarker && detection.handLandmarker, 'models loaded on the main thread');
+      assert.match(warnings.mock.calls[0].arguments.join(' '), /workers blocked/);
+    } finally {
+      globalThis.Worker = Worker;
+    }
+  });
+});
+
+describe('PoseDetection worker requests', () => {
+  function withWorker() {
+    const detection = new PoseDetection({ worker: false });
+    const posted = [];
+    detection.worker = { postMessage: (message) => posted.push(message) };
+    return { detection, posted };
+  }
+
+  test('each reply settles the request with its id', async () => {
+    const { detection, posted } = withWorker();
+    const reload = detection._workerRequest({ type: 'tracking' });
+    const resize = detection._workerRequest({ type: 'playerCount', count: 2 });
+    const [reloadId, resizeId] = posted.map(message => message.id);
+    assert.notEqual(reloadId, resizeId);
+
+    detection._onWorkerMessage({ type: 'error', id: resizeId, message: 'numHands' });
+    await assert.rejects(resize, /numHands/);
+    detection._onWorkerMessage({ type: 'ready', id: reloadId, status: { hands: {} } });
+    assert.deepEqual(await reload, { hands: {} });
+  });
+
+  test('an error outside any request is reported and frees the next frame', async (t) => {
+    const { detection } = withWorker();
+    const errors = t.mock.method(console, 'error', () => {});
+    detection.loaded = true;
+    let settled = false;
+    detection._workerRequest({ type: 'tracking' }).finally(() => { settled = true; });
+    detection.frameInFlight = true;
+
+    detection._onWorkerMessage({ type: 'error', message: 'detect failed' });
+    assert.equal(detection.frameInFlight, false);
+    detection.frameInFlight = true;
+    detection._onWorkerError('worker crashed');
+    assert.equal(detection.frameInFlight, false);
+
+    assert.equal(errors.mock.callCount(), 2);
+    assert.match(errors.mock.calls[1].arguments.join(' '), /worker crashed/);
+    await new Promise(setImmediate);
+    assert.equal(settled, false, 'the model reload is still pending');
+  });
+
+  test('filters and gestures run on the capture time, the hand moves on arrival', (t) => {
+    const { detection } = withWorker();
+    detection.videoElement = { readyState: 4, currentTime: 0 };
+    detection.isReady = true;
+    detection.frameInFlight = true;  // nothing new to send
+    const player = detection.players[0];
+    const gestureTimes = [];
+    t.mock.method(player.gestures.left, 'update', (_landmarks, _side, time) => { gestureTimes.push(time); return true; });
+    const filterTimes = [];
+    t.mock.method(player.filters.left, 'landmarks', (landmarks, time) => { filterTimes.push(time); return landmarks; });
+    const pushes = t.mock.method(player.interpolators.left, 'push');
+
+    const landmarks = Array.from({ length: 21 }, () => ({ x: 0.6, y: 0.5, z: 0 }));
+    detection.workerResults = {
+      timestamp: 900,
+      pose: null,
+      hands: { landmarks: [landmarks], handednesses: [[{ categoryName: 'Left' }]] },
+      timings: { poseMs: null, handMs: 10 },
+    };
+    detection.detect(1000);
+
+    assert.deepEqual(filterTimes, [0.9]);
+    assert.deepEqual(gestureTimes, [0.9]);
+    assert.equal(pushes.mock.calls[0].arguments[1], 1000);
+  });
+
+  test('a worker that crashes before loading fails its pending requests', async (t) => {
+    const { detection } = withWorker();
+    t.mock.method(console, 'error', () => {});
+    const init = detection._workerRequest({ type: 'init' });
+    detection._onWorkerError('script error');
+    await assert.rejects(init, /script error/);
+    assert.equal(detection.workerRequests.size, 0);
+  });
+});
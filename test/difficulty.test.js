@@ -0,0 +1,105 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  DifficultyProfile, NORMAL_PROFILE, BUILTIN_PROFILES, CURVE_KEYS,
+} from '../js/difficulty.js';
+import { createEngine, run } from './harness.js';
+
+const readProfile = (id) => readFileSync(new URL(`../difficulty/${id}.json`, import.meta.url), 'utf8');
+
+describe('DifficultyProfile', () => {
+  test('interpolates linearly between keyframes and holds past the ends', () => {
+    const profile = new DifficultyProfile({
+      curves: { speed: [[10, 1], [20, 2], [40, 0]] },
+    });
+    assert.equal(profile.sample('speed', 0), 1);
+    assert.equal(profile.sample('speed', 15), 1.5);
+    assert.equal(profile.sample('speed', 20), 2);
+    assert.equal(profile.sample('speed', 30), 1);
+    assert.equal(profile.sample('speed', 100), 0);
+  });
+
+  test('a single keyframe is a constant', () => {
+    const profile = new DifficultyProfile({ curves: { heartChance: [[0, 0.2]] } });
+    assert.equal(profile.sample('heartChance', 0), 0.2);
+    assert.equal(profile.sample('heartChance', 999), 0.2);
+  });
+
+  test('missing curves and gravity fall back to Normal', () => {
+    const profile = new DifficultyProfile({ name: 'Sparse', curves: { speed: [[0, 2]] } });
+    assert.equal(profile.gravity, NORMAL_PROFILE.gravity);
+    assert.deepEqual(profile.curves.bombChance, NORMAL_PROFILE.curves.bombChance);
+    assert.equal(profile.sample('speed', 5), 2);
+  });
+
+  test('rejects malformed curves', () => {
+    assert.throws(() => new DifficultyProfile({ curves: { speed: [] } }), /at least one/);
+    assert.throws(() => new DifficultyProfile({ curves: { speed: [[0]] } }), /bad keyframe/);
+    assert.throws(() => new DifficultyProfile({ curves: { speed: [[5, 1], [0, 2]] } }), /sorted/);
+    assert.throws(() => new DifficultyProfile({ curves: { warp: [[0, 1]] } }), /Unknown/);
+    assert.throws(() => new DifficultyProfile({ patterns: { spiral: 1 } }), /Unknown wave pattern/);
+    assert.throws(() => new DifficultyProfile({ patterns: { row: 0 } }), /positive weight/);
+    assert.throws(() => new DifficultyProfile({ sequence: ['row', 'spiral'] }), /Unknown wave pattern/);
+  });
+
+  test('round-trips through JSON', () => {
+    const profile = DifficultyProfile.fromJSON(readProfile('hard'));
+    const copy = DifficultyProfile.fromJSON(JSON.stringify(profile));
+    assert.deepEqual(copy.toJSON(), profile.toJSON());
+  });
+
+  test('built-in profiles load and normal.json matches the engine default', () => {
+    for (const id of BUILTIN_PROFILES) {
+      const profile = DifficultyProfile.fromJSON(readProfile(id));
+      for (const key of CURVE_KEYS) assert.ok(Number.isFinite(profile.sample(key, 60)));
+    }
+    assert.deepEqual(JSON.parse(readProfile('normal')), NORMAL_PROFILE);
+  });
+});
+
+describe('engine difficulty', () => {
+  test('normal profile reproduces the original linear ramps', () => {
+    const engine = createEngine();
+    engine.reset({ mode: 'zen' });
+    run(engine, 60);
+    assert.ok(Math.abs(engine.spawnInterval - (1.5 - engine.elapsed * 0.003)) < 1e-3);
+    assert.ok(Math.abs(engine.bombChance - (0.12 + engine.elapsed * 0.001)) < 1e-3);
+    assert.equal(engine.waveSize, 3);
+  });
+
+  test('profile curves drive spawn rate, wave size and speed', () => {
+    const calm = new DifficultyProfile({
+      gravity: 0.1,
+      curves: {
+        spawnInterval: [[0, 5]],
+        waveSize: [[0, 1]],
+        bombChance: [[0, 0]],
+        heartChance: [[0, 0]],
+        speed: [[0, 0.5]],
+      },
+      patterns: { random: 1 },
+    });
+    const engine = createEngine({ difficulty: calm });
+    const launches = [];
+    engine.onSpawn = (obj) => launches.push({ type: obj.type, vy: obj.vy });
+    run(engine, 11);
+
+    assert.equal(engine.gravity, 0.1);
+    assert.equal(launches.length, 2);
+    for (const { type, vy } of launches) {
+      assert.ok(type !== 'bomb' && type !== 'heart');
+      // Base launch vy is 0.08–0.18, halved by the speed curve
+      assert.ok(vy >= 0.04 && vy <= 0.09);
+    }
+  });
+
+  test('reset() can switch profiles', () => {
+    const engine = createEngine();
+    const hard = DifficultyProfile.fromJSON(readProfile('hard'));
+    engine.reset({ difficulty: hard });
+    assert.equal(engine.difficulty, hard);
+    assert.equal(engine.spawnInterval, 1.1);
+    assert.equal(engine.gravity, 0.5);
+  });
+});
@@ -0,0 +1,170 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ENTITY_TYPES, registerEntityType, getEntityType, typesOfKind, pickEntityType,
+} from '../js/entityTypes.js';
+import { POWER_UP_IDS } from '../js/powerUps.js';
+import { SeededRandom } from '../js/random.js';
+import {
+  FRAME_DT, createEngine, disableSpawning, placeObject, run, slashAt, makeHand,
+} from './harness.js';
+
+describe('entity registry', () => {
+  test('built-in types cover fruit, bombs, hearts and every power-up', () => {
+    assert.equal(typesOfKind('fruit').length, 9);
+    assert.equal(getEntityType('bomb').hit, 'bomb');
+    assert.equal(getEntityType('heart').hit, 'heart');
+    for (const id of POWER_UP_IDS) assert.equal(getEntityType(id).powerUp, id);
+    assert.ok(typesOfKind('fruit').every(def => def.missable && def.points > 0));
+  });
+
+  test('unknown ids and incomplete definitions throw', () => {
+    assert.throws(() => getEntityType('durian'), /Unknown entity type/);
+    assert.throws(() => registerEntityType({ id: 'x', kind: 'fruit', emoji: '?' }), /needs id, kind, emoji and color/);
+    assert.throws(
+      () => registerEntityType({ id: 'x', kind: 'fruit', emoji: '?', color: '#fff', hit: 'explode' }),
+      /unknown hit behavior/,
+    );
+  });
+
+  test('pickEntityType follows spawn weights', () => {
+    const rng = new SeededRandom(3);
+    const counts = {};
+    for (let i = 0; i < 2000; i++) {
+      const id = pickEntityType(rng, 'fruit').id;
+      counts[id] = (counts[id] || 0) + 1;
+    }
+    // Basics weigh 1, the golden fruit 0.08
+    assert.ok(counts.apple > 150 && counts.apple < 320);
+    assert.ok(counts.golden > 0 && counts.golden < counts.apple / 5);
+  });
+});
+
+describe('registering a new type', () => {
+  after(() => {
+    delete ENTITY_TYPES.starfruit;
+    delete ENTITY_TYPES.skull;
+  });
+
+  test('a registered fruit spawns, scores its points and counts as a miss', () => {
+    registerEntityType({
+      id: 'starfruit',
+      kind: 'fruit',
+      weight: 1000,
+      radius: [0.05, 0.05],
+      hit: 'slice',
+      points: 25,
+      missable: true,
+      emoji: '⭐',
+      color: '#f1fa8c',
+      sound: 'slice',
+    });
+
+    const engine = createEngine();
+    engine.reset({ mode: 'zen' });
+    const spawned = run(engine, 10).spawned;
+    const stars = spawned.filter(o => o.type === 'starfruit');
+    assert.ok(stars.length > spawned.length * 0.9);
+    assert.ok(stars.every(o => o.radius === 0.05));
+
+    disableSpawning(engine);
+    engine.score = 0;
+    const star = placeObject(engine, { type: 'starfruit', x: 0.5, y: 0.5 });
+    engine.update(FRAME_DT, slashAt(star));
+    assert.equal(engine.score, 25);
+  });
+
+  test('a registered hazard reuses the bomb behavior', () => {
+    registerEntityType({ id: 'skull', kind: 'bomb', weight: 0, hit: 'bomb', emoji: '💀', color: '#6272a4' });
+    const engine = createEngine({ spawning: false });
+    engine.reset({ mode: 'classic' });
+    disableSpawning(engine);
+    const skull = placeObject(engine, { type: 'skull', x: 0.5, y: 0.5 });
+    engine.update(FRAME_DT, slashAt(skull));
+    assert.equal(engine.gameOverReason, 'bomb');
+  });
+
+  test('wave specs can ask for a specific type', () => {
+    const engine = createEngine({ spawning: false });
+    engine.reset({ mode: 'classic' });
+    const obj = engine._spawnObject({ type: 'heart' });
+    assert.equal(obj.type, 'heart');
+    assert.equal(obj.kind, 'heart');
+  });
+});
+
+describe('special fruit', () => {
+  function classicEngine() {
+    const engine = createEngine({ spawning: false });
+    engine.reset({ mode: 'classic' });
+    disableSpawning(engine);
+    return engine;
+  }
+  const hold = (obj) => () => makeHand({ x: obj.x, y: obj.y, vx: 3, visible: true });
+
+  test('pomegranate stops on the first hit and scores every hit', () => {
+    const engine = classicEngine();
+    const pom = placeObject(engine, { type: 'pomegranate', x: 0.5, y: 0.5, vx: 0.1, vy: 0.3 });
+    engine.update(FRAME_DT, slashAt(pom));
+    assert.ok(pom.held && !pom.fading);
+    assert.equal(pom.vx, 0);
+    assert.equal(pom.vy, 0);
+    assert.equal(pom.sliceCount, 1);
+    assert.equal(engine.score, 5);
+  });
+
+  test('pomegranate bursts for the full bonus after maxSlices rapid hits', () => {
+    const engine = classicEngine();
+    const pom = placeObject(engine, { type: 'pomegranate', x: 0.5, y: 0.5 });
+    let burst = null;
+    engine.onBurst = (obj, points) => { burst = points; };
+
+    run(engine, 1.9, { right: hold(pom) });
+    assert.equal(pom.sliceCount, 10);
+    assert.ok(pom.fading);
+    assert.equal(burst, 80);
+    assert.equal(engine.score, 10 * 5 + 80);
+    assert.equal(engine.stats.fruitsSliced, 1);
+  });
+
+  test('pomegranate bursts when its window runs out, bonus scaled by hits', () => {
+    const engine = classicEngine();
+    const pom = placeObject(engine, { type: 'pomegranate', x: 0.5, y: 0.5 });
+    for (let i = 0; i < 3; i++) {
+      engine.update(FRAME_DT, slashAt(pom));
+      run(engine, 0.2);
+    }
+    assert.equal(pom.sliceCount, 3);
+    run(engine, 2);
+    assert.ok(pom.fading);
+    assert.equal(engine.score, 3 * 5 + 24);
+    assert.equal(engine.strikes, 0);
+  });
+
+  test('golden fruit is worth 100', () => {
+    const engine = classicEngine();
+    const golden = placeObject(engine, { type: 'golden', x: 0.5, y: 0.5 });
+    const pieces = engine.update(FRAME_DT, slashAt(golden)).spawned;
+    assert.equal(engine.score, 100);
+    assert.equal(pieces.length, 2);
+  });
+
+  test('grape bunch breaks into loose grapes that slice on their own', () => {
+    const engine = classicEngine();
+    const bunch = placeObject(engine, { type: 'grapeBunch', x: 0.5, y: 0.5 });
+    const grapes = engine.update(FRAME_DT, slashAt(bunch)).spawned;
+    assert.equal(grapes.length, 5);
+    assert.ok(grapes.every(g => g.type === 'grape' && g.generation === 0 && !g.fading));
+    assert.equal(engine.score, 10);
+
+    grapes[0].x = 0.1;
+    grapes[0].y = 0.1;
+    run(engine, 0.2);
+    const halves = engine.update(FRAME_DT, slashAt(grapes[0])).spawned;
+    assert.equal(halves.length, 2);
+
+    // The rest fall away — loose grapes are not misses
+    run(engine, 5);
+    assert.equal(engine.strikes, 0);
+  });
+});
@@ -0,0 +1,427 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FRAME_DT, createEngine, disableSpawning, placeObject, run, slashAt, idleHands, swipe, after,
+} from './harness.js';
+
+describe('determinism', () => {
+  function fingerprint(seed) {
+    return play(createEngine({ seed }));
+  }
+
+  /** 20 s of repeated swipes: the score, how long it lasted and every spawn */
+  function play(engine) {
+    const result = run(engine, 20, {
+      right: (t) => swipe({ x: 0.1, y: 0.5 }, { x: 0.9, y: 0.3 }, 0.4)(t % 1),
+    });
+    return {
+      score: engine.score,
+      elapsed: engine.elapsed,
+      spawns: result.spawned.map(o => [o.type, o.x, o.y, o.vx, o.vy]),
+    };
+  }
+
+  test('same seed and input stream replay identically', () => {
+    assert.deepEqual(fingerprint(42), fingerprint(42));
+  });
+
+  test('different seeds produce different spawns', () => {
+    assert.notDeepEqual(fingerprint(1).spawns, fingerprint(2).spawns);
+  });
+
+  test('reset() without a seed rewinds the current one', () => {
+    const engine = createEngine({ seed: 9 });
+    const first = run(engine, 5).spawned.map(o => o.x);
+    engine.reset();
+    const second = run(engine, 5).spawned.map(o => o.x);
+    assert.deepEqual(first, second);
+  });
+
+  test('a custom rng needs only next(), reset(seed) and seed', () => {
+    // Closure state, and anything but the documented contract throws
+    let state = 0;
+    let draws = 0;
+    const lcg = {
+      seed: 0,
+      next() { draws++; state = (state * 16807 + 1) % 2147483647; return state / 2147483647; },
+      reset(seed = this.seed) { this.seed = seed; state = seed; },
+    };
+    const rng = new Proxy(lcg, {
+      get(target, key) {
+        if (!['next', 'reset', 'seed'].includes(key)) throw new Error(`the engine read rng.${String(key)}`);
+        return target[key];
+      },
+    });
+
+    const engine = createEngine({ seed: 5, rng });
+    const first = play(engine);
+    assert.ok(draws > 0, 'every random decision goes through the custom rng');
+    assert.ok(first.spawns.length > 0);
+    assert.equal(engine.seed, 5);
+
+    engine.reset();
+    assert.deepEqual(play(engine), first, 'reset() rewinds the custom rng to its seed');
+  });
+});
+
+describe('scoring', () => {
+  test('slicing a whole fruit scores 10 and splits it into two halves', () => {
+    const engine = createEngine({ spawning: false });
+    const apple = placeObject(engine, { type: 'apple', x: 0.5, y: 0.5 });
+
+    const info = engine.update(FRAME_DT, slashAt(apple));
+
+    assert.equal(engine.score, 10);
+    assert.equal(engine.combo, 1);
+    assert.ok(apple.fading);
+    assert.equal(info.spawned.length, 2);
+    for (const piece of info.spawned) {
+      assert.equal(piece.generation, 1);
+      assert.equal(piece.type, 'apple');
+      assert.ok(piece.radius < apple.radius);
+    }
+  });
+
+  test('pieces score more per generation and stop splitting at generation 2', () => {
+    const engine = createEngine({ spawning: false });
+    const apple = placeObject(engine, { type: 'apple', x: 0.5, y: 0.5 });
+
+    const [half, otherHalf] = engine.update(FRAME_DT, slashAt(apple)).spawned;
+    otherHalf.x = 0.1;
+    engine.update(FRAME_DT, idleHands());
+    const quarters = engine.update(FRAME_DT, slashAt(half)).spawned;
+    assert.equal(quarters.length, 2);
+    assert.ok(quarters.every(q => q.generation === 2));
+    // gen bonus 2 × combo 2
+    assert.equal(engine.score, 10 + 40);
+
+    engine.update(FRAME_DT, idleHands());
+    quarters[1].x = 0.9;
+    const none = engine.update(FRAME_DT, slashAt(quarters[0])).spawned;
+    assert.equal(none.length, 0);
+    assert.ok(quarters[0].fading);
+    // gen bonus 3 × combo 3
+    assert.equal(engine.score, 10 + 40 + 90);
+  });
+
+  test('halves are cut along the slash direction, on opposite sides', () => {
+    const engine = createEngine({ spawning: false });
+    const apple = placeObject(engine, { x: 0.5, y: 0.5, rotation: 0.3 });
+
+    // Diagonal slash down-right: cut normal is perpendicular to it
+    const [a, b] = engine.update(FRAME_DT, slashAt(apple, { vx: 2, vy: 2 })).spawned;
+    assert.equal(a.cuts.length, 1);
+    assert.ok(Math.abs(a.cuts[0].angle - Math.atan2(1, -1)) < 1e-9);
+    assert.ok(Math.abs(b.cuts[0].angle - a.cuts[0].angle - Math.PI) < 1e-9);
+    assert.equal(a.cuts[0].rotation, 0.3);
+    // Slash passed (almost — gravity moved the fruit this frame) through the centre
+    assert.ok(Math.abs(a.cuts[0].offset) < 0.01);
+    assert.equal(b.cuts[0].offset, -a.cuts[0].offset);
+  });
+
+  test('cut offset follows where the blade crossed the fruit', () => {
+    const engine = createEngine({ spawning: false });
+    const apple = placeObject(engine, { x: 0.5, y: 0.5, radius: 0.04 });
+    const hands = slashAt(apple, { vx: 3, vy: 0 });
+    // Horizontal slash just below the centre: normal (0, 1), contact 0.02 below
+    hands.right.y = 0.52;
+
+    const [a, b] = engine.update(FRAME_DT, hands).spawned;
+    assert.ok(a.cuts[0].offset > 0);
+    assert.ok(Math.abs(a.cuts[0].offset + b.cuts[0].offset) < 1e-12);
+  });
+
+  test('re-slicing a piece adds a new cut on top of the inherited one', () => {
+    const engine = createEngine({ spawning: false });
+    const apple = placeObject(engine, { x: 0.5, y: 0.5 });
+    const [half, otherHalf] = engine.update(FRAME_DT, slashAt(apple, { vx: 3, vy: 0 })).spawned;
+    otherHalf.x = 0.1;
+    engine.update(FRAME_DT, idleHands());
+
+    const [quarter] = engine.update(FRAME_DT, slashAt(half, { vx: 0, vy: 3 })).spawned;
+    assert.equal(quarter.cuts.length, 2);
+    assert.deepEqual(quarter.cuts[0], half.cuts[0]);
+    assert.notEqual(quarter.cuts[1].angle, half.cuts[0].angle);
+  });
+
+  test('combo multiplies points and decays after the combo window', () => {
+    const engine = createEngine({ spawning: false });
+    const a = placeObject(engine, { x: 0.2, y: 0.5 });
+    const b = placeObject(engine, { x: 0.8, y: 0.5 });
+
+    engine.update(FRAME_DT, slashAt(a));
+    engine.update(FRAME_DT, slashAt(b));
+    assert.equal(engine.combo, 2);
+    assert.equal(engine.bestCombo, 2);
+    assert.equal(engine.score, 10 + 20);
+
+    run(engine, engine.comboWindow + 0.1);
+    assert.equal(engine.combo, 0);
+    assert.equal(engine.bestCombo, 2);
+  });
+
+  test('slow or hidden hands never slice', () => {
+    const engine = createEngine({ spawning: false });
+    const apple = placeObject(engine, { x: 0.5, y: 0.5 });
+
+    engine.update(FRAME_DT, slashAt(apple, { vx: 0.1 }));
+    const hidden = slashAt(apple);
+    hidden.right.visible = false;
+    engine.update(FRAME_DT, hidden);
+
+    assert.equal(engine.score, 0);
+    assert.ok(!apple.fading);
+  });
+});
+
+describe('bombs and hearts', () => {
+  test('bomb costs 10 seconds and clears the field', () => {
+    const engine = createEngine({ spawning: false });
+    const bomb = placeObject(engine, { type: 'bomb', x: 0.5, y: 0.5 });
+    const apple = placeObject(engine, { type: 'apple', x: 0.1, y: 0.1 });
+    let bombs = 0;
+    engine.onBomb = () => bombs++;
+
+    engine.update(FRAME_DT, slashAt(bomb));
+
+    assert.equal(bombs, 1);
+    assert.ok(Math.abs(engine.timeRemaining - (30 - FRAME_DT - 10)) < 1e-9);
+    assert.ok(bomb.fading);
+    assert.ok(apple.fading);
+    assert.equal(engine.score, 0);
+    assert.ok(!engine.isGameOver);
+  });
+
+  test('bomb with less than 10 seconds left ends the game', () => {
+    const engine = createEngine({ spawning: false });
+    engine.timeRemaining = 8;
+    const bomb = placeObject(engine, { type: 'bomb', x: 0.5, y: 0.5 });
+
+    engine.update(FRAME_DT, slashAt(bomb));
+
+    assert.equal(engine.timeRemaining, 0);
+    assert.ok(engine.isGameOver);
+  });
+
+  test('heart adds 10 seconds, capped at maxTime', () => {
+    const engine = createEngine({ spawning: false });
+    const heart = placeObject(engine, { type: 'heart', x: 0.5, y: 0.5 });
+    engine.update(FRAME_DT, slashAt(heart));
+    assert.ok(Math.abs(engine.timeRemaining - (40 - FRAME_DT)) < 1e-9);
+    assert.equal(engine.combo, 0);
+
+    engine.timeRemaining = engine.maxTime - 2;
+    const heart2 = placeObject(engine, { type: 'heart', x: 0.3, y: 0.5 });
+    engine.update(FRAME_DT, slashAt(heart2));
+    assert.equal(engine.timeRemaining, engine.maxTime);
+  });
+});
+
+describe('game over timing', () => {
+  test('an empty run ends when the 30 second countdown runs out', () => {
+    const engine = createEngine({ seed: 3, spawning: false });
+    const result = run(engine, 60);
+
+    assert.ok(engine.isGameOver);
+    assert.equal(engine.timeRemaining, 0);
+    // 30 s of 60 fps frames, give or take float accumulation
+    assert.ok(Math.abs(result.frames - 1800) <= 1);
+    assert.ok(Math.abs(engine.elapsed - 30) < 2 * FRAME_DT);
+  });
+
+  test('update() is a no-op once the game is over or paused', () => {
+    const engine = createEngine();
+    engine.isPaused = true;
+    engine.update(1, idleHands());
+    assert.equal(engine.elapsed, 0);
+
+    engine.isPaused = false;
+    engine.isGameOver = true;
+    engine.update(1, idleHands());
+    assert.equal(engine.elapsed, 0);
+  });
+});
+
+describe('object lifecycle', () => {
+  test('objects that fall off the bottom are removed', () => {
+    const engine = createEngine({ spawning: false });
+    const apple = placeObject(engine, { x: 0.5, y: 1.15, vy: 1 });
+    const result = run(engine, 0.2);
+
+    assert.ok(result.removed.includes(apple));
+    assert.ok(!apple.active);
+    assert.equal(engine.getActiveObjects().length, 0);
+  });
+
+  test('sliced fruit fades out and is removed', () => {
+    const engine = createEngine({ spawning: false });
+    const apple = placeObject(engine, { x: 0.5, y: 0.3 });
+    engine.update(FRAME_DT, slashAt(apple));
+    const result = run(engine, 1);
+    assert.ok(result.removed.includes(apple));
+  });
+
+  test('a scripted swipe across a fruit slices it', () => {
+    const engine = createEngine({ spawning: false });
+    placeObject(engine, { x: 0.5, y: 0.5 });
+    const result = run(engine, 0.5, {
+      left: after(0.1, swipe({ x: 0.2, y: 0.5 }, { x: 0.8, y: 0.5 }, 0.15)),
+    });
+    assert.ok(result.hits.length >= 1);
+    assert.equal(result.hits[0].side, 'left');
+    assert.ok(engine.score >= 10);
+  });
+});
+
+describe('game modes', () => {
+  test('endless is the default mode', () => {
+    const engine = createEngine();
+    assert.equal(engine.mode.id, 'endless');
+    assert.equal(engine.timeRemaining, 30);
+  });
+
+  test('zen: 90 fixed seconds and never a bomb or heart', () => {
+    const engine = createEngine({ seed: 5 });
+    engine.reset({ mode: 'zen' });
+    assert.equal(engine.timeRemaining, 90);
+
+    const result = run(engine, 120);
+    assert.ok(result.spawned.length > 50);
+    assert.ok(result.spawned.every(o => o.kind === 'fruit'));
+    assert.ok(engine.isGameOver);
+    assert.equal(engine.gameOverReason, 'time');
+    assert.ok(Math.abs(engine.elapsed - 90) < 2 * FRAME_DT);
+  });
+
+  test('classic: untimed, three missed fruit end the game', () => {
+    const engine = createEngine({ spawning: false });
+    engine.reset({ mode: 'classic' });
+    assert.ok(!engine.isTimed);
+    let misses = 0;
+    engine.onMiss = () => misses++;
+
+    for (let i = 0; i < 3; i++) {
+      placeObject(engine, { x: 0.2 + i * 0.3, y: 1.19, vy: 1 });
+      run(engine, 0.1);
+    }
+
+    assert.equal(misses, 3);
+    assert.equal(engine.strikes, 3);
+    assert.equal(engine.stats.missed, 3);
+    assert.ok(engine.isGameOver);
+    assert.equal(engine.gameOverReason, 'strikes');
+  });
+
+  test('classic: bombs end the game, hearts heal a strike', () => {
+    const engine = createEngine({ spawning: false });
+    engine.reset({ mode: 'classic' });
+    placeObject(engine, { x: 0.5, y: 1.19, vy: 1 });
+    run(engine, 0.1);
+    assert.equal(engine.strikes, 1);
+
+    const heart = placeObject(engine, { type: 'heart', x: 0.5, y: 0.5 });
+    engine.update(FRAME_DT, slashAt(heart));
+    assert.equal(engine.strikes, 0);
+
+    const bomb = placeObject(engine, { type: 'bomb', x: 0.2, y: 0.5 });
+    engine.update(FRAME_DT, slashAt(bomb));
+    assert.ok(engine.isGameOver);
+    assert.equal(engine.gameOverReason, 'bomb');
+  });
+
+  test('sliced pieces and bombs falling off screen are not misses', () => {
+    const engine = createEngine({ spawning: false });
+    engine.reset({ mode: 'classic' });
+    placeObject(engine, { type: 'bomb', x: 0.5, y: 1.19, vy: 1 });
+    const apple = placeObject(engine, { x: 0.2, y: 1.1, vy: 1 });
+    const pieces = engine.update(FRAME_DT, slashAt(apple)).spawned;
+    assert.equal(pieces.length, 2);
+    run(engine, 1);
+    assert.equal(engine.strikes, 0);
+  });
+
+  test('arcade: bombs cost points and reset the combo', () => {
+    const engine = createEngine({ spawning: false });
+    engine.reset({ mode: 'arcade' });
+    assert.equal(engine.timeRemaining, 60);
+    engine.score = 80;
+    engine.combo = 4;
+
+    const bomb = placeObject(engine, { type: 'bomb', x: 0.5, y: 0.5 });
+    engine.update(FRAME_DT, slashAt(bomb));
+    assert.equal(engine.score, 30);
+    assert.equal(engine.combo, 0);
+    assert.ok(!engine.isGameOver);
+    assert.ok(Math.abs(engine.timeRemaining - (60 - FRAME_DT)) < 1e-9);
+  });
+
+  test('reset() keeps the current mode unless a new one is given', () => {
+    const engine = createEngine();
+    engine.reset({ mode: 'zen' });
+    engine.reset();
+    assert.equal(engine.mode.id, 'zen');
+    engine.reset({ mode: 'nope' });
+    assert.equal(engine.mode.id, 'endless');
+  });
+});
+
+describe('missed fruit', () => {
+  function dropFruit(mode) {
+    const engine = createEngine();
+    engine.reset({ mode });
+    disableSpawning(engine);
+    const misses = [];
+    engine.onMiss = (obj, consequence) => misses.push({ obj, consequence });
+    const apple = placeObject(engine, { x: 0.4, y: 1.19, vy: 1 });
+    return { engine, misses, apple };
+  }
+
+  test('a whole fruit leaving the screen fires onMiss with the mode\'s consequence', () => {
+    const { engine, misses, apple } = dropFruit('classic');
+    run(engine, 0.1);
+    assert.equal(misses.length, 1);
+    assert.equal(misses[0].obj, apple);
+    assert.equal(misses[0].consequence, 'strike');
+    assert.equal(engine.stats.missed, 1);
+  });
+
+  test('endless: misses are counted but free', () => {
+    const { engine, misses } = dropFruit('endless');
+    run(engine, 0.1);
+    assert.equal(misses[0].consequence, null);
+    assert.equal(engine.stats.missed, 1);
+    assert.ok(Math.abs(engine.timeRemaining - (30 - 0.1)) < 2 * FRAME_DT);
+  });
+
+  test('a \'time\' miss costs missPenalty seconds', () => {
+    const { engine, misses } = dropFruit('endless');
+    engine.mode = { ...engine.mode, missHit: 'time', missPenalty: 2 };
+    run(engine, 0.1);
+    assert.equal(misses[0].consequence, 'time');
+    assert.ok(Math.abs(engine.timeRemaining - (30 - 0.1 - 2)) < 2 * FRAME_DT);
+    assert.equal(engine.strikes, 0);
+  });
+
+  test('arcade: a miss breaks the combo', () => {
+    const { engine, misses } = dropFruit('arcade');
+    engine.combo = 5;
+    engine.comboTimer = 10;
+    engine.score = 40;
+    run(engine, 0.1);
+    assert.equal(misses[0].consequence, 'combo');
+    assert.equal(engine.combo, 0);
+    assert.equal(engine.score, 40);
+    assert.ok(Math.abs(engine.timeRemaining - (60 - 0.1)) < 2 * FRAME_DT);
+  });
+
+  test('zen: misses are counted but free', () => {
+    const { engine, misses } = dropFruit('zen');
+    engine.combo = 5;
+    engine.comboTimer = 10;
+    run(engine, 0.1);
+    assert.equal(misses[0].consequence, null);
+    assert.equal(engine.stats.missed, 1);
+    assert.equal(engine.combo, 5);
+    assert.equal(engine.strikes, 0);
+  });
+});
@@ -0,0 +1,134 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GestureClassifier, classifyGesture, fingerScores, palmFacing } from '../js/gestures.js';
+
+const DT = 1 / 30;
+
+/**
+ * 21 mirrored landmarks of a right hand, palm to the camera, fingers up.
+ * `fingers` lists the extended ones; `thumb` is 'out', 'up' or 'folded'.
+ */
+function hand(fingers = [], thumb = 'folded') {
+  const lm = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.8, z: 0 }));
+  const columns = { index: [5, 0.46], middle: [9, 0.49], ring: [13, 0.52], pinky: [17, 0.55] };
+  for (const [name, [mcp, x]] of Object.entries(columns)) {
+    lm[mcp] = { x, y: 0.7, z: 0 };
+    const ys = fingers.includes(name) ? [0.66, 0.63, 0.6] : [0.67, 0.7, 0.73];
+    ys.forEach((y, i) => { lm[mcp + 1 + i] = { x, y, z: 0 }; });
+  }
+  const thumbs = {
+    out: [[0.47, 0.77], [0.44, 0.75], [0.4, 0.73], [0.36, 0.72]],
+    up: [[0.46, 0.76], [0.43, 0.72], [0.41, 0.66], [0.4, 0.6]],
+    folded: [[0.47, 0.77], [0.46, 0.74], [0.47, 0.72], [0.5, 0.72]],
+  }[thumb];
+  thumbs.forEach(([x, y], i) => { lm[1 + i] = { x, y, z: 0 }; });
+  return lm;
+}
+
+const OPEN = hand(['index', 'middle', 'ring', 'pinky'], 'out');
+const FIST = hand();
+
+/** Feed `lm` for `frames` frames from `start`; returns the time after */
+function hold(classifier, lm, frames, start = 0) {
+  for (let i = 0; i < frames; i++) classifier.update(lm, 'right', start + i * DT);
+  return start + frames * DT;
+}
+
+describe('classifyGesture', () => {
+  test('recognizes every gesture', () => {
+    assert.equal(classifyGesture(OPEN).id, 'open');
+    assert.equal(classifyGesture(FIST).id, 'fist');
+    assert.equal(classifyGesture(hand(['index'])).id, 'point');
+    assert.equal(classifyGesture(hand(['index', 'middle'])).id, 'peace');
+    assert.equal(classifyGesture(hand([], 'up')).id, 'thumbsUp');
+  });
+
+  test('a thumb out sideways is a fist, not a thumbs-up', () => {
+    assert.equal(classifyGesture(hand([], 'out')).id, 'fist');
+  });
+
+  test('the thumb scores by how far it sticks out from the palm', () => {
+    assert.ok(fingerScores(hand([], 'out')).thumb > 0.9);
+    assert.ok(fingerScores(FIST).thumb < 0.1);
+  });
+
+  test('a peace sign needs the palm to the camera once the side is known', () => {
+    const peace = hand(['index', 'middle']);
+    assert.equal(classifyGesture(peace, undefined, 'right').id, 'peace');
+    assert.notEqual(classifyGesture(peace, undefined, 'left').id, 'peace', 'back of the hand');
+    assert.equal(classifyGesture(peace).id, 'peace', 'side unknown: not checked');
+  });
+
+  test('an in-between hand is a less confident fit', () => {
+    const result = classifyGesture(hand(['index', 'middle', 'ring']));
+    assert.ok(result.confidence < classifyGesture(OPEN).confidence);
+  });
+});
+
+describe('palmFacing', () => {
+  test('depends on the hand', () => {
+    assert.equal(palmFacing(OPEN, 'right'), 'front');
+    assert.equal(palmFacing(OPEN, 'left'), 'back');
+    const turned = OPEN.map(p => ({ ...p, x: 1 - p.x }));
+    assert.equal(palmFacing(turned, 'left'), 'front');
+  });
+});
+
+describe('GestureClassifier', () => {
+  test('the blade ignites after a short hold', () => {
+    const c = new GestureClassifier();
+    assert.equal(c.update(OPEN, 'right', 0), false);
+    assert.equal(c.update(OPEN, 'right', DT), true);
+  });
+
+  test('one odd frame does not flicker the blade', () => {
+    const c = new GestureClassifier();
+    let t = hold(c, OPEN, 5);
+    assert.equal(c.update(FIST, 'right', t), true, 'a single fist frame keeps it lit');
+    t = hold(c, OPEN, 5, t + DT);
+    assert.equal(c.open, true);
+    hold(c, FIST, 5, t);
+    assert.equal(c.open, false, 'a held fist retracts it');
+  });
+
+  test('hysteresis: a half-open hand keeps whatever state it was in', () => {
+    const half = hand(['index', 'middle'], 'out');
+    const lit = new GestureClassifier();
+    hold(lit, half, 10, hold(lit, OPEN, 5));
+    assert.equal(lit.open, true);
+    const dark = new GestureClassifier();
+    hold(dark, half, 10, hold(dark, FIST, 5));
+    assert.equal(dark.open, false);
+  });
+
+  test('gestures are reported once held, through onChange', () => {
+    const c = new GestureClassifier();
+    const changes = [];
+    c.onChange = (gesture, previous) => changes.push([previous, gesture]);
+    let t = hold(c, FIST, 5);
+    t = hold(c, hand(['index', 'middle']), 5, t);
+    assert.equal(c.gesture, 'fist', 'peace not held long enough yet');
+    hold(c, hand(['index', 'middle']), 10, t);
+    assert.equal(c.gesture, 'peace');
+    assert.deepEqual(changes, [['none', 'fist'], ['fist', 'peace']]);
+    assert.ok(c.confidence > 0.9);
+  });
+
+  test('a peace sign with the back of the hand is not reported', () => {
+    const c = new GestureClassifier();
+    const changes = [];
+    c.onChange = (gesture) => changes.push(gesture);
+    const peace = hand(['index', 'middle']);
+    for (let i = 0; i < 20; i++) c.update(peace, 'left', i * DT);
+    assert.equal(c.palm, 'back');
+    assert.ok(!changes.includes('peace'));
+  });
+
+  test('a lost hand starts over', () => {
+    const c = new GestureClassifier();
+    const t = hold(c, OPEN, 5);
+    c.update(OPEN, 'right', t + 1);
+    assert.equal(c.open, false);
+    assert.equal(c.gesture, 'none');
+  });
+});
@@ -0,0 +1,135 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { FILTERS, OneEuroFilter, KalmanFilter, HandFilter, createHandFilter, filterParams } from '../js/handFilters.js';
+import { createHand, trackHand } from '../js/handMotion.js';
+import { MIN_SLICE_SPEED } from '../js/collisionSystem.js';
+import { SeededRandom } from '../js/random.js';
+
+const DT = 1 / 30; // camera frame rate
+
+/** A hand held still at 0.5: ±0.01 landmark jitter and a 0.04 glitch every second */
+function stillHand(seed = 3, frames = 90) {
+  const rng = new SeededRandom(seed);
+  return Array.from({ length: frames }, (_, i) => 0.5 + rng.range(-0.01, 0.01) + (i % 30 === 20 ? 0.04 : 0));
+}
+
+/** Still at 0.2 for half a second, then a 3 units/s swipe */
+function swipeOnset(frames = 30) {
+  return Array.from({ length: frames }, (_, i) => (i < 15 ? 0.2 : 0.2 + 3 * (i - 15) * DT));
+}
+
+/** Hand speeds frame by frame from trackHand, with or without a filter */
+function speeds(xs, filter = null) {
+  const hand = createHand();
+  const history = [];
+  return xs.map((x, i) => {
+    trackHand(hand, history, x, 0.5, i * DT * 1000, null, { filter });
+    return hand.speed;
+  });
+}
+
+/** A hand sweeping at 2 units/s; returns the filter's final velocity and lag */
+function ramp(filter, speed = 2, frames = 15) {
+  let value = 0;
+  for (let i = 0; i < frames; i++) value = filter.filter(speed * i * DT, i * DT);
+  return { velocity: filter.velocity, lag: speed * (frames - 1) * DT - value };
+}
+
+for (const [name, Filter] of [['OneEuroFilter', OneEuroFilter], ['KalmanFilter', KalmanFilter]]) {
+  describe(name, () => {
+    test('softens glitches on a still hand', () => {
+      const filter = new Filter();
+      const worst = Math.max(...stillHand().map((x, i) => Math.abs(filter.filter(x, i * DT) - 0.5)).slice(10));
+      assert.ok(worst < 0.04 * 0.75, `worst ${worst}`);
+    });
+
+    test('follows a fast swipe with its velocity', () => {
+      const { velocity, lag } = ramp(new Filter());
+      assert.ok(Math.abs(velocity - 2) < 0.4, `velocity ${velocity}`);
+      assert.ok(lag < 0.06, `lag ${lag}`);
+    });
+
+    test('reset forgets the old value', () => {
+      const filter = new Filter();
+      filter.filter(0.2, 0);
+      filter.filter(0.2, DT);
+      filter.reset();
+      assert.equal(filter.filter(0.8, 2 * DT), 0.8);
+      assert.equal(filter.velocity, 0);
+    });
+  });
+}
+
+describe('HandFilter', () => {
+  test('every filter but none has a class and default params', () => {
+    for (const id of Object.keys(FILTERS)) {
+      if (id === 'none') {
+        assert.equal(createHandFilter({ type: id }), null);
+      } else {
+        const filter = createHandFilter({ type: id, params: {} });
+        assert.deepEqual(filter.params, filterParams(id));
+      }
+    }
+  });
+
+  test('landmarks are filtered one coordinate at a time', () => {
+    const filter = new HandFilter('oneEuro');
+    const frame = (dx) => Array.from({ length: 21 }, (_, i) => ({ x: i / 21 + dx, y: 0.5, z: 0 }));
+    filter.landmarks(frame(0), 0);
+    const out = filter.landmarks(frame(0.02), DT);
+    assert.equal(out.length, 21);
+    assert.ok(out[3].x > 3 / 21 && out[3].x < 3 / 21 + 0.02, 'smoothed towards the new frame');
+    assert.equal(out[3].y, 0.5);
+  });
+
+  test('starts over after the hand is lost', () => {
+    const filter = new HandFilter('kalman');
+    filter.position(0.1, 0.5, 0);
+    filter.position(0.2, 0.5, DT);
+    const { x, vx } = filter.position(0.9, 0.5, 1);
+    assert.equal(x, 0.9);
+    assert.equal(vx, 0);
+  });
+});
+
+describe('trackHand with a filter', () => {
+  test('jitter never reaches slicing speed', () => {
+    const peak = (s) => Math.max(...s.slice(10));
+    assert.ok(peak(speeds(stillHand())) > MIN_SLICE_SPEED, 'unfiltered glitches would slice');
+    for (const type of ['oneEuro', 'kalman']) {
+      const filtered = peak(speeds(stillHand(), new HandFilter(type)));
+      assert.ok(filtered < MIN_SLICE_SPEED, `${type} peak ${filtered}`);
+    }
+  });
+
+  test('One-Euro picks up a real swipe sooner than the raw sample window', () => {
+    const raw = speeds(swipeOnset());
+    const filtered = speeds(swipeOnset(), new HandFilter('oneEuro'));
+    assert.ok(filtered[17] > raw[17], `${filtered[17]} vs ${raw[17]}`);
+    assert.ok(Math.abs(filtered[29] - 3) < 0.3);
+  });
+
+  test('the raw track is kept beside the filtered one', () => {
+    const plain = { hand: createHand(), history: [] };
+    const smooth = { hand: createHand(), history: [], filter: new HandFilter('oneEuro') };
+    stillHand().forEach((x, i) => {
+      trackHand(plain.hand, plain.history, x, 0.5, i * DT * 1000);
+      trackHand(smooth.hand, smooth.history, x, 0.5, i * DT * 1000, null, { filter: smooth.filter });
+    });
+    assert.equal(plain.hand.raw, null);
+    assert.equal(smooth.hand.raw.x, plain.hand.x);
+    assert.ok(Math.abs(smooth.hand.raw.speed - plain.hand.speed) < 1e-9);
+    assert.equal(smooth.hand.prev.x, smooth.history[smooth.history.length - 2].x, 'swept from the filtered track');
+  });
+
+  test('a lost hand starts its filter over', () => {
+    const hand = createHand();
+    const history = [];
+    const filter = new HandFilter('oneEuro');
+    trackHand(hand, history, 0.2, 0.5, 0, null, { filter });
+    trackHand(hand, history, 0.21, 0.5, 33, null, { filter });
+    trackHand(hand, history, 0.8, 0.5, 1000, null, { filter });
+    assert.equal(hand.x, 0.8);
+    assert.equal(hand.prev, null);
+  });
+});
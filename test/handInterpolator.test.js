@@ -0,0 +1,94 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { HandInterpolator } from '../js/handInterpolator.js';
+import { PoseDetection } from '../js/poseDetection.js';
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+describe('HandInterpolator', () => {
+  /** Detections every `interval` ms moving right by 0.1 each */
+  function feed(interp, count, interval = 33) {
+    for (let i = 0; i < count; i++) interp.push({ x: 0.1 * i, y: 0.5, landmarks: null }, i * interval);
+    return (count - 1) * interval;
+  }
+
+  test('learns the detection interval', () => {
+    const interp = new HandInterpolator();
+    feed(interp, 20, 50);
+    assert.ok(close(interp.interval, 50, 0.5));
+  });
+
+  test('glides from where it was drawn to the latest detection', () => {
+    const interp = new HandInterpolator();
+    const t = feed(interp, 20, 50);
+    // The previous detection had been reached, so the glide starts there
+    assert.ok(close(interp.at(t).x, 1.8, 1e-6));
+    assert.ok(close(interp.at(t + 25).x, 1.85, 1e-3));
+    assert.ok(close(interp.at(t + 50).x, 1.9, 1e-3));
+    assert.ok(close(interp.at(t + 80).x, 1.9, 1e-6), 'holds the latest until the next one');
+  });
+
+  test('interpolates the landmarks with the position', () => {
+    const interp = new HandInterpolator();
+    interp.push({ x: 0, y: 0, landmarks: [{ x: 0, y: 0, z: 0 }] }, 0);
+    interp.push({ x: 0, y: 0, landmarks: [{ x: 0, y: 0, z: 0 }] }, 40);
+    interp.push({ x: 1, y: 0, landmarks: [{ x: 1, y: 1, z: 0 }] }, 80);
+    const { landmarks } = interp.at(80 + interp.interval / 2);
+    assert.ok(close(landmarks[0].x, 0.5, 1e-6));
+    assert.ok(close(landmarks[0].y, 0.5, 1e-6));
+  });
+
+  test('a lost hand disappears at once and reappears without gliding in', () => {
+    const interp = new HandInterpolator();
+    let t = feed(interp, 5);
+    interp.push(null, t += 33);
+    assert.equal(interp.at(t), null);
+    interp.push({ x: 0.9, y: 0.1, landmarks: null }, t += 33);
+    assert.equal(interp.at(t).x, 0.9);
+  });
+
+  test('a stale detection stops counting as a tracked hand', () => {
+    const interp = new HandInterpolator({ maxAge: 250 });
+    const t = feed(interp, 5);
+    assert.ok(interp.at(t + 200));
+    assert.equal(interp.at(t + 300), null);
+  });
+});
+
+describe('PoseDetection in a worker', () => {
+  /** One right hand, its center at `x` in camera space (mirrored on output) */
+  function handResults(x) {
+    const landmarks = Array.from({ length: 21 }, () => ({ x, y: 0.5, z: 0 }));
+    return { landmarks: [landmarks], handednesses: [[{ categoryName: 'Right' }]] };
+  }
+
+  test('hands move every display frame between detections', async () => {
+    const posted = [];
+    globalThis.createImageBitmap = async () => ({ close() {} });
+    const detection = new PoseDetection({ worker: false, tracking: { parts: 'hands' } });
+    detection.setFilter('none');
+    detection.worker = { postMessage: (message) => posted.push(message) };
+    detection.videoElement = { readyState: 4, currentTime: 0 };
+    detection.isReady = true;
+
+    const xs = [];
+    for (let frame = 0; frame < 40; frame++) {
+      const t = 1000 + frame * (1000 / 60);
+      detection.videoElement.currentTime = t / 1000;
+      // Detections come back every other display frame, the hand moving right on screen
+      if (frame % 2 === 0) {
+        detection._onWorkerMessage({ type: 'results', pose: null, hands: handResults(0.8 - 0.02 * (frame / 2)) });
+      }
+      detection.detect(t);
+      await Promise.resolve();
+      xs.push(detection.getHands().right.x);
+    }
+
+    assert.ok(posted.length > 0, 'frames are sent to the worker');
+    for (let i = 21; i < xs.length; i++) {
+      assert.ok(xs[i] > xs[i - 1], 'the hand advances on every frame, not every other one');
+    }
+    assert.equal(detection.getHands().right.visible, true);
+    delete globalThis.createImageBitmap;
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Headless harness for driving GameEngine from plain Node.
+ * No DOM, no camera: hands are scripted as functions of time.
+ */
+import { GameEngine } from '../js/gameEngine.js';
+import { getEntityType } from '../js/entityTypes.js';
+
+export const FRAME_DT = 1 / 60;
+
+/** A hand in the shape PoseDetection produces */
+export function makeHand(overrides = {}) {
+  const hand = { x: 0, y: 0, vx: 0, vy: 0, speed: 0, visible: false, ...overrides };
+  hand.speed = Math.sqrt(hand.vx * hand.vx + hand.vy * hand.vy);
+  return hand;
+}
+
+export function idleHands() {
+  return { left: makeHand(), right: makeHand() };
+}
+
+/**
+ * Straight-line swipe from `from` to `to` over `duration` seconds.
+ * Returns a trajectory (t → hand); the hand is hidden outside the swipe.
+ */
+export function swipe(from, to, duration = 0.2) {
+  const vx = (to.x - from.x) / duration;
+  const vy = (to.y - from.y) / duration;
+  return (t) => {
+    if (t < 0 || t > duration) return makeHand();
+    const k = t / duration;
+    return makeHand({
+      x: from.x + (to.x - from.x) * k,
+      y: from.y + (to.y - from.y) * k,
+      vx,
+      vy,
+      visible: true,
+    });
+  };
+}
+
+/** Delay a trajectory so it starts at `start` seconds */
+export function after(start, trajectory) {
+  return (t) => trajectory(t - start);
+}
+
+/**
+ * New engine with a fixed seed. Pass { spawning: false } to keep the
+ * field empty so tests can place objects themselves. Critical hits are off
+ * so point totals are exact; pass { criticals: true } to keep them.
+ */
+export function createEngine({ seed = 1, spawning = true, criticals = false, ...options } = {}) {
+  const engine = new GameEngine({ seed, ...options });
+  engine.reset({ seed });
+  if (!spawning) disableSpawning(engine);
+  if (!criticals) engine.criticalChance = 0;
+  return engine;
+}
+
+export function disableSpawning(engine) {
+  engine.spawnTimer = -Infinity;
+}
+
+/**
+ * Put an object on the field at a known position.
+ * @param {GameEngine} engine
+ * @param {Object} props - { type: entity type id (see entityTypes.js), x, y, ... }
+ */
+export function placeObject(engine, props) {
+  const obj = engine._spawnObject();
+  const def = getEntityType(props.type || 'apple');
+  Object.assign(obj, { type: def.id, kind: def.kind, missable: def.missable, maxSlices: def.maxSlices || 3 });
+  Object.assign(obj, { vx: 0, vy: 0, rotationSpeed: 0 }, props);
+  return obj;
+}
+
+/**
+ * Step the engine.
+ * Scripted hands are stamped like PoseDetection samples: t (ms of game time)
+ * plus prev, the previous visible sample, so swept collision sees real paths.
+ * @param {GameEngine} engine
+ * @param {number} seconds - simulated time to run
+ * @param {Object} [script] - { left: t → hand, right: t → hand }
+ * @returns {Object} totals of everything that happened
+ */
+export function run(engine, seconds, script = {}, dt = FRAME_DT) {
+  const result = { frames: 0, spawned: [], removed: [], hits: [] };
+  const start = engine.elapsed;
+  const frames = Math.round(seconds / dt);
+  const last = { left: null, right: null };
+
+  for (let i = 0; i < frames && !engine.isGameOver; i++) {
+    const t = engine.elapsed - start;
+    const hands = {};
+    for (const side of ['left', 'right']) {
+      const hand = script[side] ? script[side](t) : makeHand();
+      if (hand.visible) {
+        hand.t = engine.elapsed * 1000;
+        hand.prev = last[side];
+        last[side] = { x: hand.x, y: hand.y, t: hand.t, blade: hand.blade || null };
+      } else {
+        last[side] = null;
+      }
+      hands[side] = hand;
+    }
+    const info = engine.update(dt, hands);
+    result.frames++;
+    result.spawned.push(...info.spawned);
+    result.removed.push(...info.removed);
+    result.hits.push(...info.hits);
+  }
+  return result;
+}
+
+/** Hands for a single frame: right blade sweeping across `obj` right now */
+export function slashAt(obj, { vx = 3, vy = 0, side = 'right' } = {}) {
+  const hands = idleHands();
+  hands[side] = makeHand({ x: obj.x, y: obj.y, vx, vy, visible: true });
+  return hands;
+}
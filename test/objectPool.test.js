@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectPool } from '../js/objectPool.js';
+
+function makePool(initialSize) {
+  let created = 0;
+  const pool = new ObjectPool(
+    () => ({ n: ++created, used: false }),
+    (obj) => { obj.used = false; },
+    initialSize,
+  );
+  return { pool, created: () => created };
+}
+
+test('pre-allocates the initial size', () => {
+  const { pool, created } = makePool(5);
+  assert.equal(created(), 5);
+  assert.equal(pool.pool.length, 5);
+  assert.equal(pool.getActive().length, 0);
+});
+
+test('acquire reuses pooled objects before creating new ones', () => {
+  const { pool, created } = makePool(1);
+  const a = pool.acquire();
+  const b = pool.acquire();
+  assert.equal(created(), 2);
+  assert.notEqual(a, b);
+  assert.deepEqual(pool.getActive(), [a, b]);
+});
+
+test('release resets the object and returns it to the pool', () => {
+  const { pool } = makePool(0);
+  const a = pool.acquire();
+  a.used = true;
+  pool.release(a);
+  assert.equal(a.used, false);
+  assert.equal(pool.getActive().length, 0);
+  assert.equal(pool.acquire(), a);
+});
+
+test('releaseAll recycles every active object', () => {
+  const { pool, created } = makePool(0);
+  const objs = [pool.acquire(), pool.acquire(), pool.acquire()];
+  objs.forEach(o => { o.used = true; });
+  pool.releaseAll();
+  assert.equal(pool.getActive().length, 0);
+  assert.ok(objs.every(o => !o.used));
+  pool.acquire(); pool.acquire(); pool.acquire();
+  assert.equal(created(), 3);
+});
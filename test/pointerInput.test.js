@@ -0,0 +1,142 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PointerInput } from '../js/pointerInput.js';
+import { createHand, trackHand } from '../js/handMotion.js';
+import { FRAME_DT, createEngine, placeObject } from './harness.js';
+
+/** Just enough of an element for PointerInput: listeners and a 200×100 box */
+function fakeElement() {
+  const listeners = {};
+  return {
+    listeners,
+    addEventListener(type, fn) { listeners[type] = fn; },
+    removeEventListener(type) { delete listeners[type]; },
+    getBoundingClientRect() { return { left: 0, top: 0, width: 200, height: 100 }; },
+    setPointerCapture() {},
+  };
+}
+
+function attached() {
+  const element = fakeElement();
+  const input = new PointerInput();
+  input.attach(element);
+  const fire = (type, { id = 1, pointerType = 'mouse', x, y }) => element.listeners[type]({
+    type,
+    pointerId: id,
+    pointerType,
+    clientX: x * 200,
+    clientY: y * 100,
+    preventDefault() {},
+  });
+  return { input, fire };
+}
+
+describe('trackHand', () => {
+  test('velocity is measured across the recent samples', () => {
+    const hand = createHand();
+    const history = [];
+    trackHand(hand, history, 0.1, 0.5, 0);
+    trackHand(hand, history, 0.2, 0.5, 100);
+    trackHand(hand, history, 0.3, 0.4, 200);
+    assert.ok(hand.visible);
+    assert.ok(Math.abs(hand.vx - 1) < 1e-9);
+    assert.ok(Math.abs(hand.vy + 0.5) < 1e-9);
+    assert.deepEqual({ x: hand.prev.x, t: hand.prev.t }, { x: 0.2, t: 100 });
+  });
+
+  test('a long gap starts a new swipe', () => {
+    const hand = createHand();
+    const history = [];
+    trackHand(hand, history, 0.1, 0.5, 0);
+    trackHand(hand, history, 0.9, 0.5, 1000);
+    assert.equal(hand.prev, null);
+    assert.equal(history.length, 1);
+  });
+});
+
+describe('PointerInput', () => {
+  test('a mouse hovers as a closed hand and drags as an open blade', () => {
+    const { input, fire } = attached();
+    fire('pointermove', { x: 0.5, y: 0.5 });
+    input.detect(0);
+    assert.equal(input.getHands().right.visible, true);
+    assert.equal(input.getHandOpen().right, false);
+
+    fire('pointerdown', { x: 0.5, y: 0.5 });
+    input.detect(16);
+    assert.equal(input.getHandOpen().right, true);
+    assert.equal(input.getPrevHandOpen().right, false);
+
+    fire('pointerup', { x: 0.6, y: 0.5 });
+    input.detect(32);
+    assert.equal(input.getHands().right.visible, true);
+    assert.equal(input.getHandOpen().right, false);
+
+    fire('pointerleave', { x: 1, y: 0.5 });
+    input.detect(48);
+    assert.equal(input.getHands().right.visible, false);
+  });
+
+  test('two fingers are two hands, gone when lifted', () => {
+    const { input, fire } = attached();
+    fire('pointerdown', { id: 1, pointerType: 'touch', x: 0.7, y: 0.5 });
+    fire('pointerdown', { id: 2, pointerType: 'touch', x: 0.3, y: 0.5 });
+    input.detect(0);
+    const hands = input.getHands();
+    assert.equal(hands.right.x, 0.7);
+    assert.equal(hands.left.x, 0.3);
+    assert.deepEqual(input.getHandOpen(), { left: true, right: true });
+
+    fire('pointerup', { id: 1, pointerType: 'touch', x: 0.7, y: 0.5 });
+    input.detect(16);
+    assert.equal(hands.right.visible, false);
+    assert.equal(hands.left.visible, true);
+  });
+
+  test('a finger that never touched down is ignored', () => {
+    const { input, fire } = attached();
+    fire('pointermove', { pointerType: 'touch', x: 0.5, y: 0.5 });
+    input.detect(0);
+    assert.equal(input.getHands().right.visible, false);
+  });
+
+  test('in two-player mode each half of the screen is a player', () => {
+    const { input, fire } = attached();
+    input.setPlayerCount(2);
+    fire('pointerdown', { id: 1, pointerType: 'touch', x: 0.8, y: 0.5 });
+    fire('pointerdown', { id: 2, pointerType: 'touch', x: 0.2, y: 0.5 });
+    input.detect(0);
+    assert.equal(input.getHands(0).left.x, 0.2);
+    assert.equal(input.getHands(1).right.x, 0.8);
+    assert.equal(input.getHands(0).right.visible, false);
+  });
+
+  test('a mouse drag across a fruit slices it', () => {
+    const { input, fire } = attached();
+    const engine = createEngine({ spawning: false });
+    const apple = placeObject(engine, { x: 0.5, y: 0.5 });
+
+    fire('pointerdown', { x: 0.2, y: 0.5 });
+    for (let i = 0; i <= 12; i++) {
+      fire('pointermove', { x: 0.2 + i * 0.05, y: 0.5 });
+      input.detect(i * FRAME_DT * 1000);
+      const hands = input.getHands();
+      const open = input.getHandOpen();
+      engine.update(FRAME_DT, {
+        left: { ...hands.left, visible: hands.left.visible && open.left },
+        right: { ...hands.right, visible: hands.right.visible && open.right },
+      });
+    }
+    assert.ok(apple.fading);
+    assert.equal(engine.stats.fruitsSliced, 1);
+  });
+
+  test('detaching forgets every pointer', () => {
+    const { input, fire } = attached();
+    fire('pointerdown', { x: 0.5, y: 0.5 });
+    input.detach();
+    input.detect(0);
+    assert.equal(input.getHands().right.visible, false);
+    assert.equal(input.element, null);
+  });
+});
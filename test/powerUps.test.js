@@ -0,0 +1,141 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { POWER_UPS, POWER_UP_IDS } from '../js/powerUps.js';
+import { DifficultyProfile } from '../js/difficulty.js';
+import {
+  FRAME_DT, createEngine, disableSpawning, placeObject, run, slashAt, makeHand,
+} from './harness.js';
+
+function arcadeEngine(options = {}) {
+  const engine = createEngine(options);
+  engine.reset({ mode: 'arcade' });
+  disableSpawning(engine);
+  return engine;
+}
+
+function collect(engine, id) {
+  const obj = placeObject(engine, { type: id, x: 0.5, y: 0.5 });
+  engine.update(FRAME_DT, slashAt(obj));
+  return obj;
+}
+
+describe('power-up lifecycle', () => {
+  test('slicing a power-up starts its timer, which runs out in real time', () => {
+    const engine = arcadeEngine();
+    const started = [];
+    const ended = [];
+    engine.onPowerUp = (obj, powerUp) => started.push(powerUp.id);
+    engine.onPowerUpEnd = (id) => ended.push(id);
+
+    const obj = collect(engine, 'freeze');
+    assert.ok(obj.fading);
+    assert.deepEqual(started, ['freeze']);
+    assert.equal(engine.stats.powerUps, 1);
+    assert.ok(engine.activePowerUps.freeze > 0);
+
+    run(engine, POWER_UPS.freeze.duration + 0.1);
+    assert.deepEqual(ended, ['freeze']);
+    assert.ok(!('freeze' in engine.activePowerUps));
+  });
+
+  test('collecting the same power-up again restarts its timer', () => {
+    const engine = arcadeEngine();
+    collect(engine, 'double');
+    run(engine, 3);
+    collect(engine, 'double');
+    assert.equal(engine.activePowerUps.double, POWER_UPS.double.duration);
+  });
+
+  test('power-ups never split, score or count as misses', () => {
+    const engine = createEngine({ spawning: false });
+    engine.reset({ mode: 'classic' });
+    disableSpawning(engine);
+    const info = engine.update(FRAME_DT, slashAt(collect(engine, 'blade')));
+    assert.equal(info.spawned.length, 0);
+    assert.equal(engine.score, 0);
+
+    placeObject(engine, { type: 'frenzy', x: 0.5, y: 1.19, vy: 1 });
+    run(engine, 0.1);
+    assert.equal(engine.strikes, 0);
+  });
+
+  test('reset() clears running power-ups', () => {
+    const engine = arcadeEngine();
+    collect(engine, 'blade');
+    engine.reset();
+    assert.deepEqual(engine.activePowerUps, {});
+    assert.equal(engine.bladeReach, 1);
+  });
+});
+
+describe('power-up effects', () => {
+  test('freeze slows object motion but not the clock', () => {
+    const engine = arcadeEngine({ difficulty: new DifficultyProfile({ gravity: 0 }) });
+    collect(engine, 'freeze');
+    const apple = placeObject(engine, { x: 0.5, y: 0.2, vy: 0.5 });
+    const clock = engine.timeRemaining;
+    run(engine, 1);
+    assert.ok(Math.abs(apple.y - (0.2 + 0.5 * POWER_UPS.freeze.timeScale)) < 0.01);
+    assert.ok(Math.abs(clock - engine.timeRemaining - 1) < 2 * FRAME_DT);
+  });
+
+  test('double points doubles slice score', () => {
+    const engine = arcadeEngine();
+    collect(engine, 'double');
+    const apple = placeObject(engine, { x: 0.3, y: 0.5 });
+    engine.update(FRAME_DT, slashAt(apple));
+    assert.equal(engine.score, 20);
+  });
+
+  test('long blade reaches fruit past the normal tip', () => {
+    const engine = arcadeEngine();
+    const blade = { baseX: 0.5, baseY: 0.8, tipX: 0.5, tipY: 0.5, halfWidth: 0.01 };
+    const hands = () => ({
+      left: makeHand(),
+      right: makeHand({ x: 0.5, y: 0.65, vx: 3, visible: true, blade }),
+    });
+
+    const apple = placeObject(engine, { x: 0.5, y: 0.35 });
+    engine.update(FRAME_DT, hands());
+    assert.ok(!apple.fading);
+
+    collect(engine, 'blade');
+    engine.update(FRAME_DT, hands());
+    assert.ok(apple.fading);
+  });
+
+  test('frenzy throws fruit in from both sides while it runs', () => {
+    const engine = arcadeEngine();
+    collect(engine, 'frenzy');
+    const burst = run(engine, POWER_UPS.frenzy.duration).spawned;
+    assert.ok(burst.length >= 10);
+    assert.ok(burst.some(o => o.vx > 0) && burst.some(o => o.vx < 0));
+    assert.ok(burst.every(o => o.kind === 'fruit'));
+
+    const after = run(engine, 2).spawned;
+    assert.equal(after.length, 0);
+  });
+});
+
+describe('power-up spawning', () => {
+  const generous = new DifficultyProfile({
+    curves: { bombChance: [[0, 0]], heartChance: [[0, 0]], powerUpChance: [[0, 0.5]] },
+    patterns: { random: 1 },
+  });
+
+  test('modes with power-ups spawn every kind', () => {
+    const engine = createEngine({ difficulty: generous });
+    engine.reset({ mode: 'arcade' });
+    const spawned = run(engine, 60).spawned;
+    const kinds = new Set(spawned.filter(o => o.kind === 'powerUp').map(o => o.type));
+    assert.deepEqual([...kinds].sort(), [...POWER_UP_IDS].sort());
+  });
+
+  test('other modes never spawn power-ups', () => {
+    const engine = createEngine({ difficulty: generous });
+    engine.reset({ mode: 'endless' });
+    const spawned = run(engine, 30).spawned;
+    assert.ok(spawned.length > 0);
+    assert.ok(spawned.every(o => o.kind !== 'powerUp'));
+  });
+});
@@ -0,0 +1,136 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionRecorder, SessionPlayer, RECORDING_VERSION } from '../js/sessionRecorder.js';
+import { FRAME_DT, makeHand, createEngine } from './harness.js';
+
+const META = { seed: 7, mode: 'endless', difficulty: null, minSliceSpeed: 0.8 };
+
+/** A hand sweeping back and forth across the field; fist every other second */
+function sweepingHand(t) {
+  return {
+    hand: makeHand({
+      x: 0.5 + 0.4 * Math.sin(t * 6),
+      y: 0.5 + 0.25 * Math.sin(t * 2.3),
+      vx: 2.4 * Math.cos(t * 6),
+      vy: 0.575 * Math.cos(t * 2.3),
+      visible: true,
+    }),
+    open: Math.floor(t) % 2 === 0,
+  };
+}
+
+function landmarks(count, offset) {
+  return Array.from({ length: count }, (_, i) => ({ x: offset + i / 1e5, y: 0.123456, z: -0.0000123, visibility: 0.987654 }));
+}
+
+/**
+ * Play `seconds` of a seeded game the way the game loop does, recording it.
+ * @returns {{ recording: Object, engine: GameEngine, frames: Object[] }} frames: what was recorded, per frame
+ */
+function playAndRecord(seconds) {
+  const engine = createEngine({ seed: META.seed });
+  const recorder = new SessionRecorder();
+  recorder.start(META);
+  const frames = [];
+  let prev = null;
+  for (let i = 0; i < Math.round(seconds / FRAME_DT) && !engine.isGameOver; i++) {
+    const { hand, open } = sweepingHand(engine.elapsed);
+    hand.t = engine.elapsed * 1000;
+    hand.prev = prev;
+    prev = { x: hand.x, y: hand.y, t: hand.t, blade: null };
+
+    const hands = { left: hand, right: makeHand() };
+    const handOpen = { left: open, right: false };
+    const frame = {
+      dt: FRAME_DT,
+      hands: { left: { ...hands.left, visible: open }, right: hands.right },
+      tracked: { left: true, right: false },
+      handOpen,
+      handLandmarks: { left: landmarks(21, hand.x), right: null },
+      poseLandmarks: i % 2 ? landmarks(33, 0.3) : null,
+    };
+    recorder.recordFrame(frame);
+    frames.push(frame);
+    engine.update(frame.dt, frame.hands);
+  }
+  return { recording: recorder.stop(), engine, frames };
+}
+
+function closeTo(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) <= 5e-5, `${message}: ${actual} vs ${expected}`);
+}
+
+describe('SessionRecorder → SessionPlayer', () => {
+  test('a serialized recording plays back the same frames', () => {
+    const { recording, frames } = playAndRecord(3);
+    const player = new SessionPlayer(SessionRecorder.parse(SessionRecorder.serialize(recording)));
+    assert.equal(player.seed, META.seed);
+    assert.equal(player.frameCount, frames.length);
+
+    for (const [i, frame] of frames.entries()) {
+      assert.equal(player.nextDt, frame.dt);
+      assert.ok(player.detect(), `frame ${i}`);
+      assert.equal(player.dt, frame.dt);
+      assert.deepEqual(player.getHandOpen(), frame.handOpen);
+      const hands = player.getHands();
+      for (const side of ['left', 'right']) {
+        assert.equal(hands[side].visible, frame.tracked[side], `frame ${i} ${side} tracked`);
+        const { visible: _v, ...recorded } = frame.hands[side];
+        const { visible: _w, ...played } = hands[side];
+        assert.deepEqual(played, JSON.parse(JSON.stringify(recorded)), `frame ${i} ${side} hand`);
+      }
+      if (i > 0) assert.deepEqual(player.getPrevHandOpen(), frames[i - 1].handOpen);
+
+      // Landmarks are rounded for rendering, so only close
+      const lm = player.getHandLandmarks();
+      assert.equal(lm.right, null);
+      assert.equal(lm.left.length, 21);
+      lm.left.forEach((p, j) => {
+        closeTo(p.x, frame.handLandmarks.left[j].x, 'hand x');
+        closeTo(p.z, frame.handLandmarks.left[j].z, 'hand z');
+      });
+      const pose = player.getPoseLandmarks();
+      if (frame.poseLandmarks === null) {
+        assert.equal(pose, null);
+      } else {
+        assert.equal(pose.length, 33);
+        closeTo(pose[5].visibility, frame.poseLandmarks[5].visibility, 'pose visibility');
+      }
+    }
+    assert.ok(player.finished);
+    assert.equal(player.detect(), false);
+    assert.equal(player.nextDt, 0);
+  });
+
+  test('a replay through a fresh engine with the seed reproduces the score', () => {
+    const { recording, engine: original } = playAndRecord(20);
+    assert.ok(original.score > 0, 'the recorded run scored');
+
+    const player = new SessionPlayer(SessionRecorder.parse(SessionRecorder.serialize(recording)));
+    const replayed = createEngine({ seed: player.seed });
+    while (player.detect()) {
+      // As the game loop does: only open hands slice
+      const hands = player.getHands();
+      const open = player.getHandOpen();
+      replayed.update(player.dt, {
+        left: { ...hands.left, visible: hands.left.visible && open.left },
+        right: { ...hands.right, visible: hands.right.visible && open.right },
+      });
+    }
+    assert.equal(replayed.score, original.score);
+    assert.equal(replayed.stats.fruitsSliced, original.stats.fruitsSliced);
+    assert.equal(replayed.elapsed, original.elapsed);
+  });
+});
+
+describe('SessionRecorder.parse', () => {
+  test('rejects an unknown version', () => {
+    const text = JSON.stringify({ version: RECORDING_VERSION + 1, seed: 1, frames: [] });
+    assert.throws(() => SessionRecorder.parse(text), /Unsupported recording version/);
+  });
+
+  test('rejects JSON that isn\'t a recording', () => {
+    assert.throws(() => SessionRecorder.parse('{"seed": 1}'), /Not a Vision Slice recording/);
+    assert.throws(() => SessionRecorder.parse('null'), /Not a Vision Slice recording/);
+  });
+});
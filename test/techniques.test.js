@@ -0,0 +1,158 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TECHNIQUES, TechniqueDetector } from '../js/techniques.js';
+import {
+  FRAME_DT, createEngine, placeObject, run, slashAt, makeHand, swipe,
+} from './harness.js';
+
+function trackTechniques(engine) {
+  const done = [];
+  engine.onTechnique = (technique, points, info) => done.push({ id: technique.id, points, chain: info.chain });
+  return done;
+}
+
+describe('TechniqueDetector', () => {
+  test('alternating hands build a rhythm chain that pays from minChain', () => {
+    const detector = new TechniqueDetector();
+    const { minChain, window } = TECHNIQUES.rhythm;
+    let done = [];
+    for (let i = 0; i < minChain; i++) {
+      const side = i % 2 === 0 ? 'left' : 'right';
+      done = detector.recordHit({ rootId: i + 1 }, [side], i * window * 0.5);
+    }
+    assert.deepEqual(done.map(d => [d.technique.id, d.chain]), [['rhythm', minChain]]);
+  });
+
+  test('the same hand twice or a late slice restarts the rhythm', () => {
+    const detector = new TechniqueDetector();
+    detector.recordHit({ rootId: 1 }, ['left'], 0);
+    detector.recordHit({ rootId: 2 }, ['right'], 0.2);
+    detector.recordHit({ rootId: 3 }, ['right'], 0.4);
+    assert.equal(detector.rhythm.chain, 1);
+    detector.recordHit({ rootId: 4 }, ['left'], 0.6);
+    assert.equal(detector.rhythm.chain, 2);
+    detector.recordHit({ rootId: 5 }, ['right'], 0.6 + TECHNIQUES.rhythm.window + 0.1);
+    assert.equal(detector.rhythm.chain, 1);
+  });
+
+  test('other blade on the same fruit within the window is an X-slash, once', () => {
+    const detector = new TechniqueDetector();
+    const ids = (done) => done.map(d => d.technique.id);
+    assert.deepEqual(ids(detector.recordHit({ rootId: 7 }, ['left'], 0)), []);
+    assert.deepEqual(ids(detector.recordHit({ rootId: 7 }, ['right'], 0.1)), ['xSlash']);
+    assert.deepEqual(ids(detector.recordHit({ rootId: 7 }, ['left'], 0.15)), []);
+
+    // Too slow
+    detector.recordHit({ rootId: 8 }, ['left'], 1);
+    assert.deepEqual(ids(detector.recordHit({ rootId: 8 }, ['right'], 1 + TECHNIQUES.xSlash.window + 0.1)), []);
+  });
+
+  test('a clap needs both hands close and closing in fast', () => {
+    const detector = new TechniqueDetector();
+    const hands = (gap, speed) => ({
+      left: makeHand({ x: 0.5 - gap / 2, y: 0.5, vx: speed / 2, visible: true }),
+      right: makeHand({ x: 0.5 + gap / 2, y: 0.5, vx: -speed / 2, visible: true }),
+    });
+    assert.equal(detector.detectClap(hands(0.5, 3), 0), null, 'too far apart');
+    assert.equal(detector.detectClap(hands(0.2, 0.5), 0), null, 'too slow');
+    assert.equal(detector.detectClap({ ...hands(0.2, 3), right: makeHand() }, 0), null, 'one hand');
+    const clap = detector.detectClap(hands(0.2, 3), 0);
+    assert.ok(clap);
+    assert.ok(Math.abs(clap.speed - 3) < 1e-9);
+
+    detector.clapped(0);
+    assert.equal(detector.detectClap(hands(0.2, 3), 0.1), null, 'cooling down');
+    assert.ok(detector.detectClap(hands(0.2, 3), TECHNIQUES.clap.cooldown));
+  });
+});
+
+describe('engine techniques', () => {
+  test('both blades through one fruit in the same frame is an X-slash', () => {
+    const engine = createEngine({ spawning: false });
+    const done = trackTechniques(engine);
+    const apple = placeObject(engine, { x: 0.5, y: 0.5 });
+    const hands = {
+      left: makeHand({ x: 0.5, y: 0.5, vx: 2, vy: 2, visible: true }),
+      right: makeHand({ x: 0.5, y: 0.5, vx: -2, vy: 2, visible: true }),
+    };
+    const { hits } = engine.update(FRAME_DT, hands);
+    assert.deepEqual(hits[0].sides, ['left', 'right']);
+    assert.equal(hits[0].object, apple);
+    assert.deepEqual(done.map(d => d.id), ['xSlash']);
+    assert.equal(engine.scoreBreakdown.techniques, TECHNIQUES.xSlash.points);
+    assert.equal(engine.score, 10 + TECHNIQUES.xSlash.points);
+  });
+
+  test('cutting a half with the other blade completes the X', () => {
+    const engine = createEngine({ spawning: false });
+    const done = trackTechniques(engine);
+    const apple = placeObject(engine, { x: 0.5, y: 0.5 });
+    const [half] = engine.update(FRAME_DT, slashAt(apple, { side: 'left' })).spawned;
+    assert.equal(half.rootId, apple.rootId);
+    run(engine, 0.1);
+    engine.update(FRAME_DT, slashAt(half, { side: 'right' }));
+    assert.deepEqual(done.map(d => d.id), ['xSlash']);
+  });
+
+  test('re-cutting with the same blade is not an X-slash', () => {
+    const engine = createEngine({ spawning: false });
+    const done = trackTechniques(engine);
+    const apple = placeObject(engine, { x: 0.5, y: 0.5 });
+    const [half] = engine.update(FRAME_DT, slashAt(apple)).spawned;
+    run(engine, 0.1);
+    engine.update(FRAME_DT, slashAt(half));
+    assert.deepEqual(done, []);
+  });
+
+  test('clapping through a fruit crushes it before either blade reaches it', () => {
+    const engine = createEngine({ spawning: false });
+    const done = trackTechniques(engine);
+    const apple = placeObject(engine, { x: 0.5, y: 0.5 });
+    const result = run(engine, 0.4, {
+      left: swipe({ x: 0.2, y: 0.5 }, { x: 0.48, y: 0.5 }, 0.2),
+      right: swipe({ x: 0.8, y: 0.5 }, { x: 0.52, y: 0.5 }, 0.2),
+    });
+    assert.ok(apple.fading);
+    assert.deepEqual(result.hits[0].sides, ['left', 'right']);
+    assert.deepEqual(done.map(d => d.id), ['clap']);
+    assert.equal(engine.scoreBreakdown.techniques, TECHNIQUES.clap.points);
+  });
+
+  test('clapping on empty air pays nothing', () => {
+    const engine = createEngine({ spawning: false });
+    const done = trackTechniques(engine);
+    run(engine, 0.4, {
+      left: swipe({ x: 0.2, y: 0.5 }, { x: 0.48, y: 0.5 }, 0.2),
+      right: swipe({ x: 0.8, y: 0.5 }, { x: 0.52, y: 0.5 }, 0.2),
+    });
+    assert.deepEqual(done, []);
+    assert.equal(engine.score, 0);
+  });
+
+  test('left-right-left-right slices pay a growing rhythm bonus', () => {
+    const engine = createEngine({ spawning: false });
+    const done = trackTechniques(engine);
+    const { minChain, points } = TECHNIQUES.rhythm;
+    for (let i = 0; i < minChain + 1; i++) {
+      const apple = placeObject(engine, { x: 0.1 + i * 0.15, y: 0.5 });
+      engine.update(FRAME_DT, slashAt(apple, { side: i % 2 === 0 ? 'left' : 'right' }));
+      run(engine, 0.2);
+    }
+    assert.deepEqual(done.map(d => [d.id, d.chain, d.points]), [
+      ['rhythm', minChain, points],
+      ['rhythm', minChain + 1, points * 2],
+    ]);
+    assert.equal(engine.stats.techniques, 2);
+  });
+
+  test('one hand alone never builds a rhythm', () => {
+    const engine = createEngine({ spawning: false });
+    const done = trackTechniques(engine);
+    for (let i = 0; i < 6; i++) {
+      const apple = placeObject(engine, { x: 0.1 + i * 0.15, y: 0.5 });
+      engine.update(FRAME_DT, slashAt(apple));
+      run(engine, 0.2);
+    }
+    assert.deepEqual(done, []);
+  });
+});
@@ -0,0 +1,62 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TRACKING, trackingSettings, createWithFallback, describeTracking } from '../js/trackingSetup.js';
+
+describe('createWithFallback', () => {
+  test('falls back to the CPU when the GPU won\'t start', async () => {
+    const tried = [];
+    const result = await createWithFallback(async (delegate) => {
+      tried.push(delegate);
+      if (delegate === 'GPU') throw new Error('WebGL unavailable');
+      return { delegate };
+    }, ['GPU', 'CPU']);
+    assert.deepEqual(tried, ['GPU', 'CPU']);
+    assert.equal(result.delegate, 'CPU');
+    assert.deepEqual(result.landmarker, { delegate: 'CPU' });
+  });
+
+  test('stops at the first delegate that starts', async () => {
+    const tried = [];
+    const result = await createWithFallback(async (delegate) => { tried.push(delegate); return {}; }, ['GPU', 'CPU']);
+    assert.deepEqual(tried, ['GPU']);
+    assert.equal(result.delegate, 'GPU');
+  });
+
+  test('throws the last error when nothing starts', async () => {
+    await assert.rejects(
+      createWithFallback(async (delegate) => { throw new Error(`${delegate} failed`); }, ['GPU', 'CPU']),
+      /CPU failed/,
+    );
+  });
+});
+
+describe('trackingSettings', () => {
+  test('defaults to everything on the fastest models, GPU first', () => {
+    assert.deepEqual(trackingSettings(), DEFAULT_TRACKING);
+    assert.deepEqual(trackingSettings(null), DEFAULT_TRACKING);
+  });
+
+  test('keeps valid choices and drops unknown ones', () => {
+    const settings = trackingSettings({ parts: 'hands', poseModel: 'heavy', handModel: 'lite', backend: 'quantum' });
+    assert.equal(settings.parts, 'hands');
+    assert.equal(settings.poseModel, 'heavy');
+    assert.equal(settings.handModel, 'full', 'there is no lite hand model');
+    assert.equal(settings.backend, 'auto');
+  });
+});
+
+describe('describeTracking', () => {
+  test('names the backend once when both models share it', () => {
+    const status = { pose: { model: 'lite', delegate: 'GPU' }, hands: { model: 'full', delegate: 'GPU' } };
+    assert.equal(describeTracking(status), 'GPU • pose lite • hands full');
+  });
+
+  test('per model when they ended up on different backends', () => {
+    const status = { pose: { model: 'heavy', delegate: 'GPU' }, hands: { model: 'full', delegate: 'CPU' } };
+    assert.equal(describeTracking(status), 'pose heavy on GPU • hands full on CPU');
+  });
+
+  test('leaves out what isn\'t tracked', () => {
+    assert.equal(describeTracking({ pose: null, hands: { model: 'full', delegate: 'CPU' } }), 'CPU • hands full');
+  });
+});
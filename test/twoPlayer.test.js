@@ -0,0 +1,130 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignHandsToPlayers, toFieldHands, SplitScreenMatch } from '../js/twoPlayer.js';
+import {
+  FRAME_DT, createEngine, disableSpawning, placeObject, makeHand, idleHands,
+} from './harness.js';
+
+/** Mirrored pose landmarks: shoulders around `x`, wrists at the given points */
+function makePose(x, leftWrist, rightWrist) {
+  const pose = Array.from({ length: 33 }, () => ({ x, y: 0.5, z: 0, visibility: 1 }));
+  pose[11] = { x: x - 0.05, y: 0.3, z: 0, visibility: 1 };
+  pose[12] = { x: x + 0.05, y: 0.3, z: 0, visibility: 1 };
+  pose[15] = { ...leftWrist, z: 0, visibility: 1 };
+  pose[16] = { ...rightWrist, z: 0, visibility: 1 };
+  return pose;
+}
+
+function match({ spawning = false } = {}) {
+  const m = new SplitScreenMatch([createEngine(), createEngine()]);
+  m.reset({ seed: 7 });
+  if (!spawning) m.engines.forEach(disableSpawning);
+  for (const engine of m.engines) engine.criticalChance = 0;
+  return m;
+}
+
+describe('assignHandsToPlayers', () => {
+  test('hands go to the person whose wrist they are at, players left to right', () => {
+    const right = makePose(0.75, { x: 0.65, y: 0.5 }, { x: 0.85, y: 0.5 });
+    const left = makePose(0.25, { x: 0.15, y: 0.5 }, { x: 0.35, y: 0.5 });
+    // Handedness deliberately wrong: the wrist decides
+    const detected = [
+      { label: 'right', x: 0.66, y: 0.52 },
+      { label: 'left', x: 0.34, y: 0.48 },
+      { label: 'left', x: 0.16, y: 0.5 },
+      { label: 'left', x: 0.84, y: 0.5 },
+    ];
+    const [p1, p2] = assignHandsToPlayers(detected, [right, left]);
+    assert.equal(p1.pose, left);
+    assert.equal(p2.pose, right);
+    assert.equal(p1.hands.left, detected[2]);
+    assert.equal(p1.hands.right, detected[1]);
+    assert.equal(p2.hands.left, detected[0]);
+    assert.equal(p2.hands.right, detected[3]);
+  });
+
+  test('a hand far from every pose falls back to its screen half', () => {
+    const pose = makePose(0.25, { x: 0.15, y: 0.5 }, { x: 0.35, y: 0.5 });
+    const stray = { label: 'right', x: 0.9, y: 0.1 };
+    const [p1, p2] = assignHandsToPlayers([stray], [pose]);
+    assert.equal(p1.pose, pose);
+    assert.equal(p2.pose, null);
+    assert.equal(p1.hands.right, null);
+    assert.equal(p2.hands.right, stray);
+  });
+
+  test('a lone person on the right is player 2', () => {
+    const pose = makePose(0.7, { x: 0.6, y: 0.5 }, { x: 0.8, y: 0.5 });
+    const [p1, p2] = assignHandsToPlayers([], [pose]);
+    assert.equal(p1.pose, null);
+    assert.equal(p2.pose, pose);
+  });
+});
+
+describe('toFieldHands', () => {
+  test('maps the right half of the screen onto player 2\'s whole field', () => {
+    const hand = makeHand({ x: 0.75, y: 0.4, vx: 1, vy: 0, visible: true });
+    hand.blade = { baseX: 0.7, baseY: 0.5, tipX: 0.8, tipY: 0.3, halfWidth: 0.02 };
+    hand.prev = { x: 0.6, y: 0.4, t: 0, blade: null };
+    const { right } = toFieldHands({ left: makeHand(), right: hand }, 1, 2);
+    assert.ok(Math.abs(right.x - 0.5) < 1e-9);
+    assert.equal(right.y, 0.4);
+    assert.equal(right.vx, 2);
+    assert.equal(right.speed, 2);
+    assert.ok(Math.abs(right.blade.baseX - 0.4) < 1e-9);
+    assert.ok(Math.abs(right.blade.tipX - 0.6) < 1e-9);
+    assert.equal(right.blade.halfWidth, 0.04, 'the blade is as wide relative to the field as to the screen');
+    assert.ok(Math.abs(right.prev.x - 0.2) < 1e-9);
+    assert.equal(hand.x, 0.75, 'input hand untouched');
+  });
+});
+
+describe('SplitScreenMatch', () => {
+  test('both players face the same waves', () => {
+    const m = match({ spawning: true });
+    const spawned = [[], []];
+    for (let i = 0; i < 300; i++) {
+      m.update(FRAME_DT, [idleHands(), idleHands()]).forEach((info, p) => {
+        spawned[p].push(...info.spawned.map(o => `${o.type}@${o.x.toFixed(4)}`));
+      });
+    }
+    assert.ok(spawned[0].length > 0);
+    assert.deepEqual(spawned[1], spawned[0]);
+  });
+
+  test('each player scores only in their own field', () => {
+    const m = match();
+    const apple = placeObject(m.engines[1], { x: 0.5, y: 0.5 });
+    placeObject(m.engines[0], { x: 0.5, y: 0.5 });
+    // Player 2's blade at screen x 0.75 is the middle of their field
+    m.update(FRAME_DT, [idleHands(), {
+      left: makeHand(),
+      right: makeHand({ x: 0.75, y: 0.5, vx: 3, visible: true }),
+    }]);
+    assert.ok(apple.fading);
+    assert.equal(m.engines[0].score, 0);
+    assert.equal(m.engines[1].score, 10);
+    assert.equal(m.winner, 1);
+  });
+
+  test('level scores are a draw', () => {
+    const m = match();
+    assert.equal(m.winner, null);
+  });
+
+  test('the match goes on until every player is out', () => {
+    const m = match();
+    m.engines[0]._endGame('bomb');
+    assert.equal(m.isGameOver, false);
+    m.engines[1]._endGame('bomb');
+    assert.equal(m.isGameOver, true);
+  });
+
+  test('pausing pauses every field', () => {
+    const m = match();
+    m.setPaused(true);
+    assert.ok(m.engines.every(engine => engine.isPaused));
+    m.setPaused(false);
+    assert.ok(m.engines.every(engine => !engine.isPaused));
+  });
+});
@@ -0,0 +1,100 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { WAVE_PATTERNS, WaveSpawner } from '../js/waveSpawner.js';
+import { DifficultyProfile } from '../js/difficulty.js';
+import { SeededRandom } from '../js/random.js';
+import { createEngine, run } from './harness.js';
+
+const context = { count: 3, speed: 1, gravity: 0.4 };
+
+describe('wave patterns', () => {
+  test('every pattern spawns inside the field the engine keeps objects in', () => {
+    for (const [id, pattern] of Object.entries(WAVE_PATTERNS)) {
+      const specs = pattern({ rng: new SeededRandom(7), ...context });
+      assert.ok(specs.length > 0, id);
+      for (const spec of specs) assert.ok(spec.x > -0.15 && spec.x < 1.15, `${id} x=${spec.x}`);
+    }
+  });
+
+  test('row spawns together at one height and speed', () => {
+    const specs = WAVE_PATTERNS.row({ rng: new SeededRandom(1), ...context });
+    assert.equal(specs.length, 5);
+    assert.ok(specs.every(s => !s.delay && s.y === undefined && s.vy === specs[0].vy));
+  });
+
+  test('bombRing puts one bomb in the middle of the fruit', () => {
+    const specs = WAVE_PATTERNS.bombRing({ rng: new SeededRandom(1), ...context });
+    const bombs = specs.filter(s => s.kind === 'bomb');
+    const fruit = specs.filter(s => s.kind === 'fruit');
+    assert.equal(bombs.length, 1);
+    const cx = fruit.reduce((sum, s) => sum + s.x, 0) / fruit.length;
+    const cy = fruit.reduce((sum, s) => sum + s.y, 0) / fruit.length;
+    assert.ok(Math.abs(cx - bombs[0].x) < 1e-9 && Math.abs(cy - bombs[0].y) < 1e-9);
+  });
+
+  test('volley is launched upward from below the screen', () => {
+    for (const spec of WAVE_PATTERNS.volley({ rng: new SeededRandom(1), ...context })) {
+      assert.ok(spec.y > 1 && spec.vy < 0);
+      // Apex height y − vy² / 2g stays on screen
+      const apex = spec.y - (spec.vy * spec.vy) / (2 * context.gravity);
+      assert.ok(apex > 0.1 && apex < 0.5);
+    }
+  });
+});
+
+describe('WaveSpawner', () => {
+  test('plays the scripted sequence, then picks by weight', () => {
+    const spawner = new WaveSpawner(new SeededRandom(1));
+    const picked = [];
+    for (let i = 0; i < 6; i++) picked.push(spawner.nextPattern({ volley: 1, row: 0 }, ['row', 'arc']));
+    assert.deepEqual(picked, ['row', 'arc', 'volley', 'volley', 'volley', 'volley']);
+  });
+
+  test('staggered spawns are released once their delay has passed', () => {
+    const spawner = new WaveSpawner(new SeededRandom(1));
+    const duration = spawner.queue('zigzag', { ...context, count: 1 });
+    assert.equal(duration, 0.75);
+    assert.equal(spawner.update(0.1).length, 1);
+    assert.equal(spawner.update(0.1).length, 0);
+    assert.equal(spawner.update(0.1).length, 1);
+    assert.equal(spawner.update(1).length, 2);
+    assert.equal(spawner.pending.length, 0);
+  });
+});
+
+describe('engine waves', () => {
+  const only = (id, extra = {}) => new DifficultyProfile({ patterns: { [id]: 1 }, ...extra });
+
+  test('a row wave spawns its whole line on one frame', () => {
+    const engine = createEngine({ difficulty: only('row') });
+    const result = run(engine, 1.6);
+    assert.ok(result.spawned.length >= 3);
+    const first = result.spawned.filter(o => o.y === result.spawned[0].y);
+    assert.equal(first.length, result.spawned.length);
+  });
+
+  test('the spawn timer waits for a staggered wave to finish', () => {
+    const engine = createEngine({ difficulty: only('zigzag') });
+    engine.spawnTimer = engine.spawnInterval;
+    run(engine, 0.05);
+    assert.ok(engine.spawnTimer < 0);
+  });
+
+  test('pattern bombs turn into fruit in a bomb-free mode', () => {
+    const engine = createEngine({ difficulty: only('bombRing') });
+    engine.reset({ mode: 'zen' });
+    engine.mode = { ...engine.mode, patterns: null };
+    const result = run(engine, 10);
+    assert.ok(result.spawned.length > 0);
+    assert.ok(result.spawned.every(o => o.kind !== 'bomb'));
+  });
+
+  test('a mode can override the difficulty patterns', () => {
+    const engine = createEngine({ difficulty: only('volley') });
+    engine.reset({ mode: 'arcade' });
+    engine.mode = { ...engine.mode, patterns: { row: 1 } };
+    const result = run(engine, 3);
+    assert.ok(result.spawned.length > 0);
+    assert.ok(result.spawned.every(o => o.vy > 0));
+  });
+});